@@ -1,119 +1,1325 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { apiUrl, isEnabled } from './config';
 
-const API_BASE_URL = 'http://54.226.97.70:5000';
+// All API calls carry the session cookie set by /api/auth/login
+const apiFetch = (path, options = {}) => fetch(apiUrl(path), {
+  mode: 'cors',
+  credentials: 'include',
+  ...options,
+  headers: {
+    'Content-Type': 'application/json',
+    ...options.headers
+  }
+});
 
-function App() {
-  const [status, setStatus] = useState(null);
-  const [projects, setProjects] = useState([]);
-  const [systemInfo, setSystemInfo] = useState(null);
-  const [deployments, setDeployments] = useState({});
-  const [loading, setLoading] = useState(true);
+const httpError = (response) => {
+  const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+  error.status = response.status;
+  return error;
+};
+
+const canDeploy = (user) => ['deployer', 'admin'].includes(user?.role);
+const isAdmin = (user) => user?.role === 'admin';
+
+const statusIcons = {
+  success: '✅',
+  rolled_back: '↩️',
+  cancelled: '⏹️',
+  failed: '❌'
+};
+
+// Remote hosts: how the latest rollout went on each
+const hostSummary = (hosts) => hosts
+  .map(host => `${statusIcons[host.status] || (host.status === 'running' ? '🔄' : '⏸️')} ${host.id}`)
+  .join('  ');
+
+// Projects with a deployment in flight keep the Deploy button disabled
+const isActive = (project) => ['building', 'queued'].includes(project.status);
+
+// Why an environment is not taking deployments and when that ends
+const windowSummary = (deployWindow) => [
+  deployWindow.reason,
+  deployWindow.nextOpen ? `opens ${new Date(deployWindow.nextOpen).toLocaleString()}` : 'no window ahead',
+  deployWindow.outside === 'reject' ? 'deploys are refused' : 'deploys are held'
+].filter(Boolean).join(' · ');
+
+const logColors = {
+  stdout: '#f8f9fa',
+  stderr: '#ff8787',
+  system: '#74c0fc'
+};
+
+const policyColors = {
+  pass: '#28a745',
+  warn: '#fd7e14',
+  fail: '#dc3545'
+};
+
+const policyIcons = {
+  pass: '✔',
+  warn: '⚠',
+  fail: '✖'
+};
+
+// Image policy report of a deployment: each rule's outcome, the scanner's
+// vulnerability counts and the worst findings
+function PolicyReport({ report }) {
+  const [showFindings, setShowFindings] = useState(false);
+  const counts = report.vulnerabilities
+    ? Object.entries(report.vulnerabilities).filter(([, count]) => count > 0)
+    : [];
+
+  return (
+    <div style={{
+      marginTop: '8px',
+      padding: '8px',
+      border: `1px solid ${report.passed ? '#e9ecef' : '#f5c2c7'}`,
+      borderRadius: '4px',
+      fontSize: '12px',
+      color: '#666'
+    }}>
+      <div style={{ fontWeight: 'bold', color: report.passed ? '#333' : '#dc3545', marginBottom: '4px' }}>
+        🛡️ Image policy {report.passed ? 'passed' : 'failed'}
+        <span style={{ fontWeight: 'normal', color: '#666' }}>
+          {report.baseImage ? ` · ${report.baseImage}` : ''}
+          {report.sizeBytes ? ` · ${formatBytes(report.sizeBytes)}` : ''}
+        </span>
+      </div>
+      {report.results.map(result => (
+        <div key={result.rule} style={{ display: 'flex', gap: '6px' }}>
+          <span style={{ color: policyColors[result.status] }}>{policyIcons[result.status]}</span>
+          <strong style={{ color: '#333' }}>{result.rule}</strong>
+          <span style={{ minWidth: 0, overflowWrap: 'anywhere' }}>{result.message}</span>
+        </div>
+      ))}
+      {report.scanner && (
+        <div style={{ marginTop: '4px' }}>
+          {report.scanner.error
+            ? `Scan (${report.scanner.name}) failed: ${report.scanner.error}`
+            : `Scanned with ${report.scanner.name}${report.scanner.version ? ` ${report.scanner.version}` : ''}: ${counts.length ? counts.map(([severity, count]) => `${count} ${severity}`).join(', ') : 'no vulnerabilities'}`}
+          {report.findings?.length > 0 && (
+            <button
+              onClick={() => setShowFindings(!showFindings)}
+              style={{ background: 'none', border: 'none', color: '#007bff', cursor: 'pointer', fontSize: '11px', padding: '0 0 0 6px' }}
+            >
+              {showFindings ? 'Hide findings' : 'Show findings'}
+            </button>
+          )}
+        </div>
+      )}
+      {showFindings && report.findings.map(finding => (
+        <div key={`${finding.target}/${finding.id}/${finding.package}`} style={{ fontFamily: 'monospace', fontSize: '11px' }}>
+          {finding.severity.toUpperCase()} {finding.id} {finding.package} {finding.installed}
+          {finding.fixed ? ` → ${finding.fixed}` : ' (no fix)'}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Streams a deployment's logs over Server-Sent Events. The server replays
+// earlier lines first, and EventSource resumes with Last-Event-ID if the
+// connection drops.
+function DeploymentLogViewer({ deploymentId, onClose, onFinish }) {
+  const [lines, setLines] = useState([]);
+  const [liveStatus, setLiveStatus] = useState(null);
+  const [finalStatus, setFinalStatus] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const [policy, setPolicy] = useState(null);
+  const logRef = useRef(null);
+  const onFinishRef = useRef(onFinish);
+  onFinishRef.current = onFinish;
+
+  useEffect(() => {
+    setLines([]);
+    setLiveStatus(null);
+    setFinalStatus(null);
+    setPolicy(null);
+
+    const source = new EventSource(apiUrl(`/api/deployments/${deploymentId}/logs/stream`), { withCredentials: true });
+    source.onopen = () => setConnected(true);
+    source.onerror = () => setConnected(false);
+    source.addEventListener('log', (event) => {
+      const line = JSON.parse(event.data);
+      setLines(prev => [...prev, line]);
+    });
+    source.addEventListener('status', (event) => {
+      const data = JSON.parse(event.data);
+      setLiveStatus(data.status);
+      if (data.policy) setPolicy(data.policy);
+    });
+    source.addEventListener('end', (event) => {
+      const data = JSON.parse(event.data);
+      setFinalStatus(data);
+      if (data.policy) setPolicy(data.policy);
+      setConnected(false);
+      source.close();
+      if (onFinishRef.current) onFinishRef.current(data);
+    });
+
+    return () => source.close();
+  }, [deploymentId]);
+
+  useEffect(() => {
+    if (logRef.current) {
+      logRef.current.scrollTop = logRef.current.scrollHeight;
+    }
+  }, [lines]);
+
+  return (
+    <div style={{ marginTop: '15px' }}>
+      <div style={{ 
+        display: 'flex', 
+        justifyContent: 'space-between', 
+        alignItems: 'center',
+        marginBottom: '5px',
+        fontSize: '12px',
+        color: '#666'
+      }}>
+        <span>
+          {finalStatus
+            ? `${statusIcons[finalStatus.status] || '❌'} Deployment ${finalStatus.status.replace('_', ' ')}`
+            : !connected ? '⏳ Connecting...'
+            : liveStatus === 'queued' ? '⏳ Queued, waiting for a build slot' : '🔴 Live logs'}
+        </span>
+        <button 
+          onClick={onClose}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: '#666',
+            cursor: 'pointer',
+            fontSize: '12px'
+          }}
+        >
+          Close
+        </button>
+      </div>
+      <div 
+        ref={logRef}
+        style={{ 
+          background: '#212529', 
+          padding: '10px', 
+          borderRadius: '4px',
+          height: '200px',
+          overflowY: 'auto',
+          fontFamily: 'monospace',
+          fontSize: '12px',
+          whiteSpace: 'pre-wrap',
+          wordBreak: 'break-all'
+        }}
+      >
+        {lines.map((line, index) => (
+          <div key={index} style={{ color: logColors[line.stream] || logColors.stdout }}>
+            {line.message}
+          </div>
+        ))}
+      </div>
+      {finalStatus?.error && (
+        <p style={{ margin: '5px 0 0 0', fontSize: '12px', color: '#dc3545' }}>
+          {finalStatus.error}
+        </p>
+      )}
+      {policy && <PolicyReport report={policy} />}
+    </div>
+  );
+}
+
+// Follows a container's output; the server sends the last lines first
+function ContainerLogViewer({ containerId, name, onClose }) {
+  const [lines, setLines] = useState([]);
+  const [connected, setConnected] = useState(false);
+  const [ended, setEnded] = useState(null);
+  const logRef = useRef(null);
+
+  useEffect(() => {
+    setLines([]);
+    setEnded(null);
+
+    const source = new EventSource(apiUrl(`/api/containers/${containerId}/logs?follow=1&tail=200`), { withCredentials: true });
+    source.onopen = () => setConnected(true);
+    source.onerror = () => setConnected(false);
+    source.addEventListener('log', (event) => {
+      const line = JSON.parse(event.data);
+      setLines(prev => [...prev.slice(-999), line]);
+    });
+    source.addEventListener('end', (event) => {
+      setEnded(JSON.parse(event.data).reason);
+      setConnected(false);
+      source.close();
+    });
+
+    return () => source.close();
+  }, [containerId]);
+
+  useEffect(() => {
+    if (logRef.current) {
+      logRef.current.scrollTop = logRef.current.scrollHeight;
+    }
+  }, [lines]);
+
+  return (
+    <div style={{ marginTop: '15px' }}>
+      <div style={{ 
+        display: 'flex', 
+        justifyContent: 'space-between', 
+        alignItems: 'center',
+        marginBottom: '5px',
+        fontSize: '12px',
+        color: '#666'
+      }}>
+        <span>
+          {ended ? `⏹️ ${name}: ${ended}` : connected ? `🔴 ${name} logs` : '⏳ Connecting...'}
+        </span>
+        <button 
+          onClick={onClose}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: '#666',
+            cursor: 'pointer',
+            fontSize: '12px'
+          }}
+        >
+          Close
+        </button>
+      </div>
+      <div 
+        ref={logRef}
+        style={{ 
+          background: '#212529', 
+          padding: '10px', 
+          borderRadius: '4px',
+          height: '200px',
+          overflowY: 'auto',
+          fontFamily: 'monospace',
+          fontSize: '12px',
+          whiteSpace: 'pre-wrap',
+          wordBreak: 'break-all'
+        }}
+      >
+        {lines.map((line, index) => (
+          <div key={index} style={{ color: logColors[line.stream] || logColors.stdout }}>
+            {line.timestamp && <span style={{ color: '#868e96' }}>{new Date(line.timestamp).toLocaleTimeString()} </span>}
+            {line.message}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const chartColors = ['#007bff', '#28a745', '#fd7e14', '#6f42c1', '#dc3545', '#17a2b8', '#e83e8c', '#20c997'];
+
+const metricRanges = {
+  '1h': { duration: 60 * 60 * 1000, step: '1m' },
+  '6h': { duration: 6 * 60 * 60 * 1000, step: '5m' },
+  '24h': { duration: 24 * 60 * 60 * 1000, step: '15m' }
+};
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+};
+
+// Minimal SVG line chart: series of [timestamp, value] points sharing one
+// time axis, with the y axis running from 0 to the largest value (or max)
+function LineChart({ title, series, format = (value) => value.toFixed(1), max }) {
+  const width = 300;
+  const height = 120;
+  const points = series.flatMap(line => line.points);
+
+  if (points.length < 2) {
+    return (
+      <div>
+        <h5 style={{ margin: '0 0 5px 0', color: '#333' }}>{title}</h5>
+        <p style={{ fontSize: '12px', color: '#666' }}>Collecting data...</p>
+      </div>
+    );
+  }
+
+  const start = Math.min(...points.map(([time]) => time));
+  const end = Math.max(...points.map(([time]) => time));
+  const top = max || Math.max(...points.map(([, value]) => value), 1) * 1.1;
+  const x = (time) => ((time - start) / Math.max(end - start, 1)) * width;
+  const y = (value) => height - (Math.min(value, top) / top) * height;
+
+  return (
+    <div>
+      <h5 style={{ margin: '0 0 5px 0', color: '#333' }}>{title}</h5>
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" style={{ width: '100%', height: '120px', background: '#f8f9fa', borderRadius: '4px' }}>
+        {[0.25, 0.5, 0.75].map(fraction => (
+          <line key={fraction} x1="0" x2={width} y1={height * fraction} y2={height * fraction} stroke="#e9ecef" strokeWidth="1" />
+        ))}
+        {series.map(line => (
+          <polyline
+            key={line.name}
+            fill="none"
+            stroke={line.color}
+            strokeWidth="1.5"
+            vectorEffect="non-scaling-stroke"
+            points={line.points.map(([time, value]) => `${x(time).toFixed(1)},${y(value).toFixed(1)}`).join(' ')}
+          />
+        ))}
+      </svg>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', color: '#666' }}>
+        <span>{new Date(start).toLocaleTimeString()}</span>
+        <span>max {format(top)}</span>
+        <span>{new Date(end).toLocaleTimeString()}</span>
+      </div>
+      {series.length > 1 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', fontSize: '11px', marginTop: '3px' }}>
+          {series.map(line => (
+            <span key={line.name} style={{ color: line.color }}>■ {line.name}</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Host and per-container history from /api/metrics
+function MetricsCharts({ onUnauthorized }) {
+  const [range, setRange] = useState('1h');
+  const [samples, setSamples] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchMetrics = async () => {
+      const { duration, step } = metricRanges[range];
+      const from = new Date(Date.now() - duration).toISOString();
+      try {
+        const response = await apiFetch(`/api/metrics?from=${encodeURIComponent(from)}&step=${step}`);
+        if (response.status === 401) return onUnauthorized();
+        if (!response.ok) throw httpError(response);
+        const data = await response.json();
+        setSamples(data.samples);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching metrics:', err);
+        setError('Metrics unavailable');
+      }
+    };
+
+    fetchMetrics();
+    const interval = setInterval(fetchMetrics, 30000);
+    return () => clearInterval(interval);
+  }, [range, onUnauthorized]);
+
+  const hostSeries = (name, pick, color) => ({
+    name,
+    color,
+    points: samples.filter(sample => sample.host && pick(sample.host) != null).map(sample => [sample.timestamp, pick(sample.host)])
+  });
+
+  const containerNames = [...new Set(samples.flatMap(sample => Object.keys(sample.containers || {})))];
+  const containerSeries = (pick) => containerNames.map((name, index) => ({
+    name,
+    color: chartColors[index % chartColors.length],
+    points: samples
+      .filter(sample => sample.containers?.[name])
+      .map(sample => [sample.timestamp, pick(sample.containers[name])])
+  }));
+
+  return (
+    <div style={{ 
+      background: 'white', 
+      padding: '20px', 
+      borderRadius: '8px',
+      boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+      marginTop: '20px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+        <h4 style={{ margin: 0, color: '#333' }}>📈 Metrics History</h4>
+        <div style={{ display: 'flex', gap: '5px' }}>
+          {Object.keys(metricRanges).map(key => (
+            <button
+              key={key}
+              onClick={() => setRange(key)}
+              style={{
+                background: range === key ? '#007bff' : 'white',
+                color: range === key ? 'white' : '#333',
+                border: '1px solid #ced4da',
+                padding: '3px 8px',
+                borderRadius: '4px',
+                fontSize: '12px',
+                cursor: 'pointer'
+              }}
+            >
+              {key}
+            </button>
+          ))}
+        </div>
+      </div>
+      {error && <p style={{ color: '#dc3545', fontSize: '12px' }}>{error}</p>}
+      <div style={{ 
+        display: 'grid', 
+        gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', 
+        gap: '20px' 
+      }}>
+        <LineChart
+          title="Host CPU / Memory / Disk (%)"
+          max={100}
+          format={(value) => `${value.toFixed(0)}%`}
+          series={[
+            hostSeries('CPU', host => host.cpuPercent, chartColors[0]),
+            hostSeries('Memory', host => host.memory?.usedPercent, chartColors[1]),
+            hostSeries('Disk', host => host.disk?.usedPercent, chartColors[2])
+          ]}
+        />
+        <LineChart
+          title="Load Average (1m)"
+          series={[hostSeries('load1', host => host.load1, chartColors[3])]}
+          format={(value) => value.toFixed(2)}
+        />
+        <LineChart
+          title="Container CPU (%)"
+          series={containerSeries(stats => stats.cpuPercent)}
+          format={(value) => `${value.toFixed(1)}%`}
+        />
+        <LineChart
+          title="Container Memory"
+          series={containerSeries(stats => stats.memoryBytes)}
+          format={formatBytes}
+        />
+        <LineChart
+          title="Container Network (rx + tx per second)"
+          series={containerSeries(stats => stats.netRxPerSec + stats.netTxPerSec)}
+          format={(value) => `${formatBytes(value)}/s`}
+        />
+      </div>
+    </div>
+  );
+}
+
+// Stored variables and secrets of one project. Secret values come back
+// masked, so editing one means typing the whole value again.
+function EnvironmentVariables({ projectId, environments, canEdit, onUnauthorized }) {
+  const [variables, setVariables] = useState([]);
   const [error, setError] = useState(null);
+  const [form, setForm] = useState({ key: '', value: '', secret: true, environment: environments[0] });
+  const [saving, setSaving] = useState(false);
 
-  const fetchStatus = async () => {
+  const load = useCallback(async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/status`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        mode: 'cors'
-      });
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const response = await apiFetch(`/api/projects/${projectId}/env`);
+      if (response.status === 401) return onUnauthorized();
       const data = await response.json();
-      setStatus(data);
-    } catch (error) {
-      console.error('Error fetching status:', error);
-      throw error;
+      if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+      setVariables(data.variables);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
     }
-  };
+  }, [projectId, onUnauthorized]);
 
-  const fetchProjects = async () => {
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setSaving(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/projects`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        mode: 'cors'
+      const response = await apiFetch(`/api/projects/${projectId}/env/${encodeURIComponent(form.key)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ value: form.value, secret: form.secret, environment: form.environment })
       });
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      const data = await response.json();
-      setProjects(data);
-    } catch (error) {
-      console.error('Error fetching projects:', error);
-      throw error;
+      if (response.status === 401) return onUnauthorized();
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      setForm(prev => ({ ...prev, key: '', value: '' }));
+      load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
     }
   };
 
-  const fetchSystemInfo = async () => {
+  const handleDelete = async (variable) => {
+    if (!window.confirm(`Delete ${variable.key} (${variable.environment})?`)) return;
     try {
-      const response = await fetch(`${API_BASE_URL}/api/system`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        mode: 'cors'
+      const response = await apiFetch(
+        `/api/projects/${projectId}/env/${encodeURIComponent(variable.key)}?environment=${encodeURIComponent(variable.environment)}`,
+        { method: 'DELETE' }
+      );
+      if (response.status === 401) return onUnauthorized();
+      if (!response.ok && response.status !== 404) throw httpError(response);
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const inputStyle = {
+    padding: '5px',
+    border: '1px solid #ced4da',
+    borderRadius: '4px',
+    fontSize: '12px',
+    minWidth: 0
+  };
+
+  return (
+    <div style={{ marginTop: '15px', fontSize: '12px' }}>
+      {error && <p style={{ margin: '0 0 5px 0', color: '#dc3545' }}>{error}</p>}
+      {variables.length === 0 && !error && (
+        <p style={{ margin: '0 0 5px 0', color: '#666' }}>No stored variables. They are added to the container on the next deploy.</p>
+      )}
+      {variables.map(variable => (
+        <div key={`${variable.environment}/${variable.key}`} style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '5px',
+          padding: '4px 0',
+          borderBottom: '1px solid #f1f3f5',
+          fontFamily: 'monospace'
+        }}>
+          <span style={{ color: '#6c757d' }}>{variable.environment}</span>
+          <strong>{variable.key}</strong>=
+          <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {variable.secret ? '🔒 ' : ''}{variable.value}
+          </span>
+          {canEdit && (
+            <button
+              onClick={() => handleDelete(variable)}
+              style={{ background: 'none', border: 'none', color: '#dc3545', cursor: 'pointer', fontSize: '12px' }}
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      ))}
+      {canEdit && (
+        <form onSubmit={handleSave} style={{ display: 'flex', flexWrap: 'wrap', gap: '5px', marginTop: '10px' }}>
+          <input
+            placeholder="NAME"
+            value={form.key}
+            onChange={(event) => setForm({ ...form, key: event.target.value })}
+            style={{ ...inputStyle, flex: '1 1 80px', fontFamily: 'monospace' }}
+            required
+          />
+          <input
+            type={form.secret ? 'password' : 'text'}
+            placeholder="value"
+            value={form.value}
+            onChange={(event) => setForm({ ...form, value: event.target.value })}
+            style={{ ...inputStyle, flex: '2 1 120px' }}
+            autoComplete="off"
+          />
+          {environments.length > 1 && (
+            <select
+              value={form.environment}
+              onChange={(event) => setForm({ ...form, environment: event.target.value })}
+              style={{ ...inputStyle, flex: '1 1 80px' }}
+            >
+              {environments.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          )}
+          <label style={{ display: 'flex', alignItems: 'center', gap: '3px', color: '#666' }}>
+            <input
+              type="checkbox"
+              checked={form.secret}
+              onChange={(event) => setForm({ ...form, secret: event.target.checked })}
+            />
+            Secret
+          </label>
+          <button
+            type="submit"
+            disabled={saving || !form.key}
+            style={{
+              background: '#007bff',
+              color: 'white',
+              border: 'none',
+              padding: '5px 10px',
+              borderRadius: '4px',
+              fontSize: '12px',
+              cursor: saving || !form.key ? 'not-allowed' : 'pointer'
+            }}
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+// When a scheduled job runs next, or what it does, in one line
+const describeSchedule = (job) => {
+  const what = job.deploy?.pipeline === 'pull' ? `pull ${job.deploy.imageTag}`
+    : job.deploy?.pipeline === 'promote' ? 'promotion'
+    : `build ${job.deploy?.branch || ''}${job.deploy?.pullBase ? ' (fresh base image)' : ''}`;
+  return job.cron ? `${what} · cron "${job.cron}" ${job.timezone}` : what;
+};
+
+// Schedules a one-off deploy at a date and time (this browser's time
+// zone) or a recurring one from a cron expression
+function ScheduleForm({ projectId, environments, onUnauthorized, onDone }) {
+  const [form, setForm] = useState({
+    environment: environments[0],
+    recurring: false,
+    runAt: '',
+    cron: '0 2 * * *',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    pipeline: 'build',
+    imageTag: '',
+    pullBase: true,
+    description: ''
+  });
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const timing = form.recurring
+        ? { cron: form.cron, timezone: form.timezone }
+        : { runAt: new Date(form.runAt).toISOString() };
+      const response = await apiFetch('/api/schedules', {
+        method: 'POST',
+        body: JSON.stringify({
+          projectId,
+          environment: form.environment,
+          ...timing,
+          pipeline: form.pipeline,
+          ...(form.pipeline === 'pull' ? { imageTag: form.imageTag } : { pullBase: form.pullBase }),
+          description: form.description || undefined
+        })
       });
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      const data = await response.json();
-      setSystemInfo(data);
-    } catch (error) {
-      console.error('Error fetching system info:', error);
-      // Don't throw here as system info is not critical
+      if (response.status === 401) return onUnauthorized();
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      setError(null);
+      onDone();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
     }
   };
 
-  const fetchAllData = useCallback(async () => {
+  const inputStyle = {
+    padding: '5px',
+    border: '1px solid #ced4da',
+    borderRadius: '4px',
+    fontSize: '12px',
+    minWidth: 0
+  };
+  const incomplete = form.recurring ? !form.cron : !form.runAt;
+
+  return (
+    <form onSubmit={handleSubmit} style={{ display: 'flex', flexWrap: 'wrap', gap: '5px', marginTop: '8px', fontSize: '12px' }}>
+      {error && <p style={{ flexBasis: '100%', margin: 0, color: '#dc3545' }}>{error}</p>}
+      {environments.length > 1 && (
+        <select
+          value={form.environment}
+          onChange={(event) => setForm({ ...form, environment: event.target.value })}
+          style={{ ...inputStyle, flex: '1 1 80px' }}
+        >
+          {environments.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+      )}
+      <select
+        value={form.recurring ? 'cron' : 'once'}
+        onChange={(event) => setForm({ ...form, recurring: event.target.value === 'cron' })}
+        style={{ ...inputStyle, flex: '1 1 80px' }}
+      >
+        <option value="once">Once</option>
+        <option value="cron">Recurring</option>
+      </select>
+      {form.recurring ? (
+        <>
+          <input
+            placeholder="min hour day month weekday"
+            value={form.cron}
+            onChange={(event) => setForm({ ...form, cron: event.target.value })}
+            style={{ ...inputStyle, flex: '2 1 110px', fontFamily: 'monospace' }}
+            required
+          />
+          <input
+            placeholder="Time zone"
+            value={form.timezone}
+            onChange={(event) => setForm({ ...form, timezone: event.target.value })}
+            style={{ ...inputStyle, flex: '1 1 100px' }}
+          />
+        </>
+      ) : (
+        <input
+          type="datetime-local"
+          value={form.runAt}
+          onChange={(event) => setForm({ ...form, runAt: event.target.value })}
+          style={{ ...inputStyle, flex: '2 1 150px' }}
+          required
+        />
+      )}
+      <select
+        value={form.pipeline}
+        onChange={(event) => setForm({ ...form, pipeline: event.target.value })}
+        style={{ ...inputStyle, flex: '1 1 70px' }}
+      >
+        <option value="build">Build</option>
+        <option value="pull">Pull tag</option>
+      </select>
+      {form.pipeline === 'pull' ? (
+        <input
+          placeholder="Image tag"
+          value={form.imageTag}
+          onChange={(event) => setForm({ ...form, imageTag: event.target.value })}
+          style={{ ...inputStyle, flex: '1 1 80px' }}
+          required
+        />
+      ) : (
+        <label style={{ display: 'flex', alignItems: 'center', gap: '3px', color: '#666' }} title="docker build --pull">
+          <input
+            type="checkbox"
+            checked={form.pullBase}
+            onChange={(event) => setForm({ ...form, pullBase: event.target.checked })}
+          />
+          Fresh base image
+        </label>
+      )}
+      <input
+        placeholder="Description (optional)"
+        value={form.description}
+        onChange={(event) => setForm({ ...form, description: event.target.value })}
+        style={{ ...inputStyle, flex: '2 1 120px' }}
+      />
+      <button
+        type="submit"
+        disabled={saving || incomplete}
+        style={{
+          background: '#007bff',
+          color: 'white',
+          border: 'none',
+          padding: '5px 10px',
+          borderRadius: '4px',
+          fontSize: '12px',
+          cursor: saving || incomplete ? 'not-allowed' : 'pointer'
+        }}
+      >
+        {saving ? 'Saving...' : 'Schedule'}
+      </button>
+    </form>
+  );
+}
+
+const outcomeColors = {
+  success: '#28a745',
+  failed: '#dc3545',
+  denied: '#fd7e14',
+  held: '#6f42c1'
+};
+
+// Query string for /api/audit from the filter form, leaving out blanks
+const auditQuery = (filters, extra = {}) => new URLSearchParams(
+  Object.entries({ ...filters, ...extra }).filter(([, value]) => value)
+).toString();
+
+// Who did what, from /api/audit (admins only). Exports download every
+// matching entry, not just the ones on screen.
+function ActivityLog({ projects, onUnauthorized }) {
+  const [filters, setFilters] = useState({ action: '', projectId: '', actor: '', outcome: '' });
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
     try {
-      await Promise.all([
-        fetchStatus(),
-        fetchProjects(),
-        fetchSystemInfo()
-      ]);
+      const response = await apiFetch(`/api/audit?${auditQuery(filters, { limit: 200 })}`);
+      if (response.status === 401) return onUnauthorized();
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || data.error || `HTTP ${response.status}`);
+      setEntries(data.entries);
       setError(null);
     } catch (err) {
-      setError('Failed to fetch data from server');
-      console.error('Error fetching data:', err);
+      setError(err.message);
     } finally {
       setLoading(false);
     }
+  }, [filters, onUnauthorized]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleExport = async (format) => {
+    try {
+      const response = await apiFetch(`/api/audit?${auditQuery(filters, { format })}`);
+      if (response.status === 401) return onUnauthorized();
+      if (!response.ok) throw httpError(response);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `autodock-audit.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(`Export failed: ${err.message}`);
+    }
+  };
+
+  const inputStyle = {
+    padding: '5px',
+    border: '1px solid #ced4da',
+    borderRadius: '4px',
+    fontSize: '12px'
+  };
+  const buttonStyle = {
+    background: 'white',
+    color: '#007bff',
+    border: '1px solid #007bff',
+    padding: '5px 10px',
+    borderRadius: '4px',
+    fontSize: '12px',
+    cursor: 'pointer'
+  };
+  const cellStyle = { padding: '6px 8px', borderBottom: '1px solid #f1f3f5', verticalAlign: 'top' };
+
+  return (
+    <section style={{
+      background: 'white',
+      padding: '20px',
+      borderRadius: '8px',
+      boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+    }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', marginBottom: '15px' }}>
+        <h2 style={{ margin: '0 auto 0 0', color: '#333' }}>Activity</h2>
+        <select value={filters.action} onChange={(event) => setFilters({ ...filters, action: event.target.value })} style={inputStyle}>
+          <option value="">All actions</option>
+          {['deployment', 'preview', 'container', 'project', 'env', 'user', 'token', 'notification', 'host'].map(group => (
+            <option key={group} value={group}>{group}</option>
+          ))}
+        </select>
+        <select value={filters.projectId} onChange={(event) => setFilters({ ...filters, projectId: event.target.value })} style={inputStyle}>
+          <option value="">All projects</option>
+          {projects.map(project => <option key={project.id} value={project.id}>{project.name}</option>)}
+        </select>
+        <select value={filters.outcome} onChange={(event) => setFilters({ ...filters, outcome: event.target.value })} style={inputStyle}>
+          <option value="">Any outcome</option>
+          {Object.keys(outcomeColors).map(outcome => <option key={outcome} value={outcome}>{outcome}</option>)}
+        </select>
+        <input
+          placeholder="Actor"
+          value={filters.actor}
+          onChange={(event) => setFilters({ ...filters, actor: event.target.value.trim() })}
+          style={{ ...inputStyle, width: '100px' }}
+        />
+        <button onClick={load} disabled={loading} style={buttonStyle}>{loading ? 'Loading...' : '↻ Refresh'}</button>
+        <button onClick={() => handleExport('csv')} style={buttonStyle}>⬇ CSV</button>
+        <button onClick={() => handleExport('json')} style={buttonStyle}>⬇ JSON</button>
+      </div>
+
+      {error && <p style={{ color: '#dc3545', fontSize: '12px' }}>{error}</p>}
+      {entries.length === 0 && !error && !loading && (
+        <p style={{ color: '#666', fontSize: '14px' }}>No activity matches these filters.</p>
+      )}
+      {entries.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: '#666' }}>
+                {['Time', 'Actor', 'Action', 'Target', 'Parameters', 'Outcome'].map(heading => (
+                  <th key={heading} style={{ ...cellStyle, borderBottom: '2px solid #e9ecef' }}>{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry, index) => (
+                <tr key={`${entry.at}-${index}`}>
+                  <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>{new Date(entry.at).toLocaleString()}</td>
+                  <td style={cellStyle}>
+                    {entry.actor || '-'}
+                    <div style={{ color: '#999' }}>{[entry.source, entry.ip].filter(Boolean).join(' · ')}</div>
+                  </td>
+                  <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{entry.action}</td>
+                  <td style={{ ...cellStyle, wordBreak: 'break-all' }}>{entry.target}</td>
+                  <td style={{ ...cellStyle, fontFamily: 'monospace', color: '#666', wordBreak: 'break-all' }}>
+                    {entry.params ? JSON.stringify(entry.params) : ''}
+                  </td>
+                  <td style={cellStyle} title={entry.error || undefined}>
+                    <span style={{ color: outcomeColors[entry.outcome] || '#666', fontWeight: 'bold' }}>{entry.outcome}</span>
+                    {entry.error && <div style={{ color: '#999' }}>{entry.error}</div>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+function LoginScreen({ onLogin }) {
+  const [useToken, setUseToken] = useState(false);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [token, setToken] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await apiFetch('/api/auth/login', {
+        method: 'POST',
+        body: JSON.stringify(useToken ? { token } : { username, password }),
+      });
+      if (response.status === 401) throw new Error('Invalid credentials');
+      if (!response.ok) throw httpError(response);
+      const data = await response.json();
+      onLogin(data.user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '10px',
+    marginBottom: '10px',
+    border: '1px solid #ced4da',
+    borderRadius: '4px',
+    boxSizing: 'border-box'
+  };
+
+  return (
+    <div style={{ 
+      display: 'flex', 
+      justifyContent: 'center', 
+      alignItems: 'center', 
+      height: '100vh',
+      fontFamily: 'Arial, sans-serif',
+      background: '#f8f9fa'
+    }}>
+      <form 
+        onSubmit={handleSubmit}
+        style={{ 
+          background: 'white', 
+          padding: '30px', 
+          borderRadius: '8px',
+          boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+          width: '320px'
+        }}
+      >
+        <h2 style={{ margin: '0 0 20px 0', color: '#333' }}>🐳 Sign in</h2>
+        {useToken ? (
+          <input 
+            type="password"
+            placeholder="API token"
+            value={token}
+            onChange={(event) => setToken(event.target.value)}
+            style={inputStyle}
+            autoFocus
+          />
+        ) : (
+          <>
+            <input 
+              type="text"
+              placeholder="Username"
+              value={username}
+              onChange={(event) => setUsername(event.target.value)}
+              style={inputStyle}
+              autoComplete="username"
+              autoFocus
+            />
+            <input 
+              type="password"
+              placeholder="Password"
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+              style={inputStyle}
+              autoComplete="current-password"
+            />
+          </>
+        )}
+        {error && (
+          <p style={{ margin: '0 0 10px 0', color: '#dc3545', fontSize: '14px' }}>{error}</p>
+        )}
+        <button 
+          type="submit"
+          disabled={submitting}
+          style={{
+            background: '#007bff',
+            color: 'white',
+            border: 'none',
+            padding: '10px 20px',
+            borderRadius: '4px',
+            cursor: submitting ? 'not-allowed' : 'pointer',
+            width: '100%'
+          }}
+        >
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+        <button 
+          type="button"
+          onClick={() => {
+            setUseToken(!useToken);
+            setError(null);
+          }}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: '#007bff',
+            cursor: 'pointer',
+            marginTop: '10px',
+            fontSize: '12px',
+            width: '100%'
+          }}
+        >
+          {useToken ? 'Sign in with username and password' : 'Sign in with an API token'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+function App() {
+  const [status, setStatus] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [systemInfo, setSystemInfo] = useState(null);
+  const [deployments, setDeployments] = useState({});
+  const [openLogs, setOpenLogs] = useState({});
+  const [openContainerLogs, setOpenContainerLogs] = useState({});
+  const [openVariables, setOpenVariables] = useState({});
+  const [openSchedule, setOpenSchedule] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Whether the /api/events stream is connected; bumping streamKey reopens it
+  const [live, setLive] = useState(false);
+  const [streamKey, setStreamKey] = useState(0);
+  // undefined while the session is being checked, null when signed out
+  const [user, setUser] = useState(undefined);
+  // 'projects' or, for admins, 'activity'
+  const [view, setView] = useState('projects');
+
+  useEffect(() => {
+    const checkSession = async () => {
+      try {
+        const response = await apiFetch('/api/auth/me');
+        if (!response.ok) throw httpError(response);
+        const data = await response.json();
+        setUser(data.user);
+      } catch (err) {
+        setUser(null);
+        setLoading(false);
+      }
+    };
+    checkSession();
   }, []);
 
+  // Server push instead of polling: every connection starts with a full
+  // snapshot, so the EventSource's own reconnects resync the dashboard
   useEffect(() => {
-    fetchAllData();
-    
-    // Refresh data every 30 seconds
-    const interval = setInterval(fetchAllData, 30000);
-    return () => clearInterval(interval);
-  }, [fetchAllData]);
+    if (!user) return;
+
+    let synced = false;
+    let retryTimer = null;
+    const source = new EventSource(apiUrl('/api/events'), { withCredentials: true });
+
+    source.addEventListener('snapshot', (event) => {
+      const data = JSON.parse(event.data);
+      synced = true;
+      setProjects(data.projects);
+      setStatus(data.status);
+      setSystemInfo(data.system);
+      setLive(true);
+      setError(null);
+      setLoading(false);
+    });
+    source.addEventListener('project', (event) => {
+      const project = JSON.parse(event.data);
+      setProjects(prev => prev.some(existing => existing.id === project.id)
+        ? prev.map(existing => existing.id === project.id ? project : existing)
+        : [...prev, project]);
+    });
+    source.addEventListener('project.removed', (event) => {
+      const { id } = JSON.parse(event.data);
+      setProjects(prev => prev.filter(project => project.id !== id));
+    });
+    source.addEventListener('deployment', (event) => {
+      const deployment = JSON.parse(event.data);
+      setDeployments(prev => prev[deployment.projectId]?.deploymentId === deployment.id
+        ? { ...prev, [deployment.projectId]: { ...prev[deployment.projectId], status: deployment.status } }
+        : prev);
+    });
+    source.addEventListener('status', (event) => setStatus(JSON.parse(event.data)));
+    source.addEventListener('system', (event) => setSystemInfo(JSON.parse(event.data)));
+
+    source.onerror = async () => {
+      setLive(false);
+      const response = await apiFetch('/api/auth/me').catch(() => null);
+      if (response?.status === 401) {
+        source.close();
+        setUser(null);
+        return;
+      }
+      if (!synced) {
+        setError('Failed to fetch data from server');
+        setLoading(false);
+      }
+      // The browser gives up on a stream the server refused; start a new one
+      if (source.readyState === EventSource.CLOSED && !retryTimer) {
+        retryTimer = setTimeout(() => setStreamKey(key => key + 1), 5000);
+      }
+    };
+
+    return () => {
+      clearTimeout(retryTimer);
+      source.close();
+    };
+  }, [user, streamKey]);
+
+  const handleUnauthorized = useCallback(() => setUser(null), []);
 
-  const handleDeploy = async (projectId) => {
+  const handleLogin = (loggedInUser) => {
+    setLoading(true);
+    setUser(loggedInUser);
+  };
+
+  const handleLogout = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/deploy`, {
+      await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (err) {
+      console.error('Error logging out:', err);
+    }
+    setUser(null);
+  };
+
+  // Outside a deploy window the server holds the deployment for later or
+  // refuses it; admins can push a refused one through with `force`
+  const handleDeploy = async (projectId, environment, force = false) => {
+    try {
+      const response = await apiFetch('/api/deploy', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ projectId }),
+        body: JSON.stringify({ projectId, environment, force: force || undefined }),
       });
       
-      if (!response.ok) throw new Error('Deployment failed');
-      
-      const data = await response.json();
+      if (response.status === 401) return setUser(null);
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 423) {
+        if (isAdmin(user) && window.confirm(`${data.message}. Deploy anyway?`)) return handleDeploy(projectId, environment, true);
+        return;
+      }
+      if (!response.ok) throw new Error(data.message || 'Deployment failed');
+      if (data.held) return alert(data.message);
+
       setDeployments({
         ...deployments,
         [projectId]: data
       });
-      
-      // Refresh projects after deployment
-      setTimeout(fetchProjects, 2000);
+      setOpenLogs(prev => ({ ...prev, [projectId]: data.deploymentId }));
+      // Keep the button disabled until the server reports the deployment done
+      const pending = data.queuePosition > 0 ? 'queued' : 'building';
+      setProjects(prev => prev.map(project => project.id === projectId ? {
+        ...project,
+        status: data.environment === project.environment ? pending : project.status,
+        environments: project.environments?.map(env => env.name === data.environment ? { ...env, status: pending } : env)
+      } : project));
     } catch (error) {
       console.error('Error deploying:', error);
       alert('Deployment failed: ' + error.message);
     }
   };
 
+  // Runs the image `from` is running in `to`, without a rebuild
+  const handlePromote = async (projectId, from, to) => {
+    if (!window.confirm(`Promote the ${from} release of ${projectId} to ${to}?`)) return;
+
+    try {
+      const response = await apiFetch(`/api/projects/${projectId}/promote`, {
+        method: 'POST',
+        body: JSON.stringify({ from, to }),
+      });
+      if (response.status === 401) return setUser(null);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+      if (data.held) return alert(data.message);
+
+      setDeployments(prev => ({ ...prev, [projectId]: data }));
+      setOpenLogs(prev => ({ ...prev, [projectId]: data.deploymentId }));
+    } catch (error) {
+      console.error('Error promoting:', error);
+      alert('Promotion failed: ' + error.message);
+    }
+  };
+
+  // Takes a pull request preview down before its pull request closes
+  const handleRemovePreview = async (projectId, number) => {
+    if (!window.confirm(`Remove the preview of pull request #${number}?`)) return;
+
+    try {
+      const response = await apiFetch(`/api/projects/${projectId}/previews/${number}`, { method: 'DELETE' });
+      if (response.status === 401) return setUser(null);
+      if (!response.ok && response.status !== 404) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Error removing preview:', error);
+      alert('Could not remove preview: ' + error.message);
+    }
+  };
+
+  const handleRemoveSchedule = async (job) => {
+    if (!window.confirm(`Remove the scheduled ${job.cron ? 'job' : 'deployment'} of ${job.projectId} (${job.environment})?`)) return;
+
+    try {
+      const response = await apiFetch(`/api/schedules/${job.id}`, { method: 'DELETE' });
+      if (response.status === 401) return setUser(null);
+      if (!response.ok && response.status !== 404) throw httpError(response);
+    } catch (error) {
+      console.error('Error removing schedule:', error);
+      alert('Could not remove schedule: ' + error.message);
+    }
+  };
+
+  const handleCancel = async (deploymentId) => {
+    try {
+      const response = await apiFetch(`/api/deployments/${deploymentId}/cancel`, { method: 'POST' });
+      if (response.status === 401) return setUser(null);
+      if (!response.ok && response.status !== 409) throw httpError(response);
+    } catch (error) {
+      console.error('Error cancelling deployment:', error);
+      alert('Cancel failed: ' + error.message);
+    }
+  };
+
+  const handleContainerAction = async (project, action) => {
+    const { id, name } = project.containerInfo;
+    if (action === 'remove' && !window.confirm(`Remove container ${name}? It will be force-stopped if running.`)) return;
+
+    try {
+      const response = await apiFetch(
+        action === 'remove' ? `/api/containers/${id}?force=1` : `/api/containers/${id}/${action}`,
+        { method: action === 'remove' ? 'DELETE' : 'POST' }
+      );
+      if (response.status === 401) return setUser(null);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      if (action === 'remove') setOpenContainerLogs(prev => ({ ...prev, [project.id]: null }));
+    } catch (error) {
+      console.error(`Error running ${action}:`, error);
+      alert(`Could not ${action} ${name}: ${error.message}`);
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status?.toLowerCase()) {
       case 'deployed':
@@ -121,6 +1327,10 @@ function App() {
         return '#28a745';
       case 'building': 
         return '#ffc107';
+      case 'queued':
+        return '#17a2b8';
+      case 'rolled_back':
+        return '#fd7e14';
       case 'failed':
       case 'stopped': 
         return '#dc3545';
@@ -136,6 +1346,10 @@ function App() {
     return `${days}d ${hours}h ${minutes}m`;
   };
 
+  if (user === null) {
+    return <LoginScreen onLogin={handleLogin} />;
+  }
+
   if (loading) {
     return (
       <div style={{ 
@@ -183,7 +1397,7 @@ function App() {
             onClick={() => {
               setLoading(true);
               setError(null);
-              fetchAllData();
+              setStreamKey(key => key + 1);
             }}
             style={{
               background: '#dc3545',
@@ -226,9 +1440,35 @@ function App() {
         marginBottom: '20px',
         boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
       }}>
-        <h1 style={{ margin: '0 0 15px 0', color: '#333' }}>
-          🐳 DockerHub Auto-Deploy System
-        </h1>
+        <div style={{ 
+          display: 'flex', 
+          justifyContent: 'space-between', 
+          alignItems: 'center',
+          marginBottom: '15px'
+        }}>
+          <h1 style={{ margin: 0, color: '#333' }}>
+            🐳 DockerHub Auto-Deploy System
+          </h1>
+          {user && (
+            <div style={{ fontSize: '14px', color: '#666' }}>
+              👤 {user.name} ({user.role})
+              <button 
+                onClick={handleLogout}
+                style={{
+                  marginLeft: '10px',
+                  background: '#6c757d',
+                  color: 'white',
+                  border: 'none',
+                  padding: '6px 12px',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                Logout
+              </button>
+            </div>
+          )}
+        </div>
         {status && (
           <div style={{ 
             display: 'flex', 
@@ -238,8 +1478,8 @@ function App() {
             padding: '15px',
             borderRadius: '6px'
           }}>
-            <span style={{ color: '#28a745', fontWeight: 'bold' }}>
-              ✅ Status: Online
+            <span style={{ color: live ? '#28a745' : '#fd7e14', fontWeight: 'bold' }}>
+              {live ? '✅ Status: Online · live' : '⏳ Reconnecting...'}
             </span>
             <span>
               📊 Total Deployments: {status.deployments?.total || 0}
@@ -256,7 +1496,33 @@ function App() {
         )}
       </header>
 
-      <main>
+      {isAdmin(user) && (
+        <nav style={{ display: 'flex', gap: '5px', marginBottom: '20px' }}>
+          {[['projects', '📦 Projects'], ['activity', '📜 Activity']].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setView(key)}
+              style={{
+                background: view === key ? '#007bff' : 'white',
+                color: view === key ? 'white' : '#333',
+                border: '1px solid #ced4da',
+                padding: '8px 16px',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+      )}
+
+      {view === 'activity' && isAdmin(user) && (
+        <ActivityLog projects={projects} onUnauthorized={handleUnauthorized} />
+      )}
+
+      {/* Kept mounted on the Activity tab so open log streams survive */}
+      <main hidden={view === 'activity' && isAdmin(user)}>
         <section style={{ marginBottom: '30px' }}>
           <h2 style={{ color: '#333', marginBottom: '15px' }}>Projects</h2>
           <div style={{ 
@@ -298,7 +1564,7 @@ function App() {
                     <strong>Deployments:</strong> {project.deployments}
                   </p>
                   <p style={{ margin: '5px 0' }}>
-                    <strong>Last Deploy:</strong> {new Date(project.lastDeploy).toLocaleString()}
+                    <strong>Last Deploy:</strong> {project.lastDeploy ? new Date(project.lastDeploy).toLocaleString() : 'Never'}
                   </p>
                   {project.gitInfo && (
                     <p style={{ margin: '5px 0' }}>
@@ -308,28 +1574,323 @@ function App() {
                   {project.containerInfo && (
                     <p style={{ margin: '5px 0' }}>
                       <strong>Container:</strong> {project.containerInfo.status}
+                      {project.containerInfo.health && ` · ${project.containerInfo.health}`}
+                    </p>
+                  )}
+                  {project.hosts?.length > 0 && (
+                    <p style={{ margin: '5px 0' }}>
+                      <strong>Hosts:</strong> {hostSummary(project.hosts)}
+                    </p>
+                  )}
+                  {project.deployWindow && (
+                    <p style={{ margin: '5px 0' }}>
+                      <strong>Deploy window:</strong> {project.deployWindow.open ? 'open' : windowSummary(project.deployWindow)}
                     </p>
                   )}
                 </div>
 
-                <div style={{ marginBottom: '15px' }}>
+                <div style={{ marginBottom: '15px', display: 'flex', gap: '10px' }}>
                   <button 
                     onClick={() => handleDeploy(project.id)}
-                    disabled={project.status === 'building'}
+                    disabled={isActive(project) || !canDeploy(user)}
+                    title={canDeploy(user) ? undefined : 'Requires the deployer role'}
                     style={{
-                      background: project.status === 'building' ? '#6c757d' : '#007bff',
+                      background: isActive(project) || !canDeploy(user) ? '#6c757d' : '#007bff',
                       color: 'white',
                       border: 'none',
                       padding: '10px 20px',
                       borderRadius: '4px',
-                      cursor: project.status === 'building' ? 'not-allowed' : 'pointer',
-                      width: '100%'
+                      cursor: isActive(project) || !canDeploy(user) ? 'not-allowed' : 'pointer',
+                      flex: 1
                     }}
                   >
-                    {project.status === 'building' ? 'Building...' : 'Deploy'}
+                    {project.status === 'building' ? 'Building...'
+                      : project.status === 'queued' ? `Queued (#${project.queuedDeployments?.[0]?.position || 1})`
+                      : project.environments?.length > 1 ? `Deploy ${project.environment}` : 'Deploy'}
                   </button>
+                  {isActive(project) && canDeploy(user) && (project.activeDeployment || project.queuedDeployments?.length > 0) && (
+                    <button
+                      onClick={() => handleCancel(project.activeDeployment || project.queuedDeployments[0].id)}
+                      style={{
+                        background: '#dc3545',
+                        color: 'white',
+                        border: 'none',
+                        padding: '10px 20px',
+                        borderRadius: '4px',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      Cancel
+                    </button>
+                  )}
                 </div>
 
+                {project.environments?.length > 1 && (
+                  <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: `repeat(${project.environments.length}, 1fr)`,
+                    gap: '8px',
+                    marginBottom: '15px'
+                  }}>
+                    {project.environments.map((env, index) => {
+                      const next = project.environments[index + 1];
+                      const busy = isActive(env);
+                      return (
+                        <div key={env.name} style={{
+                          border: '1px solid #e9ecef',
+                          borderRadius: '4px',
+                          padding: '8px',
+                          fontSize: '12px',
+                          color: '#666',
+                          minWidth: 0
+                        }}>
+                          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '5px' }}>
+                            <strong style={{ color: '#333' }}>{env.name}</strong>
+                            <span style={{
+                              background: getStatusColor(env.status),
+                              color: 'white',
+                              padding: '1px 5px',
+                              borderRadius: '3px',
+                              fontSize: '10px'
+                            }}>
+                              {env.status}
+                            </span>
+                          </div>
+                          <div>🌿 {env.branch}</div>
+                          <div style={{ fontFamily: 'monospace', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                            title={env.version?.image || undefined}>
+                            {env.version
+                              ? `${env.version.commit ? env.version.commit.substring(0, 7) : '-'} · ${(env.version.image || '').replace(/^sha256:/, '').substring(0, 12)}`
+                              : 'no release'}
+                          </div>
+                          {env.hosts?.length > 0 && (
+                            <div title="Remote hosts">🖥️ {hostSummary(env.hosts)}</div>
+                          )}
+                          {env.deployWindow && !env.deployWindow.open && (
+                            <div title={windowSummary(env.deployWindow)}>
+                              🔒 {env.deployWindow.nextOpen ? `until ${new Date(env.deployWindow.nextOpen).toLocaleString()}` : 'closed'}
+                            </div>
+                          )}
+                          {canDeploy(user) && (
+                            <div style={{ display: 'flex', gap: '4px', marginTop: '6px' }}>
+                              <button
+                                onClick={() => handleDeploy(project.id, env.name)}
+                                disabled={busy}
+                                style={{
+                                  flex: 1,
+                                  background: 'white',
+                                  color: '#007bff',
+                                  border: '1px solid #007bff',
+                                  borderRadius: '3px',
+                                  padding: '3px',
+                                  fontSize: '11px',
+                                  cursor: busy ? 'not-allowed' : 'pointer'
+                                }}
+                              >
+                                Deploy
+                              </button>
+                              {next && env.version && isEnabled('promotion') && (
+                                <button
+                                  onClick={() => handlePromote(project.id, env.name, next.name)}
+                                  disabled={isActive(next)}
+                                  title={`Run this release in ${next.name}`}
+                                  style={{
+                                    flex: 1,
+                                    background: 'white',
+                                    color: '#28a745',
+                                    border: '1px solid #28a745',
+                                    borderRadius: '3px',
+                                    padding: '3px',
+                                    fontSize: '11px',
+                                    cursor: isActive(next) ? 'not-allowed' : 'pointer'
+                                  }}
+                                >
+                                  ⬆ {next.name}
+                                </button>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+
+                {project.previews?.length > 0 && (
+                  <div style={{ marginBottom: '15px', fontSize: '12px', color: '#666' }}>
+                    <div style={{ fontWeight: 'bold', color: '#333', marginBottom: '5px' }}>🔍 Pull request previews</div>
+                    {project.previews.map(preview => (
+                      <div key={preview.number} style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '6px',
+                        padding: '4px 0',
+                        borderTop: '1px solid #f1f3f5'
+                      }}>
+                        <span title={`Expires ${new Date(preview.expiresAt).toLocaleString()}`}>
+                          {statusIcons[preview.status] || (preview.status ? '🔄' : '⏸️')}
+                        </span>
+                        <strong style={{ color: '#333' }}>#{preview.number}</strong>
+                        <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          {preview.status === 'success'
+                            ? <a href={preview.url} target="_blank" rel="noopener noreferrer">{preview.url}</a>
+                            : `${preview.branch || preview.tag} · ${preview.status || 'not deployed'}`}
+                        </span>
+                        {preview.deploymentId && (
+                          <button
+                            onClick={() => setOpenLogs(prev => ({ ...prev, [project.id]: preview.deploymentId }))}
+                            style={{ background: 'none', border: 'none', color: '#007bff', cursor: 'pointer', fontSize: '11px', padding: 0 }}
+                          >
+                            Logs
+                          </button>
+                        )}
+                        {canDeploy(user) && (
+                          <button
+                            onClick={() => handleRemovePreview(project.id, preview.number)}
+                            style={{ background: 'none', border: 'none', color: '#dc3545', cursor: 'pointer', fontSize: '11px', padding: 0 }}
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {(project.schedules?.length > 0 || canDeploy(user)) && (
+                  <div style={{ marginBottom: '15px', fontSize: '12px', color: '#666' }}>
+                    {project.schedules?.length > 0 && (
+                      <div style={{ fontWeight: 'bold', color: '#333', marginBottom: '5px' }}>⏰ Scheduled deployments</div>
+                    )}
+                    {project.schedules?.map(job => (
+                      <div key={job.id} style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '6px',
+                        padding: '4px 0',
+                        borderTop: '1px solid #f1f3f5'
+                      }}>
+                        <span style={{ whiteSpace: 'nowrap', color: '#333' }}>
+                          {job.nextRunAt ? new Date(job.nextRunAt).toLocaleString() : 'never'}
+                        </span>
+                        <span
+                          style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                          title={job.lastRun ? `Last run ${new Date(job.lastRun.at).toLocaleString()}: ${job.lastRun.outcome}${job.lastRun.error ? ` (${job.lastRun.error})` : ''}` : undefined}
+                        >
+                          {project.environments?.length > 1 ? `${job.environment} · ` : ''}
+                          {job.description ? `${job.description} · ` : ''}{describeSchedule(job)}
+                        </span>
+                        {job.lastRun && (
+                          <span style={{ color: outcomeColors[job.lastRun.outcome] || '#666' }}>{job.lastRun.outcome}</span>
+                        )}
+                        {canDeploy(user) && (
+                          <button
+                            onClick={() => handleRemoveSchedule(job)}
+                            style={{ background: 'none', border: 'none', color: '#dc3545', cursor: 'pointer', fontSize: '11px', padding: 0 }}
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                    {canDeploy(user) && (
+                      <button
+                        onClick={() => setOpenSchedule(prev => ({ ...prev, [project.id]: !prev[project.id] }))}
+                        style={{
+                          background: 'none',
+                          border: 'none',
+                          color: '#007bff',
+                          cursor: 'pointer',
+                          fontSize: '12px',
+                          padding: 0,
+                          marginTop: project.schedules?.length > 0 ? '5px' : 0
+                        }}
+                      >
+                        ⏰ {openSchedule[project.id] ? 'Hide schedule form' : 'Schedule a deployment'}
+                      </button>
+                    )}
+                    {openSchedule[project.id] && (
+                      <ScheduleForm
+                        projectId={project.id}
+                        environments={[project.environment, ...(project.environments || []).map(env => env.name).filter(name => name !== project.environment)]}
+                        onUnauthorized={handleUnauthorized}
+                        onDone={() => setOpenSchedule(prev => ({ ...prev, [project.id]: false }))}
+                      />
+                    )}
+                  </div>
+                )}
+
+                {isEnabled('environmentVariables') && (
+                  <div style={{ marginBottom: '15px' }}>
+                    <button
+                      onClick={() => setOpenVariables(prev => ({ ...prev, [project.id]: !prev[project.id] }))}
+                      style={{
+                        background: 'none',
+                        border: 'none',
+                        color: '#007bff',
+                        cursor: 'pointer',
+                        fontSize: '12px',
+                        padding: 0
+                      }}
+                    >
+                      🔐 {openVariables[project.id] ? 'Hide variables' : 'Environment variables'}
+                    </button>
+                    {openVariables[project.id] && (
+                      <EnvironmentVariables
+                        projectId={project.id}
+                        environments={[project.environment, ...(project.environments || []).map(env => env.name).filter(name => name !== project.environment)]}
+                        canEdit={isAdmin(user)}
+                        onUnauthorized={handleUnauthorized}
+                      />
+                    )}
+                  </div>
+                )}
+
+                {project.containerInfo && (
+                  <div style={{ marginBottom: '15px', display: 'flex', flexWrap: 'wrap', gap: '5px' }}>
+                    {[
+                      { action: 'start', label: '▶ Start', show: project.containerInfo.state !== 'running', allowed: canDeploy(user) },
+                      { action: 'stop', label: '■ Stop', show: project.containerInfo.state === 'running', allowed: canDeploy(user) },
+                      { action: 'restart', label: '↻ Restart', show: project.containerInfo.state === 'running', allowed: canDeploy(user) },
+                      { action: 'remove', label: '🗑 Remove', show: true, allowed: isAdmin(user) }
+                    ].filter(button => button.show && button.allowed && isEnabled('containerControls')).map(button => (
+                      <button
+                        key={button.action}
+                        onClick={() => handleContainerAction(project, button.action)}
+                        disabled={isActive(project)}
+                        style={{
+                          background: 'white',
+                          color: button.action === 'remove' ? '#dc3545' : '#333',
+                          border: '1px solid #ced4da',
+                          padding: '5px 10px',
+                          borderRadius: '4px',
+                          fontSize: '12px',
+                          cursor: isActive(project) ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        {button.label}
+                      </button>
+                    ))}
+                    <button
+                      onClick={() => setOpenContainerLogs(prev => ({
+                        ...prev,
+                        [project.id]: prev[project.id] ? null : project.containerInfo.id
+                      }))}
+                      style={{
+                        background: 'white',
+                        color: '#333',
+                        border: '1px solid #ced4da',
+                        padding: '5px 10px',
+                        borderRadius: '4px',
+                        fontSize: '12px',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      📜 {openContainerLogs[project.id] ? 'Hide Logs' : 'Logs'}
+                    </button>
+                  </div>
+                )}
+
                 {deployments[project.id] && (
                   <div style={{ 
                     background: '#d4edda', 
@@ -346,6 +1907,21 @@ function App() {
                     </p>
                   </div>
                 )}
+
+                {openLogs[project.id] && (
+                  <DeploymentLogViewer 
+                    deploymentId={openLogs[project.id]}
+                    onClose={() => setOpenLogs(prev => ({ ...prev, [project.id]: null }))}
+                  />
+                )}
+
+                {openContainerLogs[project.id] && (
+                  <ContainerLogViewer
+                    containerId={openContainerLogs[project.id]}
+                    name={project.containerInfo?.name || project.containerName}
+                    onClose={() => setOpenContainerLogs(prev => ({ ...prev, [project.id]: null }))}
+                  />
+                )}
               </div>
             ))}
           </div>
@@ -369,11 +1945,19 @@ function App() {
                 <>
                   <p style={{ margin: '5px 0', color: systemInfo.docker.running ? '#28a745' : '#dc3545' }}>
                     {systemInfo.docker.running ? '✅' : '❌'} 
-                    {systemInfo.docker.running ? 'Container Running' : 'Container Stopped'}
+                    {systemInfo.docker.running ? 'Docker Daemon Reachable' : 'Docker Daemon Unreachable'}
                   </p>
                   <p style={{ margin: '5px 0' }}>
                     📦 Active Containers: {systemInfo.docker.containerCount}
                   </p>
+                  <p style={{ margin: '5px 0' }}>
+                    🖼️ Images: {systemInfo.docker.imageCount ?? 0}
+                  </p>
+                  {systemInfo.docker.error && (
+                    <p style={{ margin: '5px 0', fontSize: '12px', color: '#dc3545' }}>
+                      {systemInfo.docker.error}
+                    </p>
+                  )}
                   <p style={{ margin: '5px 0' }}>
                     🔄 Auto-deploy: {systemInfo.docker.running ? 'Active' : 'Inactive'}
                   </p>
@@ -466,6 +2050,8 @@ function App() {
               </div>
             )}
           </div>
+
+          {isEnabled('metrics') && <MetricsCharts onUnauthorized={handleUnauthorized} />}
         </section>
       </main>
 
@@ -486,6 +2072,15 @@ function App() {
             System data last updated: {new Date(systemInfo.lastUpdated).toLocaleString()}
           </p>
         )}
+        {Object.entries(systemInfo?.probes || {})
+          .filter(([, probe]) => probe.stale && !probe.refreshing)
+          .map(([name, probe]) => (
+            <p key={name} style={{ margin: '5px 0 0 0', fontSize: '12px', color: '#fd7e14' }}>
+              ⚠️ {name} data is stale
+              {probe.collectedAt ? ` (last collected ${new Date(probe.collectedAt).toLocaleString()})` : ' (never collected)'}
+              {probe.error && `: ${probe.error}`}
+            </p>
+          ))}
       </footer>
     </div>
   );
@@ -0,0 +1,35 @@
+// Runtime settings served by the API server at /config.json, so the same
+// build works wherever it is deployed. Until they load (or when the file
+// cannot be read, e.g. a static host without the API) the dashboard talks
+// to the origin it was loaded from with every feature on.
+const config = {
+  apiBaseUrl: process.env.REACT_APP_API_BASE_URL || '',
+  features: {
+    metrics: true,
+    containerControls: true,
+    environmentVariables: true,
+    promotion: true
+  }
+};
+
+export async function loadConfig() {
+  try {
+    const response = await fetch(`${process.env.PUBLIC_URL || ''}/config.json`, {
+      cache: 'no-store',
+      headers: { Accept: 'application/json' }
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const loaded = await response.json();
+    if (typeof loaded.apiBaseUrl === 'string') config.apiBaseUrl = loaded.apiBaseUrl.replace(/\/+$/, '');
+    config.features = { ...config.features, ...loaded.features };
+  } catch (error) {
+    console.warn('Could not load /config.json, using defaults:', error.message);
+  }
+  return config;
+}
+
+export const apiUrl = (path) => `${config.apiBaseUrl}${path}`;
+
+export const isEnabled = (feature) => config.features[feature] !== false;
+
+export default config;
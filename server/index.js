@@ -6,78 +6,395 @@ const path = require('path');
 const { exec } = require('child_process');
 const fs = require('fs').promises;
 const os = require('os');
+const crypto = require('crypto');
 const util = require('util');
+const { EventEmitter } = require('events');
+const { createExecutor, createDeployment, runPipeline } = require('./lib/pipeline');
+const { createDeploymentStore, summarize } = require('./lib/store');
+const { openEventStream, getLastEventId, createBroadcaster } = require('./lib/sse');
+const { createDeliveryStore } = require('./lib/deliveries');
+const { createDeploymentQueue } = require('./lib/queue');
+const { createDockerClient } = require('./lib/docker');
+const { createAuditLog, toCsv } = require('./lib/audit');
+const { createMetricsCollector } = require('./lib/metrics');
+const { createCollector } = require('./lib/collector');
+const { createNotifier } = require('./lib/notifications');
+const { createSecretStore } = require('./lib/secrets');
+const { createHostInventory } = require('./lib/hosts');
+const { loadRuntimeConfig } = require('./lib/config');
+const { createScheduler } = require('./lib/scheduler');
+const { windowState } = require('./lib/windows');
+const { DEFAULTS: PREVIEW_DEFAULTS, PREVIEW_LABEL, previewSettings, previewProject, createPreviewStore } = require('./lib/previews');
+const prometheus = require('./lib/prometheus');
+const github = require('./lib/github');
+const registry = require('./lib/registry');
+const { createProjectRegistry, ValidationError, environmentNames, defaultEnvironment, containerNames } = require('./lib/projects');
+const { createAuthStore, requireRole, hasRole, redactHeaders, SESSION_COOKIE } = require('./lib/auth');
 
 const execAsync = util.promisify(exec);
+const pipelineExecutor = createExecutor();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
-// In-memory storage for deployment tracking
-let deploymentStats = {
-  total: 0,
-  successful: 0,
-  failed: 0
-};
+// API base URL, CORS origins and dashboard feature toggles from the
+// environment; the dashboard reads its part from /config.json
+const runtimeConfig = loadRuntimeConfig();
+
+// Deployment history persisted under DATA_DIR
+const deploymentStore = createDeploymentStore({ dataDir: DATA_DIR });
+
+// Dashboard users, API tokens and sessions
+const authStore = createAuthStore({ dataDir: DATA_DIR });
+
+// Webhook deliveries, kept for inspection and replay detection
+const deliveryStore = createDeliveryStore({ dataDir: DATA_DIR });
+
+// Who did what: deploys, container actions, project, secret and user
+// changes, and what webhooks set off
+const auditLog = createAuditLog({ dataDir: DATA_DIR });
+
+// Who is behind a request, for the audit log. req.ip is the client's
+// address when TRUST_PROXY covers the proxy in front of AutoDock.
+function requester(req) {
+  return { actor: req.user?.name || null, ip: req.ip, source: 'api' };
+}
+
+function auditRequest(req, entry) {
+  return auditLog.record({ ...requester(req), ...entry });
+}
+
+// Per-project environment variables and secrets, encrypted under
+// SECRETS_MASTER_KEY and injected into containers at deploy time
+const secretStore = createSecretStore({ dataDir: DATA_DIR, masterKey: process.env.SECRETS_MASTER_KEY });
+
+// Pull request previews that are up, with their ports and expiry times
+const previewStore = createPreviewStore({ dataDir: DATA_DIR });
+
+// Scheduled and held deployments: one-off jobs and cron-style recurring
+// ones such as nightly rebuilds
+const scheduler = createScheduler({ dataDir: DATA_DIR, run: job => runScheduledJob(job) });
+
+// Docker Engine API over /var/run/docker.sock (or DOCKER_HOST=unix://...)
+const docker = createDockerClient();
+
+// Host and container metrics history, sampled every METRICS_INTERVAL
+// seconds and kept for METRICS_RETENTION_HOURS
+const metricsCollector = createMetricsCollector({
+  docker,
+  interval: (parseInt(process.env.METRICS_INTERVAL, 10) || 15) * 1000,
+  retention: (parseInt(process.env.METRICS_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000
+});
+
+// Serializes deployments per project environment and caps how many run at once
+const deploymentQueue = createDeploymentQueue({
+  concurrency: parseInt(process.env.MAX_CONCURRENT_DEPLOYMENTS, 10) || 2
+});
+
+// Live deployment events: 'log' (line, deployment) and 'update' (deployment)
+const deploymentEvents = new EventEmitter();
+deploymentEvents.setMaxListeners(0);
+
+// Dashboard push channel (/api/events): project, deployment, status and
+// system changes go to every connected dashboard as they happen
+const liveUpdates = createBroadcaster();
+
+// Docker, host, GitHub and AWS details for the dashboard, each probe
+// refreshed on its own timer and served from the cache. Docker is also
+// refreshed whenever the daemon reports a container event.
+const systemCollector = createCollector({
+  probes: {
+    docker: { collect: getDockerInfo, interval: 5 * 60 * 1000, timeout: 15000 },
+    system: { collect: getSystemMetrics, interval: 60 * 1000, timeout: 5000 },
+    github: { collect: checkGitHubActions, interval: 10 * 60 * 1000, timeout: 5000 },
+    aws: { collect: checkAWSConnection, interval: 60 * 60 * 1000, timeout: 10000 }
+  },
+  // Project status follows Docker; the totals show each probe's health
+  onUpdate: () => {
+    liveUpdates.publish('system', systemSnapshot());
+    scheduleProjectsRefresh();
+  }
+});
+
+// What /api/system and the dashboard show: the cached probe values, when
+// the newest was collected, and per probe when it last succeeded, whether
+// it is stale and why its last run failed
+function systemSnapshot() {
+  return {
+    docker: systemCollector.peek('docker'),
+    system: systemCollector.peek('system'),
+    github: systemCollector.peek('github'),
+    aws: systemCollector.peek('aws'),
+    lastUpdated: systemCollector.lastCollectedAt(),
+    probes: systemCollector.status()
+  };
+}
+
+// Prometheus metrics served on /metrics
+const metricsRegistry = prometheus.createRegistry();
+
+const deploymentsTotal = metricsRegistry.counter({
+  name: 'autodock_deployments_total',
+  help: 'Finished deployments by project and outcome.',
+  labelNames: ['project', 'outcome']
+});
+
+const stageDuration = metricsRegistry.histogram({
+  name: 'autodock_deployment_stage_duration_seconds',
+  help: 'Duration of deployment pipeline stages.',
+  labelNames: ['project', 'stage', 'status'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1200]
+});
+
+const httpRequestsTotal = metricsRegistry.counter({
+  name: 'autodock_http_requests_total',
+  help: 'HTTP requests by method, route and status code.',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = metricsRegistry.histogram({
+  name: 'autodock_http_request_duration_seconds',
+  help: 'HTTP request latency by method and route.',
+  labelNames: ['method', 'route']
+});
+
+// Counts a deployment once, when its record first shows it finished
+const countedDeployments = new Set();
+
+function recordDeploymentMetrics(deployment, { stages = true } = {}) {
+  if (!deployment.finishedAt || countedDeployments.has(deployment.id)) return;
+  countedDeployments.add(deployment.id);
+  deploymentsTotal.inc({ project: deployment.projectId, outcome: deployment.status });
+
+  if (!stages) return;
+  deployment.stages
+    .filter(stage => stage.startedAt && stage.finishedAt)
+    .forEach(stage => stageDuration.observe(
+      { project: deployment.projectId, stage: stage.name, status: stage.status },
+      (new Date(stage.finishedAt) - new Date(stage.startedAt)) / 1000
+    ));
+}
+
+// Dashboard totals, derived from the deployment counters
+function deploymentStats() {
+  const result = { total: 0, successful: 0, failed: 0 };
+  deploymentsTotal.values().forEach(({ labels, value }) => {
+    result.total += value;
+    if (labels.outcome === 'success') result.successful += value;
+    if (['failed', 'rolled_back'].includes(labels.outcome)) result.failed += value;
+  });
+  return result;
+}
+
+function publishDeployment(deployment) {
+  deploymentStore.save(deployment);
+  recordDeploymentMetrics(deployment);
+  deploymentEvents.emit('update', deployment);
+}
 
 let projects = [];
-let systemInfo = {};
+
+// Scrape-time gauges over the latest Docker snapshot, the host and the queue
+metricsRegistry.gauge({
+  name: 'autodock_docker_up',
+  help: 'Whether the Docker daemon answered the last check (1) or not (0).',
+  collect: () => [{ value: systemCollector.peek('docker')?.running ? 1 : 0 }]
+});
+
+metricsRegistry.gauge({
+  name: 'autodock_containers',
+  help: 'Containers known to the Docker daemon by state.',
+  labelNames: ['state'],
+  collect: () => {
+    const counts = {};
+    (systemCollector.peek('docker')?.containers || []).forEach(container => {
+      counts[container.state] = (counts[container.state] || 0) + 1;
+    });
+    return Object.entries(counts).map(([state, value]) => ({ labels: { state }, value }));
+  }
+});
+
+metricsRegistry.gauge({
+  name: 'autodock_images',
+  help: 'Images known to the Docker daemon.',
+  collect: () => [{ value: systemCollector.peek('docker')?.imageCount }]
+});
+
+metricsRegistry.gauge({
+  name: 'autodock_deployment_queue',
+  help: 'Deployments running or waiting in the queue.',
+  labelNames: ['state'],
+  collect: () => {
+    const queue = deploymentQueue.snapshot();
+    return [{ labels: { state: 'running' }, value: queue.running.length }, { labels: { state: 'queued' }, value: queue.queued.length }];
+  }
+});
+
+metricsRegistry.gauge({
+  name: 'autodock_host_load_average',
+  help: 'Host load average.',
+  labelNames: ['period'],
+  collect: () => os.loadavg()
+    .map((value, index) => ({ labels: { period: ['1m', '5m', '15m'][index] }, value }))
+});
+
+metricsRegistry.gauge({
+  name: 'autodock_host_memory_bytes',
+  help: 'Host memory by state.',
+  labelNames: ['state'],
+  collect: () => [
+    { labels: { state: 'total' }, value: os.totalmem() },
+    { labels: { state: 'free' }, value: os.freemem() }
+  ]
+});
+
+metricsRegistry.gauge({
+  name: 'autodock_host_cpus',
+  help: 'Host CPU count.',
+  collect: () => [{ value: os.cpus().length }]
+});
+
+metricsRegistry.gauge({
+  name: 'autodock_host_uptime_seconds',
+  help: 'Host uptime.',
+  collect: () => [{ value: os.uptime() }]
+});
+
+// Built-in definition of this repository, used until autodock.projects.yml
+// exists. Mirrors deployment/deploy.sh.
+const PROJECTS_FILE = process.env.PROJECTS_FILE || path.join(__dirname, '..', 'autodock.projects.yml');
+const defaultProjects = [{
+  id: 'autodock',
+  name: 'DockerHub Auto-Deploy System',
+  repository: 'vaibhav-bhosale1/AutoDock-Full-Stack-CI-CD-Deployment-Engine',
+  branch: 'main',
+  sourceDir: '.',
+  dockerfile: 'Dockerfile',
+  image: 'vaibhavbhosale1/autodock',
+  containerName: 'autodock',
+  ports: ['5000:5000'],
+  env: { NODE_ENV: 'production', PORT: '5000' },
+  healthCheck: { path: '/api/health' },
+  webhookSecret: '${GITHUB_WEBHOOK_SECRET}',
+  registryToken: '${REGISTRY_WEBHOOK_TOKEN}'
+}];
+
+// Set when AutoDock runs in a container (docker-compose sets autodock), so
+// deployed containers are health-checked over that network
+const projectRegistry = createProjectRegistry({ file: PROJECTS_FILE, defaults: defaultProjects, network: process.env.DEPLOY_NETWORK || null });
+
+// Slack, Discord, webhook and email channels from autodock.notifications.yml;
+// each project's `notifications` rules pick the channels and events
+const notifier = createNotifier({
+  file: process.env.NOTIFICATIONS_FILE || path.join(path.dirname(PROJECTS_FILE), 'autodock.notifications.yml'),
+  getProject: projectId => getPipelineProject(projectId)
+});
+deploymentEvents.on('update', deployment => notifier.handle(deployment));
+
+// Deployments go out without their logs, which have their own stream
+deploymentEvents.on('update', ({ logs, ...deployment }) => {
+  liveUpdates.publish('deployment', deployment);
+  scheduleProjectsRefresh();
+});
+
+// Remote machines from autodock.hosts.yml that projects with `targets`
+// deploy to over SSH
+const hostInventory = createHostInventory({
+  file: process.env.HOSTS_FILE || path.join(path.dirname(PROJECTS_FILE), 'autodock.hosts.yml'),
+  executor: pipelineExecutor
+});
 
 // Middleware
 app.use(helmet({
   crossOriginEmbedderPolicy: false,
 }));
+// Docker Hub can only pass the registry webhook token as ?token=, so it is
+// masked before the URL reaches the access log
+morgan.token('url', req => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/gi, '$1[redacted]'));
 app.use(morgan('combined'));
+app.use(prometheus.httpMetrics({ requests: httpRequestsTotal, duration: httpRequestDuration }));
+
+// Proxies (nginx) whose X-Forwarded-For is believed, so req.ip and the
+// audit log show the real client
+app.set('trust proxy', runtimeConfig.trustProxy);
 
-// CORS configuration
+// CORS configuration: only needed when the dashboard is served from
+// another origin than the API (CORS_ORIGINS); the bundled build calls its own
 app.use(cors({
-  origin: [
-    'http://localhost:3000',
-    'http://localhost:3001', 
-    'http://54.226.97.70:3000',
-    'http://54.226.97.70:3001',
-    'http://54.226.97.70',
-    '*' // Allow all origins in development
-  ],
+  origin: runtimeConfig.allowedOrigins,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body around so webhook signatures can be verified
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+// Registry notifications use application/vnd.docker.distribution.events.v1+json
+app.use(express.json({ type: ['application/json', 'application/*+json'], verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+
+// Resolve the caller from a bearer token or session cookie; routes decide
+// what they require with requireRole()
+app.use((req, res, next) => {
+  req.user = authStore.identify(req);
+  next();
+});
+
+// Runtime settings for the dashboard, loaded before it renders (and
+// before anyone signs in), so they can change without a rebuild
+app.get('/config.json', (req, res) => {
+  res.set('Cache-Control', 'no-store').json(runtimeConfig.client());
+});
 
 // Serve static files from React build
 app.use(express.static(path.join(__dirname, '../client/build')));
 
-// Helper functions for real system data
+// Helper functions for real system data. `running` reflects whether the
+// daemon answers; a failed listing is reported in `error` without marking
+// the daemon down.
 async function getDockerInfo() {
   try {
-    const { stdout: containers } = await execAsync('docker ps --format "table {{.Names}}\t{{.Status}}\t{{.Ports}}"');
-    const { stdout: images } = await execAsync('docker images --format "table {{.Repository}}\t{{.Tag}}\t{{.CreatedAt}}"');
-    
+    await docker.ping();
+  } catch (error) {
+    return {
+      running: false,
+      error: error.message,
+      containers: [],
+      images: [],
+      containerCount: 0,
+      imageCount: 0
+    };
+  }
+
+  try {
+    const [containers, images] = await Promise.all([docker.listContainers(), docker.listImages()]);
     return {
       running: true,
-      containers: containers.split('\n').filter(line => line && !line.includes('NAMES')),
-      images: images.split('\n').filter(line => line && !line.includes('REPOSITORY')),
-      containerCount: containers.split('\n').length - 2 // excluding header and empty line
+      containers,
+      images,
+      containerCount: containers.filter(container => container.state === 'running').length,
+      imageCount: images.length
     };
   } catch (error) {
     return {
-      running: false,
+      running: true,
       error: error.message,
       containers: [],
       images: [],
-      containerCount: 0
+      containerCount: 0,
+      imageCount: 0
     };
   }
 }
 
-async function getSystemMetrics() {
+async function getSystemMetrics({ signal } = {}) {
   try {
-    const { stdout: diskUsage } = await execAsync('df -h / | tail -1');
-    const { stdout: memInfo } = await execAsync('free -h');
-    
+    const { stdout: diskUsage } = await execAsync('df -h / | tail -1', { signal });
+    const { stdout: memInfo } = await execAsync('free -h', { signal });
+
     return {
       uptime: os.uptime(),
       hostname: os.hostname(),
@@ -86,6 +403,8 @@ async function getSystemMetrics() {
       cpuCount: os.cpus().length,
       totalMemory: (os.totalmem() / 1024 / 1024 / 1024).toFixed(2) + ' GB',
       freeMemory: (os.freemem() / 1024 / 1024 / 1024).toFixed(2) + ' GB',
+      totalMemoryBytes: os.totalmem(),
+      freeMemoryBytes: os.freemem(),
       loadAverage: os.loadavg(),
       diskUsage: diskUsage.trim(),
       memoryInfo: memInfo
@@ -100,77 +419,93 @@ async function getSystemMetrics() {
   }
 }
 
-async function getGitProjects() {
-  try {
-    // Check if we're in a git repository
-    const { stdout: gitStatus } = await execAsync('git status --porcelain 2>/dev/null || echo "Not a git repo"');
-    const { stdout: gitBranch } = await execAsync('git branch --show-current 2>/dev/null || echo "main"');
-    const { stdout: gitLog } = await execAsync('git log -1 --format="%H|%an|%ad|%s" 2>/dev/null || echo "No commits"');
-    
-    // Get Docker images that might be related to projects
-    const dockerInfo = await getDockerInfo();
-    
-    // Create project data based on actual system state
-    const realProjects = [];
-    
-    // Add current project if in git repo
-    if (!gitStatus.includes('Not a git repo')) {
-      const [hash, author, date, message] = gitLog.split('|');
-      realProjects.push({
-        id: 1,
-        name: 'DockerHub Auto-Deploy System',
-        status: dockerInfo.running ? 'deployed' : 'stopped',
-        lastDeploy: new Date().toISOString(),
-        deployments: deploymentStats.total,
-        branch: gitBranch.trim(),
-        gitInfo: {
-          lastCommit: hash?.substring(0, 8),
-          author,
-          message,
-          date
-        }
-      });
+// Registry projects merged with what is actually running and the
+// deployment history
+async function getProjectsWithStatus() {
+  // Kept current by the Docker event watcher
+  const dockerInfo = await systemCollector.get('docker');
+  const containers = new Map((dockerInfo?.containers || []).map(container => [container.name, container]));
+  // Blue/green projects run as <containerName>-blue / -green
+  const findContainer = name => containers.get(name) ||
+    [`${name}-blue`, `${name}-green`].map(color => containers.get(color)).find(container => container?.state === 'running');
+
+  const queue = deploymentQueue.snapshot();
+
+  // State of one environment: what runs there and what is queued for it
+  const environmentStatus = (definition, environment) => {
+    const project = projectRegistry.resolve(definition, environment);
+    const lastDeployment = deploymentStore.list({ projectId: definition.id, environment, limit: 1 }).deployments[0];
+    const [release] = successfulDeployments(definition.id, environment);
+    const container = findContainer(project.containerName);
+    const running = queue.running.find(job => job.projectId === definition.id && job.environment === environment);
+    const queued = queue.queued.filter(job => job.projectId === definition.id && job.environment === environment);
+
+    let status = 'not deployed';
+    if (running) {
+      status = 'building';
+    } else if (queued.length > 0) {
+      status = 'queued';
+    } else if (container) {
+      status = container.state === 'running' ? 'deployed' : 'stopped';
+    } else if (lastDeployment && lastDeployment.status === 'failed') {
+      status = 'failed';
+    } else if (project.targets && release) {
+      // Remote containers are not visible here; trust the last release
+      status = 'deployed';
     }
-    
-    // Add projects based on Docker containers
-    dockerInfo.containers.forEach((container, index) => {
-      const [name, status, ports] = container.split('\t');
-      if (name && name !== 'NAMES') {
-        realProjects.push({
-          id: index + 2,
-          name: name.trim(),
-          status: status.includes('Up') ? 'deployed' : 'stopped',
-          lastDeploy: new Date().toISOString(),
-          deployments: Math.floor(Math.random() * 50) + 1,
-          branch: 'main',
-          containerInfo: {
-            status: status.trim(),
-            ports: ports?.trim() || 'No ports exposed'
-          }
-        });
-      }
-    });
-    
-    return realProjects.length > 0 ? realProjects : [{
-      id: 1,
-      name: 'DockerHub Auto-Deploy System',
-      status: 'running',
-      lastDeploy: new Date().toISOString(),
-      deployments: deploymentStats.total,
-      branch: 'main'
-    }];
-  } catch (error) {
-    console.error('Error getting git projects:', error);
-    return [{
-      id: 1,
-      name: 'DockerHub Auto-Deploy System',
-      status: 'unknown',
-      lastDeploy: new Date().toISOString(),
-      deployments: deploymentStats.total,
-      branch: 'main',
-      error: error.message
-    }];
-  }
+
+    return {
+      name: environment,
+      branch: project.branch,
+      containerName: project.containerName,
+      status,
+      lastDeploy: lastDeployment ? lastDeployment.createdAt : null,
+      activeDeployment: running ? running.id : null,
+      queuedDeployments: queued.map(({ id, position }) => ({ id, position })),
+      deployWindow: deployWindowStatus(project),
+      // Remote hosts and how the latest deployment went on each
+      hosts: project.targets ? hostInventory.select(project.targets).map(id => {
+        const entry = lastDeployment?.hosts?.find(host => host.id === id);
+        return { id, status: entry ? entry.status : null, finishedAt: entry ? entry.finishedAt : null };
+      }) : undefined,
+      // Last successful release, i.e. the version the environment runs
+      version: release ? {
+        deploymentId: release.id,
+        commit: release.commit,
+        image: release.imageDigest || release.image,
+        finishedAt: release.finishedAt
+      } : null,
+      gitInfo: lastDeployment?.commit ? {
+        lastCommit: lastDeployment.commit.substring(0, 8),
+        deploymentId: lastDeployment.id
+      } : undefined,
+      containerInfo: container ? {
+        id: container.id.substring(0, 12),
+        name: container.name,
+        state: container.state,
+        status: container.status,
+        health: container.health,
+        imageDigest: container.imageDigest,
+        ports: container.ports
+      } : undefined
+    };
+  };
+
+  // Top-level status fields describe the default environment
+  return projectRegistry.list().map(definition => {
+    const environments = environmentNames(definition).map(environment => environmentStatus(definition, environment));
+    const { name, branch, containerName, version, ...current } = environments.find(environment => environment.name === defaultEnvironment(definition));
+
+    return {
+      ...projectRegistry.redact(definition),
+      ...current,
+      environment: name,
+      deployments: deploymentStore.list({ projectId: definition.id, limit: 1 }).total,
+      environments,
+      schedules: scheduler.list({ projectId: definition.id }),
+      previews: previewStore.list({ projectId: definition.id }).map(preview => previewStatus(preview, containers.get(preview.containerName)))
+    };
+  });
 }
 
 async function checkGitHubActions() {
@@ -194,11 +529,11 @@ async function checkGitHubActions() {
   }
 }
 
-async function checkAWSConnection() {
+async function checkAWSConnection({ signal } = {}) {
   try {
     // Get current public IP and system info
-    const { stdout: publicIP } = await execAsync('curl -s http://checkip.amazonaws.com/ || echo "Unknown"');
-    const { stdout: instanceMetadata } = await execAsync('curl -s --connect-timeout 2 http://169.254.169.254/latest/meta-data/instance-id || echo "Not on AWS"');
+    const { stdout: publicIP } = await execAsync('curl -s --max-time 5 http://checkip.amazonaws.com/ || echo "Unknown"', { signal });
+    const { stdout: instanceMetadata } = await execAsync('curl -s --connect-timeout 2 --max-time 3 http://169.254.169.254/latest/meta-data/instance-id || echo "Not on AWS"', { signal });
     
     return {
       connected: !instanceMetadata.includes('Not on AWS'),
@@ -216,192 +551,1616 @@ async function checkAWSConnection() {
   }
 }
 
-// Initialize system data
-async function initializeSystemData() {
+function statusSummary() {
+  return {
+    message: 'DockerHub Auto-Deploy API is running!',
+    version: '1.0.0',
+    timestamp: new Date().toISOString(),
+    deployments: deploymentStats(),
+    systemHealth: {
+      docker: systemCollector.peek('docker')?.running || false,
+      github: systemCollector.peek('github')?.active || false,
+      aws: systemCollector.peek('aws')?.connected || false
+    }
+  };
+}
+
+// Last published JSON per project id, to send only what changed
+const publishedProjects = new Map();
+let publishedStatus = null;
+
+// Recomputes project status and pushes the projects that changed, the
+// ones that are gone and the totals when they moved
+async function refreshProjects() {
+  projects = await getProjectsWithStatus();
+
+  const current = new Set();
+  projects.forEach(project => {
+    current.add(project.id);
+    const json = JSON.stringify(project);
+    if (publishedProjects.get(project.id) !== json) {
+      publishedProjects.set(project.id, json);
+      liveUpdates.publish('project', project);
+    }
+  });
+  [...publishedProjects.keys()].filter(id => !current.has(id)).forEach(id => {
+    publishedProjects.delete(id);
+    liveUpdates.publish('project.removed', { id });
+  });
+
+  const { timestamp, ...status } = statusSummary();
+  const json = JSON.stringify(status);
+  if (json !== publishedStatus) {
+    publishedStatus = json;
+    liveUpdates.publish('status', { ...status, timestamp });
+  }
+}
+
+// Bursts of changes (every stage of a deployment, a container restarting)
+// collapse into one refresh
+let projectsRefreshTimer = null;
+function scheduleProjectsRefresh() {
+  if (projectsRefreshTimer) return;
+  projectsRefreshTimer = setTimeout(() => {
+    projectsRefreshTimer = null;
+    refreshProjects().catch(error => console.error('❌ Error refreshing projects:', error));
+  }, 250);
+}
+
+// A new Docker value publishes itself and refreshes projects (onUpdate)
+let dockerRefreshTimer = null;
+function scheduleDockerRefresh() {
+  if (dockerRefreshTimer) return;
+  dockerRefreshTimer = setTimeout(() => {
+    dockerRefreshTimer = null;
+    systemCollector.refresh('docker');
+  }, 500);
+}
+
+// Follows the daemon's container events and refreshes Docker state when
+// one arrives, instead of listing containers on a timer. Each (re)connect
+// starts with a full refresh; while the daemon cannot be reached it is
+// retried every DOCKER_RETRY_INTERVAL ms.
+const DOCKER_RETRY_INTERVAL = 30000;
+async function watchDocker() {
+  let events = null;
   try {
-    const [dockerInfo, systemMetrics, gitHubInfo, awsInfo] = await Promise.all([
-      getDockerInfo(),
-      getSystemMetrics(),
-      checkGitHubActions(),
-      checkAWSConnection()
-    ]);
-    
-    systemInfo = {
-      docker: dockerInfo,
-      system: systemMetrics,
-      github: gitHubInfo,
-      aws: awsInfo,
-      lastUpdated: new Date().toISOString()
-    };
-    
-    projects = await getGitProjects();
-    
-    console.log('✅ System data initialized');
+    events = await docker.events(() => scheduleDockerRefresh());
   } catch (error) {
-    console.error('❌ Error initializing system data:', error);
+    if (systemCollector.peek('docker')?.running !== false) console.error('⚠️ Cannot follow Docker events:', error.message);
+  }
+
+  await systemCollector.refresh('docker');
+  if (events) await events.done;
+  setTimeout(watchDocker, events ? 1000 : DOCKER_RETRY_INTERVAL).unref();
+}
+
+function sendAuthError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
   }
+  console.error('Auth error:', error);
+  res.status(500).json({ error: 'Internal Server Error', message: error.message });
 }
 
-// Initialize on startup
-initializeSystemData();
+// Dashboard sign-in with a username/password or an API token
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password, token } = req.body;
+
+  try {
+    const session = await authStore.login({ username, password, token });
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    res.cookie(SESSION_COOKIE, session.id, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      maxAge: session.maxAge
+    });
+    res.json({ user: session.identity });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const sessionId = authStore.sessionIdFrom(req);
+  if (sessionId) authStore.logout(sessionId);
+  res.clearCookie(SESSION_COOKIE);
+  res.status(204).end();
+});
+
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+  res.json({ user: req.user });
+});
+
+app.get('/api/auth/users', requireRole('admin'), (req, res) => {
+  res.json(authStore.listUsers());
+});
+
+app.post('/api/auth/users', requireRole('admin'), async (req, res) => {
+  const entry = { action: 'user.create', target: req.body?.username, projectId: null, params: req.body };
+  try {
+    const user = await authStore.createUser(req.body);
+    auditRequest(req, { ...entry, outcome: 'success' });
+    res.status(201).json(user);
+  } catch (error) {
+    auditRequest(req, { ...entry, outcome: 'failed', error: error.message });
+    sendAuthError(res, error);
+  }
+});
+
+app.delete('/api/auth/users/:username', requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await authStore.deleteUser(req.params.username);
+    if (!removed) return res.status(404).json({ error: 'User not found' });
+    auditRequest(req, { action: 'user.delete', target: req.params.username, projectId: null, outcome: 'success' });
+    res.status(204).end();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+app.get('/api/auth/tokens', requireRole('admin'), (req, res) => {
+  res.json(authStore.listTokens());
+});
+
+app.post('/api/auth/tokens', requireRole('admin'), async (req, res) => {
+  const entry = { action: 'token.create', target: req.body?.name, projectId: null, params: req.body };
+  try {
+    const token = await authStore.createToken(req.body);
+    auditRequest(req, { ...entry, outcome: 'success', details: { id: token.id } });
+    res.status(201).json(token);
+  } catch (error) {
+    auditRequest(req, { ...entry, outcome: 'failed', error: error.message });
+    sendAuthError(res, error);
+  }
+});
 
-// Refresh system data every 30 seconds
-setInterval(initializeSystemData, 30000);
+app.delete('/api/auth/tokens/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const revoked = await authStore.revokeToken(req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'Token not found' });
+    auditRequest(req, { action: 'token.revoke', target: req.params.id, projectId: null, outcome: 'success' });
+    res.status(204).end();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
 
 // Test endpoint to verify server is reachable
 app.get('/api/test', (req, res) => {
   res.json({
     message: 'Server is reachable!',
     timestamp: new Date().toISOString(),
-    headers: req.headers
+    headers: redactHeaders(req.headers)
   });
 });
 
+// Prometheus scrape endpoint; scrape with an API token (viewer is enough)
+app.get('/metrics', requireRole('viewer'), (req, res) => {
+  res.set('Content-Type', metricsRegistry.contentType).send(metricsRegistry.render());
+});
+
 // Health check endpoint for Docker/AWS
-app.get('/api/health', async (req, res) => {
-  const systemMetrics = await getSystemMetrics();
+app.get('/api/health', (req, res) => {
   res.status(200).json({
     status: 'OK',
     timestamp: new Date().toISOString(),
     uptime: Math.floor(process.uptime()),
-    systemUptime: Math.floor(systemMetrics.uptime),
+    systemUptime: Math.floor(os.uptime()),
     environment: process.env.NODE_ENV || 'development',
     version: '1.0.0',
-    hostname: systemMetrics.hostname,
-    platform: systemMetrics.platform
+    hostname: os.hostname(),
+    platform: os.platform()
   });
 });
 
 // API Routes
-app.get('/api/status', (req, res) => {
-  res.json({
-    message: 'DockerHub Auto-Deploy API is running!',
-    version: '1.0.0',
-    timestamp: new Date().toISOString(),
-    deployments: deploymentStats,
-    systemHealth: {
-      docker: systemInfo.docker?.running || false,
-      github: systemInfo.github?.active || false,
-      aws: systemInfo.aws?.connected || false
-    }
-  });
+app.get('/api/status', requireRole('viewer'), (req, res) => {
+  res.json(statusSummary());
+});
+
+// Push channel for the dashboard. Every connection starts with a snapshot
+// of projects, totals and system details, so a client that reconnects is
+// resynced, then gets 'project', 'project.removed', 'deployment', 'status'
+// and 'system' events as things change.
+app.get('/api/events', requireRole('viewer'), (req, res) => {
+  const stream = openEventStream(req, res);
+  stream.send('snapshot', { projects, status: statusSummary(), system: systemSnapshot() }, liveUpdates.lastId);
+  liveUpdates.attach(stream);
 });
 
-app.get('/api/projects', async (req, res) => {
+app.get('/api/projects', requireRole('viewer'), async (req, res) => {
   try {
-    // Refresh projects data
-    const freshProjects = await getGitProjects();
-    projects = freshProjects;
-    res.json(projects);
+    res.json(await getProjectsWithStatus());
   } catch (error) {
     console.error('Error fetching projects:', error);
     res.status(500).json({ error: 'Failed to fetch projects', message: error.message });
   }
 });
 
-app.get('/api/system', (req, res) => {
-  res.json(systemInfo);
+function sendProjectError(res, error) {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ error: 'Invalid project', message: error.message, details: error.errors });
+  }
+  if (error.status === 409) {
+    return res.status(409).json({ error: 'Project conflict', message: error.message });
+  }
+  console.error('Error saving project:', error);
+  res.status(500).json({ error: 'Failed to save project', message: error.message });
+}
+
+app.get('/api/projects/:id', requireRole('viewer'), (req, res) => {
+  const definition = projectRegistry.get(req.params.id);
+  if (!definition) {
+    return res.status(404).json({ error: 'Project not found', message: `No project with id ${req.params.id}` });
+  }
+  res.json(projectRegistry.redact(definition));
+});
+
+app.post('/api/projects', requireRole('admin'), async (req, res) => {
+  const entry = { action: 'project.create', target: req.body?.id || req.body?.name, params: req.body };
+  try {
+    const definition = await projectRegistry.create(req.body);
+    auditRequest(req, { ...entry, target: definition.id, projectId: definition.id, outcome: 'success' });
+    scheduleProjectsRefresh();
+    res.status(201).json(projectRegistry.redact(definition));
+  } catch (error) {
+    auditRequest(req, { ...entry, projectId: null, outcome: 'failed', error: error.message });
+    sendProjectError(res, error);
+  }
 });
 
-app.post('/api/deploy', async (req, res) => {
-  const { projectId, branch = 'main' } = req.body;
-  
-  if (!projectId) {
-    return res.status(400).json({ error: 'Project ID is required' });
+app.put('/api/projects/:id', requireRole('admin'), async (req, res) => {
+  const entry = { action: 'project.update', target: req.params.id, projectId: req.params.id, params: req.body };
+  try {
+    const definition = await projectRegistry.update(req.params.id, req.body);
+    if (!definition) {
+      return res.status(404).json({ error: 'Project not found', message: `No project with id ${req.params.id}` });
+    }
+    auditRequest(req, { ...entry, outcome: 'success' });
+    scheduleProjectsRefresh();
+    res.json(projectRegistry.redact(definition));
+  } catch (error) {
+    auditRequest(req, { ...entry, outcome: 'failed', error: error.message });
+    sendProjectError(res, error);
   }
+});
 
-  const deploymentId = `deploy_${Date.now()}_${projectId}`;
-  
+app.delete('/api/projects/:id', requireRole('admin'), async (req, res) => {
   try {
-    // Simulate real deployment process
-    deploymentStats.total += 1;
-    
-    // You can add real deployment logic here
-    // For example: docker build, push to registry, etc.
-    
-    // Simulate deployment success/failure (90% success rate)
-    const success = Math.random() > 0.1;
-    
-    setTimeout(() => {
-      if (success) {
-        deploymentStats.successful += 1;
-      } else {
-        deploymentStats.failed += 1;
-      }
-    }, 2000);
-    
-    res.json({
-      success: true,
-      message: `Deployment initiated for project ${projectId}`,
-      deploymentId,
-      projectId,
-      branch,
-      timestamp: new Date().toISOString(),
-      estimatedTime: '3-5 minutes'
+    const removed = await projectRegistry.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Project not found', message: `No project with id ${req.params.id}` });
+    }
+    auditRequest(req, { action: 'project.delete', target: req.params.id, projectId: req.params.id, outcome: 'success' });
+    await secretStore.removeProject(req.params.id);
+    previewStore.list({ projectId: req.params.id }).forEach(preview => {
+      teardownPreview(preview, { reason: 'project deleted', by: requester(req) })
+        .catch(error => console.error(`❌ Could not remove preview ${preview.containerName}:`, error.message));
     });
+    scheduler.removeWhere(job => job.projectId === req.params.id);
+    scheduleProjectsRefresh();
+    res.status(204).end();
   } catch (error) {
-    deploymentStats.failed += 1;
-    res.status(500).json({
-      success: false,
-      error: 'Deployment failed',
-      message: error.message
-    });
+    sendProjectError(res, error);
   }
 });
 
-app.get('/api/deployments/:id', (req, res) => {
-  const { id } = req.params;
-  
-  res.json({
-    deploymentId: id,
-    status: 'completed',
-    logs: [
-      `[${new Date().toLocaleTimeString()}] Starting deployment...`,
-      `[${new Date().toLocaleTimeString()}] Checking system resources...`,
-      `[${new Date().toLocaleTimeString()}] Building Docker image...`,
-      `[${new Date().toLocaleTimeString()}] Pushing to DockerHub...`,
-      `[${new Date().toLocaleTimeString()}] Deploying to EC2...`,
-      `[${new Date().toLocaleTimeString()}] Running health checks...`,
-      `[${new Date().toLocaleTimeString()}] Deployment successful!`
-    ],
-    duration: '4m 32s',
-    timestamp: new Date().toISOString(),
-    systemInfo: {
-      hostname: systemInfo.system?.hostname,
-      uptime: systemInfo.system?.uptime
-    }
-  });
+function sendSecretError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.status === 503 ? 'Secrets disabled' : 'Invalid variable', message: error.message });
+  }
+  console.error('Error saving variable:', error);
+  res.status(500).json({ error: 'Failed to save variable', message: error.message });
+}
+
+// Stored environment variables and secrets of a project; secret values
+// are masked (?environment= limits the list to one environment)
+app.get('/api/projects/:id/env', requireRole('viewer'), (req, res) => {
+  const definition = projectRegistry.get(req.params.id);
+  if (!definition || (req.query.environment && !environmentNames(definition).includes(req.query.environment))) {
+    return sendProjectNotFound(res, req.params.id, req.query.environment);
+  }
+
+  try {
+    res.json({ projectId: req.params.id, variables: secretStore.list({ projectId: req.params.id, environment: req.query.environment }) });
+  } catch (error) {
+    sendSecretError(res, error);
+  }
 });
 
-// Serve React app for all non-API routes
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, '../client/build', 'index.html'));
+// { value, secret, environment } for one variable; values are never echoed
+app.put('/api/projects/:id/env/:key', requireRole('admin'), async (req, res) => {
+  const definition = projectRegistry.get(req.params.id);
+  const { value, secret, environment = definition && defaultEnvironment(definition) } = req.body || {};
+  if (!definition || !environmentNames(definition).includes(environment)) {
+    return sendProjectNotFound(res, req.params.id, environment);
+  }
+
+  // Values of secrets stay out of the log
+  const entry = { action: 'env.set', target: req.params.key, projectId: req.params.id, params: { environment, secret: !!secret, value: secret ? undefined : value } };
+  try {
+    const result = await secretStore.set({ projectId: req.params.id, environment, key: req.params.key, value, secret, actor: req.user.name });
+    auditRequest(req, { ...entry, outcome: 'success', details: { created: result.created } });
+    res.status(result.created ? 201 : 200).json(result);
+  } catch (error) {
+    auditRequest(req, { ...entry, outcome: 'failed', error: error.message });
+    sendSecretError(res, error);
+  }
 });
 
-// Error handling
-app.use((err, req, res, next) => {
-  console.error('Error:', err.stack);
-  res.status(500).json({
-    error: 'Internal Server Error',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-  });
+app.delete('/api/projects/:id/env/:key', requireRole('admin'), async (req, res) => {
+  const definition = projectRegistry.get(req.params.id);
+  const environment = req.query.environment || (definition ? defaultEnvironment(definition) : undefined);
+  try {
+    const removed = await secretStore.remove({ projectId: req.params.id, environment, key: req.params.key });
+    if (!removed) {
+      return res.status(404).json({ error: 'Variable not found', message: `No variable ${req.params.key} for project ${req.params.id}` });
+    }
+    auditRequest(req, { action: 'env.delete', target: req.params.key, projectId: req.params.id, params: { environment }, outcome: 'success' });
+    res.status(204).end();
+  } catch (error) {
+    sendSecretError(res, error);
+  }
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
-  console.log(`🌐 Public Access: 54.226.97.70:${PORT}`);
+app.get('/api/system', requireRole('viewer'), (req, res) => {
+  res.json(systemSnapshot());
 });
 
+// "90", "90s", "5m", "1h" -> milliseconds
+function parseDuration(value) {
+  const match = /^(\d+)(s|m|h)?$/.exec(String(value));
+  if (!match) return null;
+  return Number(match[1]) * { s: 1000, m: 60000, h: 3600000 }[match[2] || 's'];
+}
+
+// Metrics history. Defaults to the last hour at the collection interval;
+// a step averages samples into buckets of that width.
+app.get('/api/metrics', requireRole('viewer'), (req, res) => {
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  const step = req.query.step ? parseDuration(req.query.step) : undefined;
+
+  if (from === null || to === null) {
+    return res.status(400).json({ error: 'Invalid date range', message: 'from and to must be ISO 8601 dates' });
+  }
+  if (step === null || step === 0) {
+    return res.status(400).json({ error: 'Invalid step', message: 'step must be a duration such as 60, 30s, 5m or 1h' });
+  }
+
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - 60 * 60 * 1000);
+  res.json({
+    from: start.toISOString(),
+    to: end.toISOString(),
+    step: step || metricsCollector.interval,
+    interval: metricsCollector.interval,
+    samples: metricsCollector.query({ from: start.getTime(), to: end.getTime(), step })
+  });
+});
+
+// Registry project whose container this is, in any of its environments,
+// including the -blue / -green containers of blue/green projects
+function projectForContainer(name) {
+  const preview = previewStore.list().find(entry => entry.containerName === name);
+  if (preview) return projectRegistry.get(preview.projectId);
+  return projectRegistry.list().find(definition => containerNames(definition).some(containerName =>
+    [containerName, `${containerName}-blue`, `${containerName}-green`].includes(name)
+  )) || null;
+}
+
+// Resolves :id to a container owned by a registry project. Containers that
+// AutoDock does not manage are reported as forbidden, not touched; denied
+// lifecycle actions are still audited.
+async function findManagedContainer(req, res, action) {
+  let container;
+  try {
+    container = await docker.inspectContainer(req.params.id);
+  } catch (error) {
+    const status = error.statusCode === 404 ? 404 : 502;
+    res.status(status).json({ error: status === 404 ? 'Container not found' : 'Docker API error', message: error.message });
+    return null;
+  }
+
+  const project = projectForContainer(container.name);
+  if (!project) {
+    if (action) {
+      auditRequest(req, { action: `container.${action}`, target: container.name, projectId: null, outcome: 'denied', details: { containerId: container.id } });
+    }
+    res.status(403).json({ error: 'Forbidden', message: `Container ${container.name} is not managed by AutoDock` });
+    return null;
+  }
+  return { container, project };
+}
+
+const CONTAINER_ACTIONS = {
+  start: id => docker.startContainer(id),
+  stop: id => docker.stopContainer(id),
+  restart: id => docker.restartContainer(id)
+};
+
+async function containerAction(req, res, action, run) {
+  const managed = await findManagedContainer(req, res, action);
+  if (!managed) return;
+  const { container, project } = managed;
+  const entry = { action: `container.${action}`, target: container.name, projectId: project.id, params: action === 'remove' ? { force: ['1', 'true'].includes(req.query.force) } : undefined, details: { containerId: container.id } };
+
+  try {
+    await run(container.id);
+  } catch (error) {
+    auditRequest(req, { ...entry, outcome: 'failed', error: error.message });
+    return res.status(error.statusCode && error.statusCode < 500 ? error.statusCode : 502).json({
+      error: `Could not ${action} container`,
+      message: error.message
+    });
+  }
+
+  auditRequest(req, { ...entry, outcome: 'success' });
+  scheduleDockerRefresh();
+  res.json({ success: true, action, containerId: container.id, name: container.name, projectId: project.id });
+}
+
+app.post('/api/containers/:id/:action(start|stop|restart)', requireRole('deployer'), (req, res) => {
+  containerAction(req, res, req.params.action, CONTAINER_ACTIONS[req.params.action]);
+});
+
+app.delete('/api/containers/:id', requireRole('admin'), (req, res) => {
+  const force = ['1', 'true'].includes(req.query.force);
+  containerAction(req, res, 'remove', id => docker.removeContainer(id, { force }));
+});
+
+// Container output. With follow=1 the response is a Server-Sent Events
+// stream of 'log' events that stays open; otherwise a JSON list of lines.
+app.get('/api/containers/:id/logs', requireRole('viewer'), async (req, res) => {
+  const managed = await findManagedContainer(req, res);
+  if (!managed) return;
+
+  const tail = req.query.tail === 'all' ? 'all' : Math.min(parseInt(req.query.tail, 10) || 200, 5000);
+  // ISO 8601 like the other date filters, or Unix seconds like docker logs
+  const sinceDate = /^\d+$/.test(req.query.since || '') ? new Date(Number(req.query.since) * 1000) : parseDateParam(req.query.since);
+  const follow = ['1', 'true'].includes(req.query.follow);
+
+  if (sinceDate === null) {
+    return res.status(400).json({ error: 'Invalid since', message: 'since must be an ISO 8601 date or a Unix timestamp' });
+  }
+  const since = sinceDate ? Math.floor(sinceDate.getTime() / 1000) : undefined;
+
+  if (!follow) {
+    const lines = [];
+    try {
+      const logs = await docker.containerLogs(managed.container.id, { tail, since }, line => lines.push(line));
+      await logs.done;
+    } catch (error) {
+      return res.status(502).json({ error: 'Docker API error', message: error.message });
+    }
+    return res.json({ containerId: managed.container.id, name: managed.container.name, lines });
+  }
+
+  const stream = openEventStream(req, res);
+  try {
+    const logs = await docker.containerLogs(managed.container.id, { tail, since, follow: true }, line => stream.send('log', line));
+    if (stream.closed) return logs.close();
+    stream.onClose(logs.close);
+    logs.done.then(() => {
+      stream.send('end', { reason: 'container output ended' });
+      stream.close();
+    });
+  } catch (error) {
+    stream.send('end', { reason: error.message });
+    stream.close();
+  }
+});
+
+// Resolved settings of one environment of a project (the default one
+// unless named); null for unknown projects and environments
+function getPipelineProject(projectId, environment) {
+  const definition = projectRegistry.get(projectId);
+  return definition ? projectRegistry.resolve(definition, environment) : null;
+}
+
+// Successful deployments to an environment with a known image, newest first
+function successfulDeployments(projectId, environment) {
+  return deploymentStore.list({ projectId, environment, status: 'success', limit: 100 }).deployments
+    .filter(deployment => deployment.imageDigest || deployment.image);
+}
+
+// Creates a deployment record and queues its pipeline. Shared by
+// /api/deploy, rollbacks and the webhook receivers. Projects with
+// `targets` roll out to the hosts they select, or to `hosts` when given.
+// `commit` and `promotedFrom` are known up front for promotions.
+function startDeployment(project, { branch, trigger, pipeline = 'build', imageTag, runImage, hosts, pullBase, commit, promotedFrom }) {
+  // The suffix keeps deploys started in the same millisecond (a webhook and
+  // a schedule, say) apart
+  const deploymentId = `deploy_${Date.now()}_${project.id}_${project.environment}_${crypto.randomBytes(3).toString('hex')}`;
+  const deployment = createDeployment({
+    hosts: project.targets ? hosts || hostInventory.select(project.targets) : null,
+    id: deploymentId,
+    projectId: project.id,
+    environment: project.environment,
+    branch,
+    trigger,
+    pipeline,
+    strategy: project.strategy,
+    imageTag,
+    runImage,
+    pullBase,
+    policy: !!project.policy
+  });
+  if (commit) deployment.commit = commit;
+  if (promotedFrom) deployment.promotedFrom = promotedFrom;
+
+  publishDeployment(deployment);
+
+  deploymentQueue.enqueue(deployment, signal => {
+    // Last known-good release to fall back to if this one never gets
+    // healthy, looked up when it starts so releases that finished while it
+    // waited in the queue count
+    const [lastGood] = successfulDeployments(project.id, project.environment);
+    const previous = lastGood && pipeline !== 'rollback'
+      ? { deploymentId: lastGood.id, image: lastGood.imageDigest || lastGood.image }
+      : null;
+
+    // Stored variables are read when the job starts so it gets the
+    // latest values; an unreadable store fails the deployment
+    return Promise.resolve()
+      .then(() => runPipeline(deployment, { ...project, runtimeEnv: secretStore.variables(project.id, project.environment) }, {
+        executor: pipelineExecutor,
+        workDir: path.join(DATA_DIR, 'workspaces'),
+        previous,
+        signal,
+        targets: deployment.hosts ? hostInventory.targets(deployment.hosts.map(host => host.id)) : [],
+        onUpdate: publishDeployment,
+        onLog: (line, record) => deploymentEvents.emit('log', line, record)
+      }))
+      .then(result => {
+        console.log(`${result.status === 'success' ? '✅' : '❌'} Deployment ${deploymentId} ${result.status}`);
+      })
+      .catch(error => {
+        deployment.status = 'failed';
+        deployment.error = error.message;
+        deployment.finishedAt = new Date().toISOString();
+        publishDeployment(deployment);
+        console.error(`❌ Deployment ${deploymentId} crashed:`, error);
+      });
+  });
+
+  return deployment;
+}
+
+// Adds the live queue position to queued and running deployments
+function withQueuePosition(deployment) {
+  const queuePosition = deploymentQueue.position(deployment.id);
+  return queuePosition === null ? deployment : { ...deployment, queuePosition };
+}
+
+function sendProjectNotFound(res, projectId, environment) {
+  res.status(404).json({
+    error: 'Project not found',
+    message: projectRegistry.get(projectId) ? `Project ${projectId} has no environment ${environment}` : `No project with id ${projectId}`
+  });
+}
+
+// Starts a deployment when the environment's deploy windows allow it.
+// Outside them the request is held (scheduled for when the next window
+// opens) or rejected, as the project's `outside` policy says; `force`
+// skips the check. Returns { deployment }, { held: job } or { rejected }.
+function deployWithinWindows(project, request, { by, force = false }) {
+  const state = windowState(project.deployWindows);
+  if (state.open || force) return { deployment: startDeployment(project, request), state };
+
+  if (state.outside === 'reject' || !state.nextOpen) {
+    return { rejected: state.nextOpen ? state.reason : `${state.reason}, and no deploy window opens again`, state };
+  }
+
+  const { trigger, ...deploy } = request;
+  const job = scheduler.add({
+    projectId: project.id,
+    environment: project.environment,
+    runAt: state.nextOpen.toISOString(),
+    description: `Held: ${state.reason}`,
+    deploy,
+    trigger,
+    createdBy: by.actor
+  });
+  console.log(`⏸️  Held deployment of ${project.id} (${project.environment}) until ${job.runAt}: ${state.reason}`);
+  scheduleProjectsRefresh();
+  return { held: job, state };
+}
+
+// Audit log outcome of a deployWithinWindows result
+function windowOutcome(result) {
+  if (result.deployment) return { outcome: 'success', details: { deploymentId: result.deployment.id } };
+  if (result.held) return { outcome: 'held', error: result.state.reason, details: { scheduleId: result.held.id, runAt: result.held.runAt } };
+  return { outcome: 'denied', error: result.rejected };
+}
+
+// Deploy window status shown on the dashboard; null without windows
+function deployWindowStatus(project) {
+  if (!project.deployWindows) return null;
+  const { open, reason, nextOpen, outside } = windowState(project.deployWindows);
+  return { open, reason, nextOpen: nextOpen ? nextOpen.toISOString() : null, outside };
+}
+
+// Runs a due scheduled job. It goes through the deploy windows like any
+// other deployment, so a nightly rebuild in a freeze is held or skipped.
+function runScheduledJob(job) {
+  const by = { actor: job.createdBy || null, ip: null, source: 'schedule' };
+  const entry = {
+    ...by,
+    action: 'deployment.deploy',
+    target: `${job.projectId}/${job.environment}`,
+    projectId: job.projectId,
+    params: { scheduleId: job.id, cron: job.cron || undefined, ...job.deploy }
+  };
+
+  const project = getPipelineProject(job.projectId, job.environment);
+  if (!project) {
+    const error = `${job.projectId} has no environment ${job.environment}`;
+    auditLog.record({ ...entry, outcome: 'failed', error });
+    return { outcome: 'failed', error };
+  }
+
+  const trigger = { ...(job.trigger || { source: 'schedule', actor: job.createdBy || null }), scheduleId: job.id };
+  const result = deployWithinWindows(project, { ...job.deploy, branch: job.deploy.branch || project.branch, trigger }, { by });
+  const outcome = windowOutcome(result);
+  auditLog.record({ ...entry, ...outcome });
+  scheduleProjectsRefresh();
+  console.log(`⏰ Scheduled job ${job.id} for ${job.projectId} (${job.environment}): ${outcome.outcome}`);
+  return { outcome: outcome.outcome, deploymentId: result.deployment?.id, error: outcome.error };
+}
+
+// Upcoming scheduled and held deployments, soonest first
+app.get('/api/schedules', requireRole('viewer'), (req, res) => {
+  res.json({ schedules: scheduler.list({ projectId: req.query.projectId }) });
+});
+
+// { projectId, environment, runAt | cron, timezone, branch, pipeline,
+// imageTag, pullBase, description }. 'pull' jobs run an image tag that is
+// already in the registry; 'build' jobs build from source, with
+// pullBase fetching a newer base image first.
+app.post('/api/schedules', requireRole('deployer'), (req, res) => {
+  const { projectId, environment, runAt, cron, timezone, branch, pipeline = 'build', imageTag, pullBase = false, description } = req.body;
+  const entry = { action: 'schedule.create', target: projectId, projectId, params: { environment, runAt, cron, timezone, branch, pipeline, imageTag, pullBase } };
+  const invalid = message => {
+    auditRequest(req, { ...entry, outcome: 'failed', error: message });
+    res.status(400).json({ error: 'Invalid schedule', message });
+  };
+
+  if (!projectId) return invalid('projectId is required');
+  const project = getPipelineProject(projectId, environment);
+  if (!project) return sendProjectNotFound(res, projectId, environment);
+
+  if (!['build', 'pull'].includes(pipeline)) return invalid('pipeline must be build or pull');
+  if (pipeline === 'pull' && !(typeof imageTag === 'string' && imageTag)) return invalid('pull jobs need the imageTag to run');
+  if (branch !== undefined && !(typeof branch === 'string' && branch.trim())) return invalid('branch must be a non-empty string');
+  if (typeof pullBase !== 'boolean') return invalid('pullBase must be a boolean');
+  if (description !== undefined && typeof description !== 'string') return invalid('description must be a string');
+
+  try {
+    const job = scheduler.add({
+      projectId,
+      environment: project.environment,
+      runAt,
+      cron,
+      timezone,
+      description: description || null,
+      deploy: pipeline === 'pull' ? { branch, pipeline, imageTag } : { branch, pipeline, pullBase },
+      createdBy: req.user.name
+    });
+    auditRequest(req, { ...entry, target: `${projectId}/${project.environment}`, outcome: 'success', details: { scheduleId: job.id, nextRunAt: job.nextRunAt } });
+    scheduleProjectsRefresh();
+    res.status(201).json(job);
+  } catch (error) {
+    if (!error.status) throw error;
+    invalid(error.message);
+  }
+});
+
+app.delete('/api/schedules/:id', requireRole('deployer'), (req, res) => {
+  const job = scheduler.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Schedule not found', message: `No scheduled job ${req.params.id}` });
+
+  scheduler.remove(job);
+  auditRequest(req, { action: 'schedule.delete', target: `${job.projectId}/${job.environment}`, projectId: job.projectId, params: { scheduleId: job.id }, outcome: 'success' });
+  scheduleProjectsRefresh();
+  res.status(204).end();
+});
+
+// Deploys to the environment named in the body, else to the one that
+// tracks `branch`, else to the project's default environment. Outside the
+// environment's deploy windows the deployment is held or rejected unless
+// an admin passes { force: true }.
+app.post('/api/deploy', requireRole('deployer'), async (req, res) => {
+  const { projectId, environment } = req.body;
+  
+  if (!projectId) {
+    return res.status(400).json({ error: 'Project ID is required' });
+  }
+
+  const tracking = !environment && req.body.branch
+    ? projectRegistry.resolved().find(candidate => candidate.id === projectId && candidate.branch === req.body.branch)
+    : null;
+  const project = tracking || getPipelineProject(projectId, environment);
+  if (!project) return sendProjectNotFound(res, projectId, environment);
+
+  // { hosts } narrows a rollout to some of the project's remote hosts
+  const { hosts } = req.body;
+  if (hosts !== undefined) {
+    if (!project.targets) {
+      return res.status(400).json({ error: 'Invalid hosts', message: `${projectId} (${project.environment}) does not deploy to remote hosts` });
+    }
+    const eligible = hostInventory.select(project.targets);
+    const unknown = Array.isArray(hosts) && hosts.length > 0 ? hosts.filter(host => !eligible.includes(host)) : null;
+    if (!unknown || unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid hosts',
+        message: unknown ? `${unknown.join(', ')} ${unknown.length === 1 ? 'is' : 'are'} not targeted by ${projectId} (${project.environment})` : 'hosts must be a non-empty list of host ids'
+      });
+    }
+  }
+
+  const force = req.body.force === true;
+  if (force && !hasRole(req.user, 'admin')) {
+    return res.status(403).json({ error: 'Forbidden', message: 'Only admins can deploy outside deploy windows' });
+  }
+
+  const branch = req.body.branch || project.branch;
+  const result = deployWithinWindows(project, { branch, hosts, trigger: { source: 'manual', actor: req.user.name } }, { by: requester(req), force });
+  auditRequest(req, {
+    action: 'deployment.deploy',
+    target: `${projectId}/${project.environment}`,
+    projectId,
+    params: { environment: req.body.environment, branch: req.body.branch, hosts, force: force || undefined },
+    ...windowOutcome(result)
+  });
+
+  if (result.rejected) {
+    return res.status(423).json({ error: 'Deploy window closed', message: result.rejected, nextOpen: result.state.nextOpen });
+  }
+  if (result.held) {
+    return res.status(202).json({
+      success: true,
+      held: true,
+      message: `${result.state.reason}: deployment of ${projectId} (${project.environment}) held until ${result.held.runAt}`,
+      scheduleId: result.held.id,
+      runAt: result.held.runAt,
+      projectId,
+      environment: project.environment,
+      branch
+    });
+  }
+
+  const { deployment } = result;
+  res.json({
+    success: true,
+    message: `Deployment initiated for project ${projectId} (${project.environment})`,
+    deploymentId: deployment.id,
+    projectId,
+    environment: project.environment,
+    branch,
+    hosts: deployment.hosts ? deployment.hosts.map(host => host.id) : undefined,
+    status: deployment.status,
+    queuePosition: deploymentQueue.position(deployment.id),
+    timestamp: deployment.createdAt
+  });
+});
+
+// Re-runs the image of an earlier successful deployment to an environment
+// (the default one unless { environment } is given). Without a
+// deploymentId, goes back to the release before the latest successful one.
+app.post('/api/projects/:id/rollback', requireRole('deployer'), (req, res) => {
+  const project = getPipelineProject(req.params.id, req.body.environment);
+  if (!project) return sendProjectNotFound(res, req.params.id, req.body.environment);
+
+  const candidates = successfulDeployments(project.id, project.environment);
+  const { deploymentId } = req.body;
+  const target = deploymentId ? candidates.find(deployment => deployment.id === deploymentId) : candidates[1];
+
+  if (!target) {
+    return res.status(deploymentId ? 404 : 409).json({
+      error: 'No rollback target',
+      message: deploymentId
+        ? `${deploymentId} is not a successful deployment of ${project.id}`
+        : `${project.id} has no earlier successful deployment`
+    });
+  }
+
+  const deployment = startDeployment(project, {
+    branch: target.branch,
+    pipeline: 'rollback',
+    imageTag: target.imageTag,
+    runImage: target.imageDigest || target.image,
+    commit: target.commit,
+    trigger: { source: 'rollback', actor: req.user.name, rollbackOf: target.id }
+  });
+  auditRequest(req, {
+    action: 'deployment.rollback',
+    target: `${project.id}/${project.environment}`,
+    projectId: project.id,
+    params: { environment: req.body.environment, deploymentId },
+    outcome: 'success',
+    details: { deploymentId: deployment.id, rollbackOf: target.id }
+  });
+
+  res.status(202).json({
+    success: true,
+    message: `Rolling back ${project.id} (${project.environment}) to deployment ${target.id}`,
+    deploymentId: deployment.id,
+    projectId: project.id,
+    environment: project.environment,
+    target: { deploymentId: target.id, image: deployment.runImage, commit: target.commit },
+    status: deployment.status,
+    timestamp: deployment.createdAt
+  });
+});
+
+// Runs the exact image one environment is running (staging by default) in
+// another (production by default) without building it again. The image id
+// is read from the source environment's container, falling back to its
+// last successful deployment when Docker cannot be asked.
+app.post('/api/projects/:id/promote', requireRole('deployer'), async (req, res) => {
+  const { from = 'staging', to = 'production' } = req.body;
+  const source = getPipelineProject(req.params.id, from);
+  if (!source) return sendProjectNotFound(res, req.params.id, from);
+  const target = getPipelineProject(req.params.id, to);
+  if (!target) return sendProjectNotFound(res, req.params.id, to);
+  if (from === to) {
+    return res.status(400).json({ error: 'Invalid promotion', message: 'from and to must be different environments' });
+  }
+
+  let running = null;
+  // Remote containers are not visible here; their last release says what runs
+  if (!source.targets) {
+    try {
+      const containers = await docker.listContainers();
+      running = [source.containerName, `${source.containerName}-blue`, `${source.containerName}-green`]
+        .map(name => containers.find(container => container.name === name && container.state === 'running'))
+        .find(Boolean) || null;
+    } catch (error) {
+      console.error(`❌ Could not read ${source.containerName} for promotion:`, error.message);
+    }
+  }
+
+  const [release] = successfulDeployments(source.id, from);
+  const image = running?.imageDigest || release?.imageDigest || release?.image;
+  // The deployment that produced the running image, for its commit and branch
+  const origin = release && (!running || release.imageDigest === running.imageDigest) ? release : null;
+
+  if (!image) {
+    return res.status(409).json({ error: 'Nothing to promote', message: `${req.params.id} is not running a known image in ${from}` });
+  }
+
+  const force = req.body.force === true;
+  if (force && !hasRole(req.user, 'admin')) {
+    return res.status(403).json({ error: 'Forbidden', message: 'Only admins can deploy outside deploy windows' });
+  }
+
+  const result = deployWithinWindows(target, {
+    branch: origin?.branch || target.branch,
+    pipeline: 'promote',
+    imageTag: origin?.imageTag,
+    runImage: image,
+    commit: origin?.commit || null,
+    promotedFrom: { environment: from, deploymentId: origin?.id || null, image },
+    trigger: { source: 'promote', actor: req.user.name, from, promotedFrom: origin?.id || null }
+  }, { by: requester(req), force });
+  const outcome = windowOutcome(result);
+  auditRequest(req, {
+    action: 'deployment.promote',
+    target: `${target.id}/${to}`,
+    projectId: target.id,
+    params: { from, to, force: force || undefined },
+    ...outcome,
+    details: { ...outcome.details, image }
+  });
+
+  if (result.rejected) {
+    return res.status(423).json({ error: 'Deploy window closed', message: result.rejected, nextOpen: result.state.nextOpen });
+  }
+  if (result.held) {
+    return res.status(202).json({
+      success: true,
+      held: true,
+      message: `${result.state.reason}: promotion of ${req.params.id} to ${to} held until ${result.held.runAt}`,
+      scheduleId: result.held.id,
+      runAt: result.held.runAt,
+      projectId: target.id,
+      environment: to,
+      image
+    });
+  }
+
+  const { deployment } = result;
+  res.status(202).json({
+    success: true,
+    message: `Promoting ${req.params.id} from ${from} to ${to}`,
+    deploymentId: deployment.id,
+    projectId: target.id,
+    environment: to,
+    image,
+    promotedFrom: deployment.promotedFrom,
+    status: deployment.status,
+    timestamp: deployment.createdAt
+  });
+});
+
+// Preview record plus how its latest deployment went and, when known,
+// the state of its container
+function previewStatus(preview, container) {
+  const deployment = preview.deploymentId ? deploymentStore.get(preview.deploymentId) : null;
+  return {
+    ...preview,
+    status: deployment ? deployment.status : null,
+    error: deployment?.error || null,
+    containerState: container ? container.state : null
+  };
+}
+
+// Default environments of the projects in `list` that have previews, once each
+function previewProjects(list) {
+  return [...new Set(list.map(project => project.id))]
+    .map(id => getPipelineProject(id))
+    .filter(project => project?.previews);
+}
+
+// Opens (or refreshes) the preview of pull request `number` and queues a
+// pull of its image into the preview's container. Throws with a status
+// when previews are off for the project or no port is free.
+function deployPreview(project, { number, branch, commit, trigger }) {
+  const preview = previewStore.open(project, { number, branch, commit, openedBy: trigger.actor || trigger.sender });
+  const deployment = startDeployment(previewProject(project, preview), {
+    branch: preview.branch || project.branch,
+    trigger: { ...trigger, preview: number },
+    pipeline: 'pull',
+    imageTag: preview.tag,
+    commit
+  });
+  previewStore.update(preview, { deploymentId: deployment.id });
+  return { preview, deployment };
+}
+
+// Stops a deployment still working on the preview, removes its container
+// and gives its port back. A container that is already gone counts as
+// removed; when Docker cannot be reached the record stays for the sweep.
+async function teardownPreview(preview, { reason, by }) {
+  const entry = { ...by, action: 'preview.remove', target: preview.containerName, projectId: preview.projectId, params: { number: preview.number, reason } };
+  const deployment = preview.deploymentId ? deploymentStore.get(preview.deploymentId) : null;
+  if (deployment && cancelDeployment(deployment, by.actor) === 'running') {
+    await waitForDeployment(deployment);
+  }
+
+  try {
+    await docker.removeContainer(preview.containerName, { force: true });
+  } catch (error) {
+    if (error.statusCode !== 404) {
+      auditLog.record({ ...entry, outcome: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  previewStore.remove(preview);
+  auditLog.record({ ...entry, outcome: 'success' });
+  console.log(`🧹 Removed preview ${preview.containerName} (${reason})`);
+  scheduleDockerRefresh();
+}
+
+// Pull request webhooks: opened, reopened and new commits deploy previews,
+// closing the pull request removes them. `by` is who the audit log names.
+const PREVIEW_ACTIONS = ['opened', 'reopened', 'synchronize'];
+
+function handlePreviewEvent(parsed, projects, trigger, by) {
+  if (PREVIEW_ACTIONS.includes(parsed.action)) {
+    return previewProjects(projects).map(project => {
+      const entry = { ...by, action: 'preview.deploy', target: `${project.containerName}-pr-${parsed.number}`, projectId: project.id, params: { number: parsed.number, branch: parsed.headBranch, commit: parsed.commit } };
+      try {
+        const { preview, deployment } = deployPreview(project, { number: parsed.number, branch: parsed.headBranch, commit: parsed.commit, trigger });
+        auditLog.record({ ...entry, outcome: 'success', details: { deploymentId: deployment.id } });
+        return { projectId: project.id, number: preview.number, action: 'deployed', deploymentId: deployment.id, url: preview.url };
+      } catch (error) {
+        auditLog.record({ ...entry, outcome: 'failed', error: error.message });
+        return { projectId: project.id, number: parsed.number, action: 'failed', reason: error.message };
+      }
+    });
+  }
+
+  if (parsed.action === 'closed') {
+    return previewProjects(projects)
+      .map(project => previewStore.get(project.id, parsed.number))
+      .filter(Boolean)
+      .map(preview => {
+        teardownPreview(preview, { reason: 'pull request closed', by })
+          .catch(error => console.error(`❌ Could not remove preview ${preview.containerName}:`, error.message));
+        return { projectId: preview.projectId, number: preview.number, action: 'removed' };
+      });
+  }
+
+  return [];
+}
+
+// Previews that are up; each has the URL it is served on and the status
+// of its latest deployment
+app.get('/api/previews', requireRole('viewer'), (req, res) => {
+  const containers = new Map((systemCollector.peek('docker')?.containers || []).map(container => [container.name, container]));
+  res.json(previewStore.list({ projectId: req.query.projectId })
+    .map(preview => previewStatus(preview, containers.get(preview.containerName))));
+});
+
+// Deploys or redeploys the preview of pull request { number } by hand,
+// e.g. when webhooks are not set up
+app.post('/api/projects/:id/previews', requireRole('deployer'), (req, res) => {
+  const project = getPipelineProject(req.params.id);
+  if (!project) return sendProjectNotFound(res, req.params.id);
+
+  const number = Number(req.body.number);
+  const entry = { action: 'preview.deploy', target: `${project.containerName}-pr-${number}`, projectId: project.id, params: { number: req.body.number, branch: req.body.branch, commit: req.body.commit } };
+  try {
+    const existing = previewStore.get(project.id, number);
+    const { preview, deployment } = deployPreview(project, {
+      number,
+      branch: req.body.branch || existing?.branch,
+      commit: req.body.commit,
+      trigger: { source: 'manual', actor: req.user.name }
+    });
+    auditRequest(req, { ...entry, outcome: 'success', details: { deploymentId: deployment.id } });
+    scheduleProjectsRefresh();
+    res.status(existing ? 200 : 201).json(previewStatus(preview));
+  } catch (error) {
+    if (!error.status) throw error;
+    auditRequest(req, { ...entry, outcome: 'failed', error: error.message });
+    res.status(error.status).json({ error: 'Invalid preview', message: error.message });
+  }
+});
+
+app.delete('/api/projects/:id/previews/:number', requireRole('deployer'), async (req, res) => {
+  const preview = previewStore.get(req.params.id, req.params.number);
+  if (!preview) {
+    return res.status(404).json({ error: 'Preview not found', message: `${req.params.id} has no preview for pull request ${req.params.number}` });
+  }
+
+  try {
+    await teardownPreview(preview, { reason: 'removed by hand', by: requester(req) });
+  } catch (error) {
+    return res.status(502).json({ error: 'Could not remove preview', message: error.message });
+  }
+  scheduleProjectsRefresh();
+  res.status(204).end();
+});
+
+// Housekeeping AutoDock does on its own, as the audit log names it
+const SYSTEM = { actor: 'system', ip: null, source: 'system' };
+
+// Removes previews past their expiry, then preview containers that no
+// record accounts for (a lost data directory, a project deleted while
+// Docker was down) once they are older than the project's TTL
+async function sweepPreviews() {
+  for (const preview of previewStore.expired()) {
+    await teardownPreview(preview, { reason: 'expired', by: SYSTEM })
+      .catch(error => console.error(`❌ Could not remove expired preview ${preview.containerName}:`, error.message));
+  }
+
+  let containers;
+  try {
+    containers = await docker.listContainers();
+  } catch (error) {
+    return;
+  }
+
+  const orphans = containers.filter(container => {
+    const owner = container.labels[PREVIEW_LABEL];
+    if (!owner) return false;
+    const [projectId, number] = owner.split('/');
+    if (previewStore.get(projectId, number)) return false;
+    const definition = projectRegistry.get(projectId);
+    const ttlHours = (definition && previewSettings(definition)?.ttlHours) || PREVIEW_DEFAULTS.ttlHours;
+    return Date.parse(container.createdAt) + ttlHours * 3600 * 1000 <= Date.now();
+  });
+
+  for (const container of orphans) {
+    const entry = { ...SYSTEM, action: 'preview.remove', target: container.name, projectId: container.labels[PREVIEW_LABEL].split('/')[0], params: { reason: 'orphaned' }, details: { containerId: container.id } };
+    try {
+      await docker.removeContainer(container.id, { force: true });
+      auditLog.record({ ...entry, outcome: 'success' });
+      console.log(`🧹 Removed orphaned preview container ${container.name}`);
+    } catch (error) {
+      auditLog.record({ ...entry, outcome: 'failed', error: error.message });
+    }
+  }
+  if (orphans.length > 0) scheduleDockerRefresh();
+}
+
+const PREVIEW_SWEEP_INTERVAL = 10 * 60 * 1000;
+
+app.post('/api/webhooks/github', (req, res) => {
+  const event = req.get('X-GitHub-Event');
+  const deliveryId = req.get('X-GitHub-Delivery');
+  const signature = req.get('X-Hub-Signature-256');
+
+  if (!event || !deliveryId) {
+    return res.status(400).json({ error: 'Missing X-GitHub-Event or X-GitHub-Delivery header' });
+  }
+
+  let payload;
+  try {
+    payload = github.parsePayload(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid payload', message: error.message });
+  }
+
+  const parsed = github.parseEvent(event, payload);
+  const delivery = { source: 'github', deliveryId, event, repository: parsed.repository, branch: parsed.branch, commit: parsed.commit };
+
+  // Only projects whose secret signed this payload are considered
+  const candidates = projectRegistry.resolved().filter(project =>
+    project.repository && parsed.repository &&
+    project.repository.toLowerCase() === parsed.repository.toLowerCase()
+  );
+  const verified = candidates.filter(project => github.verifySignature(req.rawBody, project.webhookSecret, signature));
+
+  if (verified.length === 0) {
+    const reason = candidates.length === 0 ? `no project configured for ${parsed.repository}` : 'signature mismatch';
+    deliveryStore.record({ ...delivery, status: 'rejected', reason });
+    return res.status(candidates.length === 0 ? 404 : 401).json({ error: 'Webhook rejected', message: reason });
+  }
+
+  if (deliveryStore.has('github', deliveryId)) {
+    deliveryStore.record({ ...delivery, status: 'duplicate', reason: 'delivery already processed' });
+    return res.status(200).json({ message: 'Duplicate delivery ignored', deliveryId });
+  }
+
+  if (event === 'ping') {
+    deliveryStore.record({ ...delivery, status: 'ignored', reason: 'ping' });
+    return res.status(200).json({ message: 'pong', deliveryId });
+  }
+
+  const trigger = { source: 'github', event, deliveryId, sender: parsed.sender, commit: parsed.commit };
+  const by = { actor: parsed.sender, ip: req.ip, source: 'github' };
+  const previews = event === 'pull_request' ? handlePreviewEvent(parsed, verified, trigger, by) : [];
+  const matching = parsed.deployable ? verified.filter(project => project.branch === parsed.branch) : [];
+
+  if (matching.length === 0 && previews.length === 0) {
+    const reason = parsed.reason || `branch ${parsed.branch} is not deployed`;
+    deliveryStore.record({ ...delivery, status: 'ignored', reason });
+    return res.status(202).json({ message: 'Event ignored', reason, deliveryId });
+  }
+
+  const results = matching.map(project => {
+    const result = deployWithinWindows(project, { branch: parsed.branch, trigger }, { by });
+    auditLog.record({
+      ...by,
+      action: 'deployment.deploy',
+      target: `${project.id}/${project.environment}`,
+      projectId: project.id,
+      params: { event, deliveryId, branch: parsed.branch, commit: parsed.commit },
+      ...windowOutcome(result)
+    });
+    return { project, ...result };
+  });
+  const started = results.filter(result => result.deployment).map(result => result.deployment);
+  // Pushes outside a deploy window, held for later or turned away
+  const held = results.filter(result => !result.deployment).map(({ project, held: job, rejected, state }) => ({
+    projectId: project.id,
+    environment: project.environment,
+    status: job ? 'held' : 'rejected',
+    reason: rejected || state.reason,
+    scheduleId: job?.id,
+    runAt: job?.runAt
+  }));
+  const deploymentIds = [...started.map(deployment => deployment.id), ...previews.filter(preview => preview.deploymentId).map(preview => preview.deploymentId)];
+  if (previews.length > 0) scheduleProjectsRefresh();
+
+  let status = 'preview';
+  if (deploymentIds.length > 0) status = 'deployed';
+  // 'rejected' is kept for deliveries that failed authentication
+  else if (held.length > 0) status = held.some(entry => entry.status === 'held') ? 'held' : 'blocked';
+
+  deliveryStore.record({ ...delivery, status, reason: held[0]?.reason, deploymentIds, held: held.length > 0 ? held : undefined, previews: previews.length > 0 ? previews : undefined });
+  res.status(202).json({
+    message: matching.length > 0 ? `Deployment queued for ${started.length} project(s)` : `Updated ${previews.length} preview(s)`,
+    deliveryId,
+    deployments: started.map(deployment => ({ deploymentId: deployment.id, projectId: deployment.projectId, environment: deployment.environment })),
+    held: held.length > 0 ? held : undefined,
+    previews: previews.length > 0 ? previews : undefined
+  });
+});
+
+// Resolves with the deployment once its pipeline has finished
+function waitForDeployment(deployment) {
+  return new Promise(resolve => {
+    const onUpdate = record => {
+      if (record.id === deployment.id && record.finishedAt) {
+        deploymentEvents.off('update', onUpdate);
+        resolve(record);
+      }
+    };
+    deploymentEvents.on('update', onUpdate);
+  });
+}
+
+function reportToDockerHub(push, deployment) {
+  waitForDeployment(deployment)
+    .then(record => registry.sendDockerHubCallback(push.callbackUrl, {
+      state: record.status === 'success' ? 'success' : 'failure',
+      description: `Deployment ${record.id} ${record.status}`
+    }))
+    .catch(error => console.error(`❌ Docker Hub callback for ${deployment.id} failed:`, error.message));
+}
+
+// Docker Hub repository webhooks and OCI registry notifications. Neither is
+// signed, so projects opt in with a token sent in an X-Registry-Token
+// header (OCI registries can add headers) or as ?token= on the hook URL
+// (Docker Hub cannot).
+app.post('/api/webhooks/registry', (req, res) => {
+  const pushes = registry.parsePushes(req.body);
+  const token = req.get('X-Registry-Token') || req.query.token;
+
+  if (!pushes) {
+    return res.status(400).json({ error: 'Unrecognized payload', message: 'Expected a Docker Hub or OCI registry notification' });
+  }
+
+  const results = pushes.map(push => {
+    const delivery = { source: push.source, deliveryId: push.deliveryId, event: 'push', image: push.image, tag: push.tag, digest: push.digest };
+
+    const candidates = projectRegistry.resolved().filter(project => project.image && registry.matchesImage(project, push));
+    const authorized = candidates.filter(project => registry.tokensMatch(project.registryToken, token));
+
+    if (authorized.length === 0) {
+      const reason = candidates.length === 0 ? `no project watches ${push.image}` : 'invalid token';
+      return deliveryStore.record({ ...delivery, status: 'rejected', reason });
+    }
+
+    if (deliveryStore.has(push.source, push.deliveryId)) {
+      return deliveryStore.record({ ...delivery, status: 'duplicate', reason: 'delivery already processed' });
+    }
+
+    const trigger = { source: push.source, event: 'push', deliveryId: push.deliveryId, sender: push.pusher, digest: push.digest };
+    const by = { actor: push.pusher || null, ip: req.ip, source: push.source };
+    const params = { deliveryId: push.deliveryId, image: push.image, tag: push.tag, digest: push.digest };
+
+    // A new image for an open preview (pr-<number> by default) redeploys it
+    const previews = previewProjects(authorized).flatMap(project => previewStore.list({ projectId: project.id })
+      .filter(preview => preview.tag === push.tag)
+      .flatMap(preview => {
+        const entry = { ...by, action: 'preview.deploy', target: preview.containerName, projectId: project.id, params: { ...params, number: preview.number } };
+        try {
+          const { deployment } = deployPreview(project, { number: preview.number, branch: preview.branch, trigger });
+          auditLog.record({ ...entry, outcome: 'success', details: { deploymentId: deployment.id } });
+          return [deployment];
+        } catch (error) {
+          auditLog.record({ ...entry, outcome: 'failed', error: error.message });
+          console.error(`❌ Could not redeploy preview ${preview.containerName}:`, error.message);
+          return [];
+        }
+      }));
+    if (previews.length > 0) scheduleProjectsRefresh();
+
+    const matching = authorized.filter(project => (project.watchTags || []).includes(push.tag));
+    if (matching.length === 0 && previews.length === 0) {
+      return deliveryStore.record({ ...delivery, status: 'ignored', reason: `tag ${push.tag} is not watched` });
+    }
+
+    const results = matching.map(project => {
+      const result = deployWithinWindows(project, {
+        branch: project.branch,
+        trigger,
+        pipeline: 'pull',
+        imageTag: push.tag
+      }, { by });
+      auditLog.record({ ...by, action: 'deployment.deploy', target: `${project.id}/${project.environment}`, projectId: project.id, params, ...windowOutcome(result) });
+      return { project, ...result };
+    });
+    const started = results.filter(result => result.deployment).map(result => result.deployment);
+    const held = results.filter(result => !result.deployment);
+
+    if (started.length === 0 && previews.length === 0) {
+      return deliveryStore.record({
+        ...delivery,
+        status: held.some(result => result.held) ? 'held' : 'blocked',
+        reason: held[0].rejected || held[0].state.reason,
+        scheduleIds: held.filter(result => result.held).map(result => result.held.id)
+      });
+    }
+
+    const reported = results.find(result => result.deployment && result.project.dockerHubCallback)?.deployment;
+    if (push.callbackUrl && reported) {
+      if (registry.isDockerHubCallbackUrl(push.callbackUrl)) {
+        reportToDockerHub(push, reported);
+      } else {
+        console.warn(`⚠️ Ignoring unexpected Docker Hub callback URL: ${push.callbackUrl}`);
+      }
+    }
+
+    return deliveryStore.record({ ...delivery, status: 'deployed', deploymentIds: [...started, ...previews].map(deployment => deployment.id) });
+  });
+
+  const deployed = results.filter(result => result.status === 'deployed');
+  const rejected = results.filter(result => result.status === 'rejected');
+
+  if (results.length > 0 && rejected.length === results.length) {
+    const status = rejected.some(result => result.reason === 'invalid token') ? 401 : 404;
+    return res.status(status).json({ error: 'Webhook rejected', message: rejected[0].reason });
+  }
+
+  res.status(202).json({
+    message: `Deployment queued for ${deployed.length} image push(es)`,
+    deliveries: results.map(({ deliveryId, image, tag, status, reason, deploymentIds }) => ({ deliveryId, image, tag, status, reason, deploymentIds }))
+  });
+});
+
+app.get('/api/webhooks/deliveries', requireRole('viewer'), (req, res) => {
+  const { source, status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  res.json(deliveryStore.list({ source, status, limit }));
+});
+
+function parseDateParam(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+app.get('/api/deployments', requireRole('viewer'), (req, res) => {
+  const { projectId, environment, status } = req.query;
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  if (from === null || to === null) {
+    return res.status(400).json({ error: 'Invalid date range', message: 'from and to must be ISO 8601 dates' });
+  }
+  if (page < 1 || limit < 1) {
+    return res.status(400).json({ error: 'Invalid pagination', message: 'page and limit must be positive integers' });
+  }
+
+  const result = deploymentStore.list({ projectId, environment, status, from, to, page, limit });
+  res.json({ ...result, deployments: result.deployments.map(withQueuePosition) });
+});
+
+// Audit log, newest first, from the latest entries kept in memory.
+// ?format=csv or json downloads every matching entry in the file instead.
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  const { action, projectId, actor, outcome, source, format } = req.query;
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+  if (from === null || to === null) {
+    return res.status(400).json({ error: 'Invalid date range', message: 'from and to must be ISO 8601 dates' });
+  }
+  if (format && !['csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid format', message: 'format must be csv or json' });
+  }
+
+  const filters = { action, projectId, actor, outcome, source, from, to };
+  if (!format) return res.json({ entries: auditLog.list({ ...filters, limit }) });
+
+  try {
+    const entries = await auditLog.history(filters);
+    const filename = `autodock-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') return res.type('text/csv').send(toCsv(entries));
+    res.json(entries);
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({ error: 'Failed to read audit log', message: error.message });
+  }
+});
+
+app.get('/api/notifications', requireRole('viewer'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  res.json({ channels: notifier.list(), deliveries: notifier.deliveries({ limit }) });
+});
+
+// Sends a sample "succeeded" message through one channel and waits for
+// the outcome, retries included
+app.post('/api/notifications/:channel/test', requireRole('admin'), async (req, res) => {
+  const delivery = await notifier.test(req.params.channel);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Channel not found', message: `No notification channel ${req.params.channel}` });
+  }
+
+  auditRequest(req, { action: 'notification.test', target: req.params.channel, projectId: null, outcome: delivery.status === 'sent' ? 'success' : 'failed', error: delivery.error });
+  res.status(delivery.status === 'sent' ? 200 : 502).json(delivery);
+});
+
+app.get('/api/hosts', requireRole('viewer'), (req, res) => {
+  res.json({ hosts: hostInventory.list() });
+});
+
+// Connects to a host and asks its Docker daemon for its version
+app.post('/api/hosts/:id/check', requireRole('deployer'), async (req, res) => {
+  const outcome = await hostInventory.check(req.params.id);
+  if (!outcome) {
+    return res.status(404).json({ error: 'Host not found', message: `No host ${req.params.id}` });
+  }
+  auditRequest(req, { action: 'host.check', target: req.params.id, projectId: null, outcome: outcome.ok ? 'success' : 'failed', error: outcome.error });
+  res.status(outcome.ok ? 200 : 502).json({ id: req.params.id, ...outcome });
+});
+
+app.get('/api/queue', requireRole('viewer'), (req, res) => {
+  res.json(deploymentQueue.snapshot());
+});
+
+app.get('/api/deployments/:id', requireRole('viewer'), (req, res) => {
+  const deployment = deploymentStore.get(req.params.id);
+
+  if (!deployment) {
+    return res.status(404).json({ error: 'Deployment not found', message: `No deployment with id ${req.params.id}` });
+  }
+
+  const end = deployment.finishedAt ? new Date(deployment.finishedAt) : new Date();
+  res.json({
+    deploymentId: deployment.id,
+    ...withQueuePosition(summarize(deployment)),
+    duration: deployment.startedAt ? Math.round((end - new Date(deployment.startedAt)) / 1000) : 0,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Queued deployments are dropped from the queue; running ones have their
+// commands killed and end as 'cancelled' once the pipeline notices.
+// Returns the queue's answer: 'queued', 'running' or null when finished.
+function cancelDeployment(deployment, actor) {
+  const state = deploymentQueue.cancel(deployment.id);
+  if (!state) return null;
+
+  deployment.cancelledBy = actor;
+  if (state === 'queued') {
+    deployment.status = 'cancelled';
+    deployment.error = 'Cancelled';
+    deployment.finishedAt = new Date().toISOString();
+    deployment.stages.forEach(stage => { stage.status = 'skipped'; });
+  }
+  publishDeployment(deployment);
+  return state;
+}
+
+app.post('/api/deployments/:id/cancel', requireRole('deployer'), (req, res) => {
+  const deployment = deploymentStore.get(req.params.id);
+
+  if (!deployment) {
+    return res.status(404).json({ error: 'Deployment not found', message: `No deployment with id ${req.params.id}` });
+  }
+
+  const state = cancelDeployment(deployment, req.user.name);
+  if (!state) {
+    return res.status(409).json({ error: 'Not cancellable', message: `Deployment ${deployment.id} is already ${deployment.status}` });
+  }
+  auditRequest(req, { action: 'deployment.cancel', target: deployment.id, projectId: deployment.projectId, outcome: 'success', details: { state } });
+
+  res.status(202).json({
+    success: true,
+    message: state === 'queued' ? `Deployment ${deployment.id} removed from the queue` : `Cancelling deployment ${deployment.id}`,
+    deploymentId: deployment.id,
+    status: deployment.status
+  });
+});
+
+// Streams build/run output as Server-Sent Events, replaying earlier lines
+// first so late joiners see the whole log
+app.get('/api/deployments/:id/logs/stream', requireRole('viewer'), async (req, res) => {
+  const deployment = deploymentStore.get(req.params.id);
+
+  if (!deployment) {
+    return res.status(404).json({ error: 'Deployment not found', message: `No deployment with id ${req.params.id}` });
+  }
+
+  let logs;
+  try {
+    logs = await deploymentStore.logs(deployment.id);
+  } catch (error) {
+    console.error(`Error reading logs of ${deployment.id}:`, error);
+    return res.status(500).json({ error: 'Failed to read logs', message: error.message });
+  }
+
+  const stream = openEventStream(req, res);
+  const lastEventId = getLastEventId(req);
+  const isFinished = record => !['queued', 'running'].includes(record.status);
+  const sendEnd = record => {
+    stream.send('end', { status: record.status, error: record.error, finishedAt: record.finishedAt, policy: record.policy });
+    stream.close();
+  };
+
+  logs.forEach((line, index) => {
+    if (index > lastEventId) stream.send('log', line, index);
+  });
+
+  if (isFinished(deployment)) {
+    return sendEnd(deployment);
+  }
+  stream.send('status', { status: deployment.status, stages: deployment.stages, policy: deployment.policy });
+
+  const onLog = (line, record) => {
+    if (record.id === deployment.id) stream.send('log', line, record.logs.length - 1);
+  };
+  const onUpdate = record => {
+    if (record.id === deployment.id) {
+      stream.send('status', { status: record.status, stages: record.stages, policy: record.policy });
+      if (isFinished(record)) sendEnd(record);
+    }
+  };
+
+  deploymentEvents.on('log', onLog);
+  deploymentEvents.on('update', onUpdate);
+  stream.onClose(() => {
+    deploymentEvents.off('log', onLog);
+    deploymentEvents.off('update', onUpdate);
+  });
+});
+
+// Serve React app for all non-API routes
+app.get('*', (req, res) => {
+  res.sendFile(path.join(__dirname, '../client/build', 'index.html'));
+});
+
+// Error handling
+app.use((err, req, res, next) => {
+  console.error('Error:', err.stack);
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+  });
+});
+
+// Start server once projects and deployment history are loaded; exit
+// instead when any of the state cannot be read
+const authOptions = { adminUsername: process.env.ADMIN_USERNAME || 'admin', adminPassword: process.env.ADMIN_PASSWORD };
+
+Promise.all([deploymentStore.load(), deliveryStore.load(), projectRegistry.load(), authStore.load(authOptions), auditLog.load(), notifier.load(), secretStore.load(), hostInventory.load(), previewStore.load(), scheduler.load()])
+  .then(([count, , registryInfo, , , notifierInfo, secretInfo, hostInfo, previewCount, scheduleCount]) => {
+    // Deployment counters start from the stored history so totals survive
+    // restarts; stage timings only cover this process
+    deploymentStore.list({ limit: Number.MAX_SAFE_INTEGER }).deployments
+      .forEach(deployment => recordDeploymentMetrics(deployment, { stages: false }));
+
+    console.log(`📚 Loaded ${count} deployment records from ${deploymentStore.file}`);
+    console.log(`📁 Loaded ${registryInfo.count} projects from ${registryInfo.source}`);
+    console.log(`🔔 Loaded ${notifierInfo.count} notification channels from ${notifierInfo.source}`);
+    console.log(`🖥️  Loaded ${hostInfo.count} remote hosts from ${hostInfo.source}`);
+    console.log(`🔍 Loaded ${previewCount} pull request previews from ${previewStore.file}`);
+    console.log(`⏰ Loaded ${scheduleCount} scheduled deployments from ${scheduler.file}`);
+    console.log(secretInfo.enabled
+      ? `🔐 Loaded ${secretInfo.count} stored variables from ${secretStore.file}`
+      : '🔐 Secrets disabled: SECRETS_MASTER_KEY is not set');
+  })
+  .then(() => {
+    systemCollector.start();
+    watchDocker();
+    metricsCollector.start();
+    sweepPreviews();
+    setInterval(sweepPreviews, PREVIEW_SWEEP_INTERVAL).unref();
+    scheduler.start();
+    // Deploy windows open and close with the clock, not on any event
+    setInterval(() => {
+      if (projectRegistry.resolved().some(project => project.deployWindows)) scheduleProjectsRefresh();
+    }, 60 * 1000).unref();
+
+    app.listen(PORT, '0.0.0.0', () => {
+      console.log(`🚀 Server running on port ${PORT}`);
+      console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
+      if (runtimeConfig.dashboardUrl) console.log(`🌐 Public Access: ${runtimeConfig.dashboardUrl}`);
+      if (runtimeConfig.apiBaseUrl) console.log(`🔌 Dashboard API base: ${runtimeConfig.apiBaseUrl}`);
+    });
+  })
+  .catch(error => {
+    // Running on partial state would overwrite the real files with it
+    console.error('❌ Error loading server state:', error.message);
+    process.exit(1);
+  });
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
-  process.exit(0);
+  Promise.all([deploymentStore.flush(), deliveryStore.flush(), auditLog.flush(), secretStore.flush(), previewStore.flush(), scheduler.flush()]).finally(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
-  process.exit(0);
+  Promise.all([deploymentStore.flush(), deliveryStore.flush(), auditLog.flush(), secretStore.flush(), previewStore.flush(), scheduler.flush()]).finally(() => process.exit(0));
 });
\ No newline at end of file
@@ -0,0 +1,125 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const MAX_IN_MEMORY = 5000;
+
+// Parameter names whose values never reach the log
+const SECRET_PARAM = /secret|token|password|passphrase|credential|private_?key|api_?key/i;
+const SECRET_MASK = '********';
+
+const CSV_COLUMNS = ['at', 'actor', 'ip', 'source', 'action', 'target', 'projectId', 'outcome', 'error', 'params', 'details'];
+
+// Copy of `value` with anything under a secret-looking name masked
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, val]) => [
+    key,
+    SECRET_PARAM.test(key) && val !== null && val !== undefined && typeof val !== 'boolean' ? SECRET_MASK : redact(val)
+  ]));
+}
+
+// One CSV field. Cells that a spreadsheet would read as a formula are
+// prefixed with a quote so an exported log cannot run anything.
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(events) {
+  const rows = events.map(event => CSV_COLUMNS.map(column => csvField(event[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// `action` matches the action itself or a whole group ("deployment"
+// matches deployment.rollback); from/to are Date objects
+function matches(event, { action, projectId, actor, outcome, source, from, to } = {}) {
+  if (action && event.action !== action && !event.action?.startsWith(`${action}.`)) return false;
+  if (projectId && event.projectId !== projectId) return false;
+  if (actor && event.actor !== actor) return false;
+  if (outcome && event.outcome !== outcome) return false;
+  if (source && event.source !== source) return false;
+  const at = new Date(event.at);
+  if (from && at < from) return false;
+  if (to && at > to) return false;
+  return true;
+}
+
+// Append-only record of who did what to which resource: deploys,
+// rollbacks, container actions, project, secret and user changes, and
+// what webhooks set off. Entries are never rewritten.
+function createAuditLog({ dataDir }) {
+  const file = path.join(dataDir, 'audit.jsonl');
+  let recent = [];
+  let writeQueue = Promise.resolve();
+
+  function parse(content) {
+    return content.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        // Ignore a torn final line from an interrupted write
+        return [];
+      }
+    });
+  }
+
+  async function read() {
+    try {
+      return parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return [];
+    }
+  }
+
+  async function load() {
+    await fs.mkdir(dataDir, { recursive: true });
+    recent = (await read()).slice(-MAX_IN_MEMORY);
+    return recent.length;
+  }
+
+  // { actor, ip, source, action, target, projectId, params, outcome,
+  // error, details }; params are redacted before they are written
+  function record(entry) {
+    const event = { at: new Date().toISOString(), ...entry };
+    if (event.params) event.params = redact(event.params);
+
+    recent.push(event);
+    if (recent.length > MAX_IN_MEMORY) recent.shift();
+
+    writeQueue = writeQueue
+      .then(() => fs.appendFile(file, JSON.stringify(event) + '\n'))
+      .catch(error => console.error('❌ Error writing audit log:', error));
+    return event;
+  }
+
+  // Newest first, from the entries kept in memory
+  function list({ limit = 100, ...filters } = {}) {
+    return recent
+      .filter(event => matches(event, filters))
+      .slice(-limit)
+      .reverse();
+  }
+
+  // Newest first, from the whole file, for exports
+  async function history(filters = {}) {
+    await writeQueue;
+    return (await read()).filter(event => matches(event, filters)).reverse();
+  }
+
+  function flush() {
+    return writeQueue;
+  }
+
+  return { file, load, record, list, history, flush };
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  redact,
+  toCsv,
+  createAuditLog
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const util = require('util');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'deployer', 'admin'];
+const SESSION_COOKIE = 'autodock_session';
+const TOKEN_PREFIX = 'adt_';
+// A token's lastUsedAt is written back at most this often
+const TOKEN_USE_RESOLUTION = 60 * 1000;
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+function hasRole(identity, role) {
+  return !!identity && ROLES.indexOf(identity.role) >= ROLES.indexOf(role);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const actual = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...rest]) => [name, decodeURIComponent(rest.join('='))]));
+}
+
+// Users (dashboard logins) and API tokens live in DATA_DIR as small JSON
+// files; passwords are scrypt hashes and tokens are stored as SHA-256 only.
+// Sessions are kept in memory and end when the server restarts.
+function createAuthStore({ dataDir, sessionTtl = 12 * 60 * 60 * 1000 }) {
+  const usersFile = path.join(dataDir, 'users.json');
+  const tokensFile = path.join(dataDir, 'tokens.json');
+  let users = [];
+  let tokens = [];
+  let tokenWrites = Promise.resolve();
+  const sessions = new Map();
+
+  async function readJson(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async function writeJson(file, value) {
+    await fs.mkdir(dataDir, { recursive: true });
+    const tmp = `${file}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value, null, 2), { mode: 0o600 });
+    await fs.rename(tmp, file);
+  }
+
+  // Token writes share one tmp file, so they go one after another
+  function saveTokens() {
+    tokenWrites = tokenWrites.catch(() => {}).then(() => writeJson(tokensFile, tokens));
+    return tokenWrites;
+  }
+
+  // Creates the first admin from ADMIN_USERNAME / ADMIN_PASSWORD, or with a
+  // generated password that is printed once, so a fresh install is never open
+  async function load({ adminUsername = 'admin', adminPassword } = {}) {
+    users = await readJson(usersFile);
+    tokens = await readJson(tokensFile);
+
+    if (users.length === 0) {
+      const password = adminPassword || crypto.randomBytes(12).toString('base64url');
+      await createUser({ username: adminUsername, password, role: 'admin' });
+      if (!adminPassword) {
+        console.log(`🔑 Created admin user "${adminUsername}" with password: ${password}`);
+      }
+    }
+
+    return { users: users.length, tokens: tokens.length };
+  }
+
+  const publicUser = ({ username, role, createdAt }) => ({ username, role, createdAt });
+  const publicToken = ({ id, name, role, createdAt, lastUsedAt }) => ({ id, name, role, createdAt, lastUsedAt });
+
+  function validateRole(role) {
+    if (!ROLES.includes(role)) {
+      const error = new Error(`role must be one of ${ROLES.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  async function createUser({ username, password, role = 'viewer' }) {
+    if (!username || !/^[\w.@-]{1,64}$/.test(username)) {
+      const error = new Error('username must be 1-64 letters, digits, ".", "@", "-" or "_"');
+      error.status = 400;
+      throw error;
+    }
+    if (!password || String(password).length < 8) {
+      const error = new Error('password must be at least 8 characters');
+      error.status = 400;
+      throw error;
+    }
+    validateRole(role);
+    if (users.some(user => user.username === username)) {
+      const error = new Error(`user ${username} already exists`);
+      error.status = 409;
+      throw error;
+    }
+
+    const user = { username, role, passwordHash: await hashPassword(String(password)), createdAt: new Date().toISOString() };
+    users.push(user);
+    await writeJson(usersFile, users);
+    return publicUser(user);
+  }
+
+  async function deleteUser(username) {
+    const remaining = users.filter(user => user.username !== username);
+    if (remaining.length === users.length) return false;
+    if (!remaining.some(user => user.role === 'admin')) {
+      const error = new Error('cannot remove the last admin');
+      error.status = 409;
+      throw error;
+    }
+    users = remaining;
+    await writeJson(usersFile, users);
+    for (const [id, session] of sessions) {
+      if (session.username === username) sessions.delete(id);
+    }
+    return true;
+  }
+
+  async function createToken({ name, role = 'deployer' }) {
+    if (!name || typeof name !== 'string') {
+      const error = new Error('name is required');
+      error.status = 400;
+      throw error;
+    }
+    validateRole(role);
+
+    const value = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const token = { id: crypto.randomUUID(), name, role, hash: sha256(value), createdAt: new Date().toISOString(), lastUsedAt: null };
+    tokens.push(token);
+    await saveTokens();
+    // The plain value is only ever returned here
+    return { ...publicToken(token), token: value };
+  }
+
+  async function revokeToken(id) {
+    const remaining = tokens.filter(token => token.id !== id);
+    if (remaining.length === tokens.length) return false;
+    tokens = remaining;
+    await saveTokens();
+    // Sessions opened with the token end with it
+    for (const [sessionId, session] of sessions) {
+      if (session.tokenId === id) sessions.delete(sessionId);
+    }
+    return true;
+  }
+
+  function findToken(value) {
+    if (!value || !value.startsWith(TOKEN_PREFIX)) return null;
+    const hash = sha256(value);
+    const token = tokens.find(candidate => candidate.hash === hash);
+    if (!token) return null;
+
+    const now = new Date();
+    if (!token.lastUsedAt || now - new Date(token.lastUsedAt) >= TOKEN_USE_RESOLUTION) {
+      token.lastUsedAt = now.toISOString();
+      saveTokens().catch(error => console.error('Failed to record token use:', error.message));
+    }
+    return token;
+  }
+
+  async function login({ username, password, token }) {
+    let identity = null;
+
+    if (token) {
+      const found = findToken(token);
+      if (found) identity = { type: 'token', name: found.name, role: found.role, tokenId: found.id };
+    } else {
+      const user = users.find(candidate => candidate.username === username);
+      // Hash even for unknown users so timing does not reveal which exist
+      const valid = await verifyPassword(String(password || ''), user ? user.passwordHash : 'scrypt$00$00');
+      if (user && valid) identity = { type: 'user', name: user.username, username: user.username, role: user.role };
+    }
+
+    if (!identity) return null;
+
+    const id = crypto.randomBytes(32).toString('base64url');
+    sessions.set(id, { ...identity, expiresAt: Date.now() + sessionTtl });
+    return { id, identity, maxAge: sessionTtl };
+  }
+
+  function logout(sessionId) {
+    sessions.delete(sessionId);
+  }
+
+  function getSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      sessions.delete(sessionId);
+      return null;
+    }
+    const { expiresAt, ...identity } = session;
+    return identity;
+  }
+
+  // Bearer token for automation, otherwise the dashboard session cookie
+  function identify(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) {
+      const token = findToken(header.slice('Bearer '.length).trim());
+      return token ? { type: 'token', name: token.name, role: token.role, tokenId: token.id } : null;
+    }
+
+    const sessionId = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+    return sessionId ? getSession(sessionId) : null;
+  }
+
+  return {
+    load,
+    login,
+    logout,
+    identify,
+    createUser,
+    deleteUser,
+    listUsers: () => users.map(publicUser),
+    createToken,
+    revokeToken,
+    listTokens: () => tokens.map(publicToken),
+    sessionIdFrom: req => parseCookies(req.get('Cookie'))[SESSION_COOKIE] || null
+  };
+}
+
+// Route guard: 401 without an identity, 403 when the role is too low
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: 'Forbidden', message: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+const SENSITIVE_HEADER_PATTERN = /^(authorization|cookie|set-cookie|proxy-authorization|x-hub-signature.*)$|token|secret|api-key|password/i;
+
+function redactHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+    name,
+    SENSITIVE_HEADER_PATTERN.test(name) ? '[redacted]' : value
+  ]));
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  hasRole,
+  requireRole,
+  redactHeaders,
+  createAuthStore
+};
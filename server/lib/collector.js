@@ -0,0 +1,143 @@
+// Probes that are slow or rate-limited to call (shell commands, the Docker
+// daemon, outside services) are run here on their own timers and served
+// from a cache, so API requests never set them off directly.
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_TTL = 60000;
+
+function timeoutError(name, timeout) {
+  const error = new Error(`${name} probe timed out after ${timeout} ms`);
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+const isoTime = time => time === null ? null : new Date(time).toISOString();
+
+// `probes` maps a name to { collect, interval, ttl, timeout }:
+// - collect({ signal }) resolves with the probe's value; the signal aborts
+//   when the probe times out, e.g. to kill a child process
+// - interval (ms) re-runs the probe in the background after start();
+//   leave it out for probes refreshed only on demand
+// - ttl (ms) is how long a value counts as fresh, default the interval
+// - timeout (ms) caps a single run
+// A run that fails or times out keeps the previous value and records the
+// error. Concurrent refreshes of one probe share a single run.
+// `onUpdate(name, value)` is called whenever a probe brings a new value.
+// `now` can be replaced to control the clock.
+function createCollector({ probes, onUpdate = () => {}, now = Date.now }) {
+  const entries = new Map(Object.entries(probes).map(([name, probe]) => [name, {
+    probe: {
+      interval: null,
+      timeout: DEFAULT_TIMEOUT,
+      ...probe,
+      ttl: probe.ttl || probe.interval || DEFAULT_TTL
+    },
+    value: null,
+    collectedAt: null,
+    attemptedAt: null,
+    error: null,
+    pending: null
+  }]));
+  const timers = [];
+
+  function entryFor(name) {
+    const entry = entries.get(name);
+    if (!entry) throw new Error(`Unknown probe ${name}`);
+    return entry;
+  }
+
+  async function collect(name, entry) {
+    const { collect: run, timeout } = entry.probe;
+    const controller = new AbortController();
+    let timer = null;
+    entry.attemptedAt = now();
+    try {
+      const value = await Promise.race([
+        run({ signal: controller.signal }),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => {
+            controller.abort();
+            reject(timeoutError(name, timeout));
+          }, timeout);
+        })
+      ]);
+      entry.value = value;
+      entry.collectedAt = now();
+      entry.error = null;
+      onUpdate(name, value);
+    } catch (error) {
+      entry.error = error.message;
+    } finally {
+      clearTimeout(timer);
+      entry.pending = null;
+    }
+    return entry.value;
+  }
+
+  // Runs the probe now, or joins the run already under way. Resolves with
+  // the newest value, which is the previous one if this run failed.
+  function refresh(name) {
+    const entry = entryFor(name);
+    if (!entry.pending) entry.pending = collect(name, entry);
+    return entry.pending;
+  }
+
+  // The cached value. Once its ttl has passed it is still returned while a
+  // refresh runs in the background; only a probe without a value that was
+  // never tried, or is being tried, is waited for. A failing probe is
+  // retried at most once per ttl.
+  async function get(name) {
+    const entry = entryFor(name);
+    if (entry.collectedAt === null && (entry.attemptedAt === null || entry.pending)) return refresh(name);
+    if (now() - entry.attemptedAt >= entry.probe.ttl) refresh(name);
+    return entry.value;
+  }
+
+  // Cached value without triggering a refresh; null until the first run
+  function peek(name) {
+    return entryFor(name).value;
+  }
+
+  // When each probe last succeeded and was last tried, and whether its
+  // value is older than its ttl (or missing)
+  function status() {
+    const time = now();
+    return Object.fromEntries([...entries].map(([name, entry]) => [name, {
+      collectedAt: isoTime(entry.collectedAt),
+      attemptedAt: isoTime(entry.attemptedAt),
+      stale: entry.collectedAt === null || time - entry.collectedAt > entry.probe.ttl,
+      error: entry.error,
+      refreshing: !!entry.pending,
+      ttl: entry.probe.ttl
+    }]));
+  }
+
+  // Newest collection time over all probes
+  function lastCollectedAt() {
+    const times = [...entries.values()].map(entry => entry.collectedAt).filter(time => time !== null);
+    return times.length ? isoTime(Math.max(...times)) : null;
+  }
+
+  // Runs every probe once, then those with an interval on their timers
+  function start() {
+    if (timers.length) return;
+    for (const [name, entry] of entries) {
+      refresh(name);
+      if (entry.probe.interval) {
+        const timer = setInterval(() => refresh(name), entry.probe.interval);
+        timer.unref();
+        timers.push(timer);
+      }
+    }
+  }
+
+  function stop() {
+    timers.splice(0).forEach(timer => clearInterval(timer));
+  }
+
+  return { get, peek, refresh, status, lastCollectedAt, start, stop };
+}
+
+module.exports = {
+  createCollector
+};
@@ -0,0 +1,88 @@
+// Deployment-specific settings the dashboard needs at runtime, read from
+// the environment so one build works behind nginx, on another host or
+// with the React dev server:
+//
+//   API_BASE_URL     where the dashboard sends API calls (default: the
+//                    origin it was loaded from)
+//   CORS_ORIGINS     comma-separated origins allowed to call the API with
+//                    credentials (default: the React dev server)
+//   DASHBOARD_URL    public address of the dashboard, for log output
+//   TRUST_PROXY      proxies whose X-Forwarded-For is believed: true, a
+//                    hop count or comma-separated addresses and subnets
+//                    (default: none, the socket address is the client)
+//   FEATURE_<NAME>   false hides a dashboard feature (see FEATURES)
+
+const DEFAULT_ORIGINS = ['http://localhost:3000', 'http://localhost:3001'];
+
+// Feature -> environment variable. Toggles only change what the dashboard
+// shows; the API keeps enforcing roles either way.
+const FEATURES = {
+  metrics: 'FEATURE_METRICS',
+  containerControls: 'FEATURE_CONTAINER_CONTROLS',
+  environmentVariables: 'FEATURE_ENVIRONMENT_VARIABLES',
+  promotion: 'FEATURE_PROMOTION'
+};
+
+function parseList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseBoolean(name, value) {
+  if (value === undefined || value === '') return true;
+  if (/^(1|true|yes|on)$/i.test(value)) return true;
+  if (/^(0|false|no|off)$/i.test(value)) return false;
+  throw new Error(`${name} must be true or false, got "${value}"`);
+}
+
+// Express 'trust proxy' setting
+function parseTrustProxy(value) {
+  if (value === undefined || value === '') return false;
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  if (/^\d+$/.test(value)) return Number(value);
+  return parseList(value);
+}
+
+// "https://example.com" exactly, without a path or trailing slash
+function checkOrigin(name, value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`${name}: ${value} is not a URL`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.origin !== value) {
+    throw new Error(`${name}: ${value} must be an origin such as https://deploy.example.com`);
+  }
+  return value;
+}
+
+function loadRuntimeConfig(env = process.env) {
+  const apiBaseUrl = (env.API_BASE_URL || '').replace(/\/+$/, '');
+  if (apiBaseUrl && !/^https?:\/\/[^/]/.test(apiBaseUrl)) {
+    throw new Error(`API_BASE_URL must be an http(s) URL, got "${env.API_BASE_URL}"`);
+  }
+
+  const allowedOrigins = env.CORS_ORIGINS
+    ? parseList(env.CORS_ORIGINS).map(origin => checkOrigin('CORS_ORIGINS', origin))
+    : DEFAULT_ORIGINS;
+
+  const features = Object.fromEntries(Object.entries(FEATURES).map(([feature, name]) => [feature, parseBoolean(name, env[name])]));
+
+  return {
+    apiBaseUrl,
+    allowedOrigins,
+    dashboardUrl: env.DASHBOARD_URL ? env.DASHBOARD_URL.replace(/\/+$/, '') : null,
+    trustProxy: parseTrustProxy(env.TRUST_PROXY),
+    features,
+
+    // What /config.json serves; nothing here is secret
+    client() {
+      return { apiBaseUrl, features };
+    }
+  };
+}
+
+module.exports = {
+  FEATURES,
+  loadRuntimeConfig
+};
@@ -0,0 +1,251 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week")
+// evaluated in an IANA time zone, plus the wall-clock helpers deploy
+// windows share. Fields take *, lists, ranges, steps and month/day names;
+// @hourly, @daily (@midnight), @weekly, @monthly and @yearly are accepted.
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  // 7 is Sunday too
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Searching further than this for a match means the expression never
+// fires (e.g. "0 0 30 2 *")
+const MAX_SEARCH = 5 * 366 * 24 * 3600 * 1000;
+const DAY = 24 * 3600 * 1000;
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function defaultTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function isTimeZone(value) {
+  try {
+    formatter(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock fields of `date` in `timeZone`; weekday 0 is Sunday
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(formatter(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+// Wall clock of a (whole-minute) instant in `timeZone`, as a UTC timestamp
+// so the two can be subtracted: the difference is the zone's offset
+function wallTime(time, timeZone) {
+  const parts = zonedParts(new Date(time), timeZone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+}
+
+// Wall-clock fields of a wallTime() value
+function wallParts(wall) {
+  const date = new Date(wall);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    weekday: date.getUTCDay()
+  };
+}
+
+// The instant a wall-clock time in `timeZone` happens. Times skipped by a
+// DST change come out an hour later, as clocks show them; times repeated
+// when clocks go back are their first occurrence. Zones change offset at
+// most once a day, so the offsets a day either side are the candidates.
+function zonedTime({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetBefore = wallTime(wall - DAY, timeZone) - (wall - DAY);
+  const offsetAfter = wallTime(wall + DAY, timeZone) - (wall + DAY);
+  const shown = [wall - offsetBefore, wall - offsetAfter].filter(instant => wallTime(instant, timeZone) === wall);
+  return new Date(shown.length > 0 ? Math.min(...shown) : wall - offsetBefore);
+}
+
+function parseValue(text, field) {
+  const lower = text.toLowerCase();
+  if (field.names && field.names.includes(lower)) return field.names.indexOf(lower) + field.offset;
+  if (!/^\d+$/.test(text)) throw new Error(`${field.name}: "${text}" is not a number`);
+  return Number(text);
+}
+
+// One field -> sorted list of allowed values, or null for "*"
+function parseField(text, field) {
+  if (text === '*') return null;
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`${field.name}: bad step in "${part}"`);
+
+    let [from, to] = [field.min, field.max];
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field);
+    }
+    if (from < field.min || to > field.max || from > to) {
+      throw new Error(`${field.name}: "${part}" is outside ${field.min}-${field.max}`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+// Parses `expression`; throws with a readable message when it is invalid
+function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const text = MACROS[source.toLowerCase()] || source;
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new Error('cron expressions have five fields: minute hour day-of-month month day-of-week');
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  // Sunday can be written 0 or 7
+  const weekdaySet = weekdays && new Set(weekdays.map(day => day % 7));
+
+  // Standard cron: with both day fields restricted, either may match
+  const dayMatches = parts => {
+    const dom = !days || days.includes(parts.day);
+    const dow = !weekdaySet || weekdaySet.has(parts.weekday);
+    return days && weekdaySet ? dom || dow : dom && dow;
+  };
+
+  const fieldsMatch = parts => (!months || months.includes(parts.month)) && dayMatches(parts) &&
+    (!hours || hours.includes(parts.hour)) && (!minutes || minutes.includes(parts.minute));
+
+  // Clocks jumped forward between `from` and `to`: the first matching
+  // wall-clock time they skipped, at the instant clocks show it an hour
+  // (the size of the jump) later, or null
+  function skippedMatch(from, to, fromOffset, timeZone) {
+    // First minute on the new offset
+    let low = from;
+    let high = to;
+    while (high - low > 60000) {
+      const middle = low + Math.floor((high - low) / 120000) * 60000;
+      if (wallTime(middle, timeZone) - middle === fromOffset) low = middle;
+      else high = middle;
+    }
+    const gap = wallTime(high, timeZone) - high - fromOffset;
+    const start = high + fromOffset;
+    for (let wall = start; wall < start + gap; wall += 60000) {
+      if (fieldsMatch(wallParts(wall))) return wall - fromOffset;
+    }
+    return null;
+  }
+
+  // Whether clocks already showed this time once before going back: the
+  // same wall-clock time on the offset of a day earlier came first
+  function repeated(time, timeZone) {
+    const wall = wallTime(time, timeZone);
+    const dayBefore = time - DAY;
+    const earlier = wall - (wallTime(dayBefore, timeZone) - dayBefore);
+    return earlier < time && wallTime(earlier, timeZone) === wall;
+  }
+
+  return {
+    expression: source,
+
+    matches(date, timeZone = defaultTimeZone()) {
+      return fieldsMatch(zonedParts(date, timeZone));
+    },
+
+    // First matching minute strictly after `after`, or null. Whole days
+    // and hours that cannot match are skipped, so this stays cheap.
+    // Across DST changes it goes by the clocks: a time skipped when they
+    // jump forward runs as they show it an hour later (a daily 02:30 job
+    // at 03:30), and when they go back a job with fixed hours runs in the
+    // first pass through the repeated hour only.
+    next(after = new Date(), timeZone = defaultTimeZone()) {
+      let previous = Math.floor(after.getTime() / 60000) * 60000;
+      let previousOffset = wallTime(previous, timeZone) - previous;
+      let time = previous + 60000;
+      let skipped = null;
+      const limit = time + MAX_SEARCH;
+      while (time < limit) {
+        const parts = zonedParts(new Date(time), timeZone);
+        const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - time;
+        if (skipped === null && offset > previousOffset) skipped = skippedMatch(previous, time, previousOffset, timeZone);
+        if (skipped !== null && skipped <= time) return new Date(skipped);
+        previous = time;
+        previousOffset = offset;
+
+        if ((months && !months.includes(parts.month)) || !dayMatches(parts)) {
+          time += ((24 - parts.hour) * 60 - parts.minute) * 60000;
+          continue;
+        }
+        if (hours && !hours.includes(parts.hour)) {
+          time += (60 - parts.minute) * 60000;
+          continue;
+        }
+        const minute = minutes ? minutes.find(value => value >= parts.minute) : parts.minute;
+        if (minute === undefined) {
+          time += (60 - parts.minute) * 60000;
+          continue;
+        }
+        const match = time + (minute - parts.minute) * 60000;
+        if (skipped !== null && skipped < match) return new Date(skipped);
+        if (hours && repeated(match, timeZone)) {
+          time = match + 60000;
+          continue;
+        }
+        return new Date(match);
+      }
+      return skipped === null ? null : new Date(skipped);
+    }
+  };
+}
+
+module.exports = {
+  DAY_NAMES,
+  parseCron,
+  zonedParts,
+  zonedTime,
+  isTimeZone,
+  defaultTimeZone
+};
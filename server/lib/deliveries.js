@@ -0,0 +1,128 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const MAX_IN_MEMORY = 1000;
+
+// Ids of older deliveries are kept this long to catch replays; GitHub
+// only offers redelivery for the last few days
+const SEEN_RETENTION = 7 * 24 * 3600 * 1000;
+
+// Appends are compacted away once they outgrow the last compacted file,
+// and never before this many bytes
+const MIN_COMPACT_BYTES = 1024 * 1024;
+
+// Append-only record of incoming webhook deliveries, used both for
+// inspection and to ignore replays of a delivery id we have already seen.
+// The file is rewritten at startup and whenever the appends since the last
+// rewrite grow larger than it was: the latest deliveries stay in full,
+// older ones only by id while they can still be replayed.
+function createDeliveryStore({ dataDir, minCompactBytes = MIN_COMPACT_BYTES }) {
+  const file = path.join(dataDir, 'webhook-deliveries.jsonl');
+  // source:deliveryId -> receivedAt
+  const seen = new Map();
+  let recent = [];
+  let appendedBytes = 0;
+  let compactedBytes = 0;
+  let writeQueue = Promise.resolve();
+
+  function enqueue(task) {
+    writeQueue = writeQueue.then(task).catch(error => {
+      console.error('❌ Error writing webhook delivery:', error);
+    });
+    return writeQueue;
+  }
+
+  // Rejected deliveries never count, so a forged request cannot burn an id
+  function markSeen(delivery) {
+    if (delivery.deliveryId && delivery.status !== 'rejected') {
+      seen.set(`${delivery.source}:${delivery.deliveryId}`, delivery.receivedAt);
+    }
+  }
+
+  async function load() {
+    await fs.mkdir(dataDir, { recursive: true });
+
+    let content = '';
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    content.split('\n').filter(Boolean).forEach(line => {
+      try {
+        const delivery = JSON.parse(line);
+        markSeen(delivery);
+        // Id-only lines from an earlier compaction
+        if (delivery.status) recent.push(delivery);
+      } catch (error) {
+        // Ignore a torn final line from an interrupted write
+      }
+    });
+    recent = recent.slice(-MAX_IN_MEMORY);
+
+    await compact();
+    return recent.length;
+  }
+
+  function compact() {
+    appendedBytes = 0;
+    return enqueue(async () => {
+      const cutoff = new Date(Date.now() - SEEN_RETENTION).toISOString();
+      // Ids the full deliveries below already carry
+      const kept = new Set(recent.filter(delivery => delivery.status !== 'rejected').map(delivery => `${delivery.source}:${delivery.deliveryId}`));
+      const ids = [];
+      for (const [id, receivedAt] of seen) {
+        if (kept.has(id)) continue;
+        if (!receivedAt || receivedAt < cutoff) {
+          seen.delete(id);
+          continue;
+        }
+        const separator = id.indexOf(':');
+        ids.push({ receivedAt, source: id.slice(0, separator), deliveryId: id.slice(separator + 1) });
+      }
+
+      const content = [...ids, ...recent].map(entry => JSON.stringify(entry) + '\n').join('');
+      compactedBytes = Buffer.byteLength(content);
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, content);
+      await fs.rename(tmp, file);
+    });
+  }
+
+  function has(source, deliveryId) {
+    return seen.has(`${source}:${deliveryId}`);
+  }
+
+  function record(delivery) {
+    const entry = { receivedAt: new Date().toISOString(), ...delivery };
+    markSeen(entry);
+
+    recent.push(entry);
+    if (recent.length > MAX_IN_MEMORY) recent.shift();
+
+    const line = JSON.stringify(entry) + '\n';
+    appendedBytes += Buffer.byteLength(line);
+    enqueue(() => fs.appendFile(file, line));
+    if (appendedBytes > Math.max(minCompactBytes, compactedBytes)) compact();
+    return entry;
+  }
+
+  function list({ source, status, limit = 50 } = {}) {
+    return recent
+      .filter(delivery => !source || delivery.source === source)
+      .filter(delivery => !status || delivery.status === status)
+      .slice(-limit)
+      .reverse();
+  }
+
+  function flush() {
+    return writeQueue;
+  }
+
+  return { file, load, has, record, list, flush, compact };
+}
+
+module.exports = {
+  createDeliveryStore
+};
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const http = require('http');
+
+// Stand-in for the Docker daemon's unix socket, serving the endpoints
+// lib/docker.js uses from in-memory fixtures in the Docker API's own JSON
+// shapes. Lifecycle calls change the fixtures and logs are generated, so
+// the dashboard and the client can run without Docker:
+//
+//   node lib/docker-mock.js /tmp/docker.sock
+//   DOCKER_HOST=unix:///tmp/docker.sock npm start
+
+const now = Math.floor(Date.now() / 1000);
+
+const sampleImages = [{
+  Id: 'sha256:4c5e1a0c8e0f7d1b2a3f4e5d6c7b8a9f0e1d2c3b4a5f6e7d8c9b0a1f2e3d4c5b',
+  RepoTags: ['vaibhavbhosale1/autodock:latest'],
+  RepoDigests: ['vaibhavbhosale1/autodock@sha256:9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'],
+  Created: now - 3600,
+  Size: 187654321,
+  Labels: { 'org.opencontainers.image.source': 'https://github.com/vaibhav-bhosale1/AutoDock-Full-Stack-CI-CD-Deployment-Engine' }
+}];
+
+const sampleContainers = [{
+  Id: '8f3b2c1d0e9f8a7b6c5d4e3f2a1b0c9d8e7f6a5b4c3d2e1f0a9b8c7d6e5f4a3b',
+  Names: ['/autodock'],
+  Image: 'vaibhavbhosale1/autodock:latest',
+  ImageID: sampleImages[0].Id,
+  Created: now - 1800,
+  State: 'running',
+  Status: 'Up 30 minutes (healthy)',
+  Ports: [{ IP: '0.0.0.0', PrivatePort: 5000, PublicPort: 5000, Type: 'tcp' }],
+  Labels: { 'com.docker.compose.service': 'app' }
+}];
+
+// Inspect shape of a listed container
+function inspectContainer(container) {
+  const health = /\((healthy|unhealthy)\)/.exec(container.Status);
+  const ports = {};
+  container.Ports.forEach(port => {
+    const key = `${port.PrivatePort}/${port.Type}`;
+    ports[key] = port.PublicPort ? [...(ports[key] || []), { HostIp: port.IP, HostPort: String(port.PublicPort) }] : null;
+  });
+
+  return {
+    Id: container.Id,
+    Name: container.Names[0],
+    Image: container.ImageID,
+    Created: new Date(container.Created * 1000).toISOString(),
+    State: {
+      Status: container.State,
+      Running: container.State === 'running',
+      StartedAt: new Date(container.Created * 1000).toISOString(),
+      Health: health ? { Status: health[1] } : undefined
+    },
+    Config: { Image: container.Image, Labels: container.Labels, Tty: false },
+    NetworkSettings: { Ports: ports }
+  };
+}
+
+// Stats in the daemon's shape with a little noise, and counters that grow
+function mockStats(container) {
+  const running = container.State === 'running';
+  const uptime = Math.max(1, Math.floor(Date.now() / 1000) - container.Created);
+  const system = uptime * 4e9;
+  const usage = running ? system * (0.02 + Math.random() * 0.03) / 4 : 0;
+
+  return {
+    read: new Date().toISOString(),
+    cpu_stats: { cpu_usage: { total_usage: usage }, system_cpu_usage: system, online_cpus: 4 },
+    precpu_stats: { cpu_usage: { total_usage: usage * 0.999 }, system_cpu_usage: system - 4e9 },
+    memory_stats: running
+      ? { usage: 120e6 + Math.random() * 20e6, limit: 2e9, stats: { inactive_file: 10e6 } }
+      : {},
+    networks: running ? { eth0: { rx_bytes: uptime * 2048, tx_bytes: uptime * 1024 } } : undefined
+  };
+}
+
+// One multiplexed log frame: stream type, 3 zero bytes, payload length
+function logFrame(stream, text) {
+  const payload = Buffer.from(text);
+  const header = Buffer.alloc(8);
+  header[0] = stream === 'stderr' ? 2 : 1;
+  header.writeUInt32BE(payload.length, 4);
+  return Buffer.concat([header, payload]);
+}
+
+function logLine(stream, message) {
+  return logFrame(stream, `${new Date().toISOString()} ${message}\n`);
+}
+
+function createMockDockerServer({ containers = sampleContainers.map(container => ({ ...container })), images = sampleImages, logInterval = 1000 } = {}) {
+  const eventStreams = new Set();
+  // What the daemon reports on /events after a lifecycle change
+  const emit = (container, action) => {
+    const event = JSON.stringify({
+      Type: 'container',
+      Action: action,
+      Actor: { ID: container.Id, Attributes: { name: container.Names[0].slice(1), image: container.Image } },
+      time: Math.floor(Date.now() / 1000)
+    });
+    eventStreams.forEach(res => res.write(`${event}\n`));
+  };
+
+  const send = (res, status, body) => {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain; charset=utf-8' : 'application/json' });
+    res.end(text);
+  };
+  const notFound = (res, message) => send(res, 404, { message });
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://docker');
+    // Accept both versioned (/v1.41/...) and unversioned paths
+    const route = url.pathname.replace(/^\/v[0-9.]+/, '');
+    let match;
+
+    const findContainer = id => containers.find(candidate => candidate.Id.startsWith(id) || candidate.Names.includes(`/${id}`));
+
+    if ((match = /^\/containers\/([^/]+)\/(start|stop|restart)$/.exec(route)) && req.method === 'POST') {
+      const container = findContainer(decodeURIComponent(match[1]));
+      if (!container) return notFound(res, `No such container: ${match[1]}`);
+      const running = container.State === 'running';
+      if ((match[2] === 'start' && running) || (match[2] === 'stop' && !running)) return send(res, 304, '');
+      container.State = match[2] === 'stop' ? 'exited' : 'running';
+      container.Status = match[2] === 'stop' ? 'Exited (0) Less than a second ago' : 'Up Less than a second';
+      emit(container, match[2]);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    if ((match = /^\/containers\/([^/]+)$/.exec(route)) && req.method === 'DELETE') {
+      const container = findContainer(decodeURIComponent(match[1]));
+      if (!container) return notFound(res, `No such container: ${match[1]}`);
+      if (container.State === 'running' && !['1', 'true'].includes(url.searchParams.get('force'))) {
+        return send(res, 409, { message: `You cannot remove a running container ${container.Id}. Stop the container before attempting removal or force remove` });
+      }
+      containers.splice(containers.indexOf(container), 1);
+      emit(container, 'destroy');
+      res.writeHead(204);
+      return res.end();
+    }
+
+    if ((match = /^\/containers\/([^/]+)\/logs$/.exec(route)) && req.method === 'GET') {
+      const container = findContainer(decodeURIComponent(match[1]));
+      if (!container) return notFound(res, `No such container: ${match[1]}`);
+
+      res.writeHead(200, { 'Content-Type': 'application/vnd.docker.raw-stream' });
+      const tail = parseInt(url.searchParams.get('tail'), 10);
+      const count = isNaN(tail) ? 5 : Math.min(tail, 5);
+      for (let n = 1; n <= count; n++) {
+        res.write(logLine(n % 5 === 0 ? 'stderr' : 'stdout', `${container.Names[0].slice(1)} log line ${n}`));
+      }
+      if (!['1', 'true'].includes(url.searchParams.get('follow'))) return res.end();
+
+      let n = count;
+      const timer = setInterval(() => res.write(logLine('stdout', `${container.Names[0].slice(1)} log line ${++n}`)), logInterval);
+      req.on('close', () => clearInterval(timer));
+      return;
+    }
+
+    if ((match = /^\/containers\/([^/]+)\/stats$/.exec(route)) && req.method === 'GET') {
+      const container = findContainer(decodeURIComponent(match[1]));
+      if (!container) return notFound(res, `No such container: ${match[1]}`);
+      return send(res, 200, mockStats(container));
+    }
+
+    if (req.method !== 'GET') return send(res, 405, { message: `${req.method} ${route} is not supported by the mock daemon` });
+
+    if (route === '/_ping') return send(res, 200, 'OK');
+
+    if (route === '/events') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.flushHeaders();
+      eventStreams.add(res);
+      req.on('close', () => eventStreams.delete(res));
+      return;
+    }
+    if (route === '/version') return send(res, 200, { Version: '24.0.0-mock', ApiVersion: '1.43', Os: 'linux', Arch: 'amd64' });
+
+    if (route === '/containers/json') {
+      const all = ['1', 'true'].includes(url.searchParams.get('all'));
+      const labels = JSON.parse(url.searchParams.get('filters') || '{}').label || [];
+      return send(res, 200, containers
+        .filter(container => all || container.State === 'running')
+        .filter(container => labels.every(filter => {
+          const [key, value] = filter.split('=');
+          return value === undefined ? key in container.Labels : container.Labels[key] === value;
+        })));
+    }
+
+    if ((match = /^\/containers\/([^/]+)\/json$/.exec(route))) {
+      const id = decodeURIComponent(match[1]);
+      const container = findContainer(id);
+      return container ? send(res, 200, inspectContainer(container)) : notFound(res, `No such container: ${id}`);
+    }
+
+    if (route === '/images/json') return send(res, 200, images);
+
+    if ((match = /^\/images\/(.+)\/json$/.exec(route))) {
+      const name = decodeURIComponent(match[1]);
+      const image = images.find(candidate => candidate.Id === name || candidate.Id.startsWith(`sha256:${name}`) ||
+        candidate.RepoTags.includes(name) || candidate.RepoTags.includes(`${name}:latest`));
+      return image ? send(res, 200, { ...image, Config: { Labels: image.Labels } }) : notFound(res, `No such image: ${name}`);
+    }
+
+    notFound(res, `page not found: ${route}`);
+  });
+
+  return {
+    server,
+    containers,
+    images,
+
+    // Removes a stale socket file left behind by an earlier run
+    listen(socketPath) {
+      try {
+        fs.unlinkSync(socketPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(socketPath, () => resolve(socketPath));
+      });
+    },
+
+    close() {
+      eventStreams.forEach(res => res.end());
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = {
+  createMockDockerServer
+};
+
+if (require.main === module) {
+  const socketPath = process.argv[2] || '/tmp/autodock-docker.sock';
+  const mock = createMockDockerServer();
+  mock.listen(socketPath).then(() => {
+    console.log(`🐳 Mock Docker daemon listening on ${socketPath}`);
+    console.log(`   DOCKER_HOST=unix://${socketPath}`);
+  });
+  process.on('SIGINT', () => mock.close().then(() => process.exit(0)));
+  process.on('SIGTERM', () => mock.close().then(() => process.exit(0)));
+}
@@ -0,0 +1,369 @@
+const http = require('http');
+
+const DEFAULT_SOCKET = '/var/run/docker.sock';
+
+class DockerError extends Error {
+  constructor(message, statusCode = null) {
+    super(message);
+    this.name = 'DockerError';
+    this.statusCode = statusCode;
+  }
+}
+
+// DOCKER_HOST=unix:///path/to/docker.sock, as the docker CLI reads it
+function socketPathFromEnv(env = process.env) {
+  const host = env.DOCKER_HOST || '';
+  return host.startsWith('unix://') ? host.slice('unix://'.length) : DEFAULT_SOCKET;
+}
+
+// "Up 5 minutes (healthy)" -> 'healthy'; the list endpoint only reports
+// health inside the status text
+function healthFromStatus(status = '') {
+  const match = /\((healthy|unhealthy|health: starting)\)/.exec(status);
+  if (!match) return null;
+  return match[1] === 'health: starting' ? 'starting' : match[1];
+}
+
+function toPorts(ports = []) {
+  return ports.map(port => ({
+    ip: port.IP || null,
+    privatePort: port.PrivatePort,
+    publicPort: port.PublicPort || null,
+    type: port.Type
+  }));
+}
+
+// Docker API container (list or inspect shape) -> the fields AutoDock uses
+function toContainer(raw) {
+  if (raw.State && typeof raw.State === 'object') {
+    const bindings = raw.NetworkSettings?.Ports || {};
+    const ports = Object.entries(bindings).flatMap(([spec, hosts]) => {
+      const [privatePort, type] = spec.split('/');
+      return (hosts || [null]).map(host => ({
+        ip: host?.HostIp || null,
+        privatePort: Number(privatePort),
+        publicPort: host?.HostPort ? Number(host.HostPort) : null,
+        type
+      }));
+    });
+
+    return {
+      id: raw.Id,
+      name: String(raw.Name || '').replace(/^\//, ''),
+      image: raw.Config?.Image || null,
+      imageDigest: raw.Image || null,
+      state: raw.State.Status,
+      status: raw.State.Status,
+      health: raw.State.Health?.Status || null,
+      ports,
+      labels: raw.Config?.Labels || {},
+      tty: !!raw.Config?.Tty,
+      createdAt: raw.Created ? new Date(raw.Created).toISOString() : null,
+      startedAt: raw.State.StartedAt && !raw.State.StartedAt.startsWith('0001') ? raw.State.StartedAt : null
+    };
+  }
+
+  return {
+    id: raw.Id,
+    name: String((raw.Names || [])[0] || '').replace(/^\//, ''),
+    image: raw.Image || null,
+    imageDigest: raw.ImageID || null,
+    state: raw.State,
+    status: raw.Status,
+    health: healthFromStatus(raw.Status),
+    ports: toPorts(raw.Ports),
+    labels: raw.Labels || {},
+    createdAt: raw.Created ? new Date(raw.Created * 1000).toISOString() : null,
+    startedAt: null
+  };
+}
+
+// Docker API image (list or inspect shape) -> the fields AutoDock uses
+function toImage(raw) {
+  const created = typeof raw.Created === 'number' ? new Date(raw.Created * 1000) : new Date(raw.Created);
+  return {
+    id: raw.Id,
+    repoTags: (raw.RepoTags || []).filter(tag => tag !== '<none>:<none>'),
+    repoDigests: (raw.RepoDigests || []).filter(digest => !digest.startsWith('<none>@')),
+    size: raw.Size || 0,
+    labels: raw.Labels || raw.Config?.Labels || {},
+    createdAt: isNaN(created) ? null : created.toISOString()
+  };
+}
+
+// Docker stats response -> CPU %, memory and network counters. CPU is the
+// container's share of host CPU time since the previous read (precpu),
+// scaled by the number of CPUs like `docker stats` does.
+function toStats(raw) {
+  const cpuDelta = (raw.cpu_stats?.cpu_usage?.total_usage || 0) - (raw.precpu_stats?.cpu_usage?.total_usage || 0);
+  const systemDelta = (raw.cpu_stats?.system_cpu_usage || 0) - (raw.precpu_stats?.system_cpu_usage || 0);
+  const cpus = raw.cpu_stats?.online_cpus || raw.cpu_stats?.cpu_usage?.percpu_usage?.length || 1;
+  const memory = raw.memory_stats || {};
+  // Page cache is reclaimable, so `docker stats` leaves it out as well
+  const cache = memory.stats?.inactive_file ?? memory.stats?.total_inactive_file ?? 0;
+  const networks = Object.values(raw.networks || {});
+
+  return {
+    cpuPercent: cpuDelta > 0 && systemDelta > 0 ? (cpuDelta / systemDelta) * cpus * 100 : 0,
+    memoryBytes: Math.max(0, (memory.usage || 0) - cache),
+    memoryLimit: memory.limit || 0,
+    netRxBytes: networks.reduce((sum, network) => sum + (network.rx_bytes || 0), 0),
+    netTxBytes: networks.reduce((sum, network) => sum + (network.tx_bytes || 0), 0)
+  };
+}
+
+// Container log output -> { stream, message, timestamp } lines. Without a
+// TTY the daemon multiplexes stdout and stderr into frames with an 8-byte
+// header (stream type, 3 zero bytes, big-endian payload length).
+function createLogParser(tty, onLine) {
+  let frames = Buffer.alloc(0);
+  const partial = { stdout: '', stderr: '' };
+
+  const emit = (stream, text) => {
+    const lines = (partial[stream] + text).split('\n');
+    partial[stream] = lines.pop();
+    lines.forEach(line => emitLine(stream, line));
+  };
+
+  // Requested with timestamps=1, so every line starts with an RFC 3339 time
+  const emitLine = (stream, line) => {
+    const text = line.replace(/\r$/, '');
+    const space = text.indexOf(' ');
+    const timestamp = space > 0 && !isNaN(Date.parse(text.slice(0, space))) ? text.slice(0, space) : null;
+    onLine({ stream, timestamp, message: timestamp ? text.slice(space + 1) : text });
+  };
+
+  return {
+    write(chunk) {
+      if (tty) return emit('stdout', chunk.toString());
+
+      frames = Buffer.concat([frames, chunk]);
+      while (frames.length >= 8) {
+        const size = frames.readUInt32BE(4);
+        if (frames.length < 8 + size) break;
+        emit(frames[0] === 2 ? 'stderr' : 'stdout', frames.subarray(8, 8 + size).toString());
+        frames = frames.subarray(8 + size);
+      }
+    },
+
+    end() {
+      for (const stream of ['stdout', 'stderr']) {
+        if (partial[stream]) emitLine(stream, partial[stream]);
+        partial[stream] = '';
+      }
+    }
+  };
+}
+
+// Minimal Docker Engine API client over the daemon's unix socket: container
+// and image status plus container lifecycle, logs and events. Builds and runs in the
+// deploy pipeline still go through the CLI.
+function createDockerClient({ socketPath = socketPathFromEnv(), apiVersion = 'v1.41', timeout = 5000 } = {}) {
+  function open(method, requestPath, { query, body, timeout: requestTimeout = timeout } = {}) {
+    const search = query ? `?${new URLSearchParams(query)}` : '';
+    const payload = body === undefined ? null : JSON.stringify(body);
+
+    const req = http.request({
+      socketPath,
+      method,
+      path: `/${apiVersion}${requestPath}${search}`,
+      headers: payload
+        ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+        : {},
+      timeout: requestTimeout
+    });
+
+    req.on('timeout', () => req.destroy(new DockerError(`Docker API request timed out after ${requestTimeout}ms`)));
+    if (payload) req.write(payload);
+    req.end();
+    return req;
+  }
+
+  const connectionError = error => error instanceof DockerError
+    ? error
+    : new DockerError(`Cannot reach Docker daemon at ${socketPath}: ${error.message}`);
+
+  function request(method, requestPath, options = {}) {
+    return new Promise((resolve, reject) => {
+      const req = open(method, requestPath, options);
+      req.on('error', error => reject(connectionError(error)));
+      req.on('response', res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const text = Buffer.concat(chunks).toString();
+          const isJson = (res.headers['content-type'] || '').includes('application/json');
+          let data = text;
+          if (isJson && text) {
+            try {
+              data = JSON.parse(text);
+            } catch (error) {
+              return reject(new DockerError(`Invalid JSON from Docker API: ${error.message}`, res.statusCode));
+            }
+          }
+
+          if (res.statusCode >= 400) {
+            const message = (data && data.message) || text || `HTTP ${res.statusCode}`;
+            return reject(new DockerError(message, res.statusCode));
+          }
+          resolve(data);
+        });
+      });
+    });
+  }
+
+  // Streams a container's logs to onLine. Resolves once the response has
+  // started with { done, close }: `done` settles when the output ends (at
+  // once without follow), close() stops following.
+  async function containerLogs(id, { tail = 100, since, follow = false } = {}, onLine) {
+    const { tty } = await inspectContainer(id);
+    const query = { stdout: '1', stderr: '1', timestamps: '1', tail: String(tail), follow: follow ? '1' : '0' };
+    if (since) query.since = String(since);
+
+    return new Promise((resolve, reject) => {
+      // Following has no natural end, so it must not time out
+      const req = open('GET', `/containers/${encodeURIComponent(id)}/logs`, { query, timeout: follow ? 0 : timeout });
+      req.on('error', error => reject(connectionError(error)));
+      req.on('response', res => {
+        if (res.statusCode >= 400) {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => {
+            let message = Buffer.concat(chunks).toString();
+            try {
+              message = JSON.parse(message).message || message;
+            } catch (error) {
+              // Plain-text error body
+            }
+            reject(new DockerError(message || `HTTP ${res.statusCode}`, res.statusCode));
+          });
+          return;
+        }
+
+        const parser = createLogParser(tty, onLine);
+        const done = new Promise(settle => {
+          res.on('data', chunk => parser.write(chunk));
+          res.on('end', () => {
+            parser.end();
+            settle();
+          });
+          res.on('close', settle);
+        });
+        resolve({ done, close: () => req.destroy() });
+      });
+    });
+  }
+
+  // Follows the daemon's event stream (container events unless `filters`
+  // say otherwise), calling onEvent with { type, action, id, name, time }.
+  // Resolves once connected with { done, close } like containerLogs.
+  function events(onEvent, { filters = { type: ['container'] } } = {}) {
+    return new Promise((resolve, reject) => {
+      const req = open('GET', '/events', { query: { filters: JSON.stringify(filters) }, timeout: 0 });
+      req.on('error', error => reject(connectionError(error)));
+      req.on('response', res => {
+        if (res.statusCode >= 400) {
+          res.resume();
+          return reject(new DockerError(`Cannot follow Docker events: HTTP ${res.statusCode}`, res.statusCode));
+        }
+
+        // One JSON object per line
+        let buffer = '';
+        const done = new Promise(settle => {
+          res.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.filter(line => line.trim()).forEach(line => {
+              let raw;
+              try {
+                raw = JSON.parse(line);
+              } catch (error) {
+                return;
+              }
+              onEvent({
+                type: raw.Type,
+                action: raw.Action,
+                id: raw.Actor?.ID || raw.id,
+                name: raw.Actor?.Attributes?.name || null,
+                time: raw.time ? new Date(raw.time * 1000).toISOString() : new Date().toISOString()
+              });
+            });
+          });
+          res.on('end', settle);
+          res.on('close', settle);
+        });
+        resolve({ done, close: () => req.destroy() });
+      });
+    });
+  }
+
+  async function inspectContainer(id) {
+    return toContainer(await request('GET', `/containers/${encodeURIComponent(id)}/json`));
+  }
+
+  // start / stop / restart; stopping waits up to `timeout` seconds before
+  // the daemon kills the container
+  function containerAction(id, action, { timeout: stopTimeout = 10 } = {}) {
+    const query = action === 'start' ? undefined : { t: String(stopTimeout) };
+    return request('POST', `/containers/${encodeURIComponent(id)}/${action}`, {
+      query,
+      timeout: timeout + stopTimeout * 1000
+    });
+  }
+
+  return {
+    socketPath,
+    request,
+
+    async ping() {
+      return (await request('GET', '/_ping')) === 'OK';
+    },
+
+    version: () => request('GET', '/version'),
+
+    async listContainers({ all = true, labels } = {}) {
+      const query = { all: all ? '1' : '0' };
+      if (labels) {
+        query.filters = JSON.stringify({ label: Object.entries(labels).map(([key, value]) => `${key}=${value}`) });
+      }
+      return (await request('GET', '/containers/json', { query })).map(toContainer);
+    },
+
+    inspectContainer,
+
+    startContainer: id => containerAction(id, 'start'),
+    stopContainer: (id, options) => containerAction(id, 'stop', options),
+    restartContainer: (id, options) => containerAction(id, 'restart', options),
+
+    // One reading; the daemon waits for a second CPU sample, so allow a
+    // couple of seconds on top of the usual timeout
+    async containerStats(id) {
+      return toStats(await request('GET', `/containers/${encodeURIComponent(id)}/stats`, {
+        query: { stream: '0' },
+        timeout: timeout + 3000
+      }));
+    },
+
+    removeContainer(id, { force = false } = {}) {
+      return request('DELETE', `/containers/${encodeURIComponent(id)}`, { query: { force: force ? '1' : '0' } });
+    },
+
+    containerLogs,
+    events,
+
+    async listImages() {
+      return (await request('GET', '/images/json')).map(toImage);
+    },
+
+    async inspectImage(name) {
+      return toImage(await request('GET', `/images/${String(name).split('/').map(encodeURIComponent).join('/')}/json`));
+    }
+  };
+}
+
+module.exports = {
+  DockerError,
+  socketPathFromEnv,
+  createDockerClient
+};
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Checks an X-Hub-Signature-256 header ("sha256=<hex>") against the raw body
+function verifySignature(rawBody, secret, signature) {
+  if (!secret || !signature || !rawBody) return false;
+
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// GitHub sends either a JSON body or a form field named "payload"
+function parsePayload(body) {
+  if (body && typeof body.payload === 'string') {
+    return JSON.parse(body.payload);
+  }
+  return body || {};
+}
+
+// Reduces a push or pull_request payload to what deployment matching needs.
+// `branch` is the branch that would be deployed; `deployable` says whether
+// the event should trigger a deploy at all. Only pushes deploy: merging a
+// pull request also pushes the merge commit to its base branch, so the
+// merge itself is only recorded.
+function parseEvent(event, payload) {
+  const repository = payload.repository?.full_name || null;
+  const sender = payload.sender?.login || null;
+
+  if (event === 'push') {
+    const ref = payload.ref || '';
+    const isBranch = ref.startsWith('refs/heads/');
+    return {
+      event,
+      repository,
+      sender,
+      branch: isBranch ? ref.slice('refs/heads/'.length) : null,
+      commit: payload.after || null,
+      deployable: isBranch && !payload.deleted,
+      reason: !isBranch ? 'not a branch push' : payload.deleted ? 'branch deleted' : null
+    };
+  }
+
+  if (event === 'pull_request') {
+    const pr = payload.pull_request || {};
+    const merged = payload.action === 'closed' && pr.merged === true;
+    return {
+      event,
+      repository,
+      sender,
+      action: payload.action,
+      number: pr.number || payload.number || null,
+      headBranch: pr.head?.ref || null,
+      branch: pr.base?.ref || null,
+      commit: merged ? pr.merge_commit_sha : pr.head?.sha || null,
+      deployable: false,
+      reason: merged ? 'pull request merged (deployed by the push of the merge commit)' : `pull request ${payload.action} (only pushes deploy)`
+    };
+  }
+
+  return {
+    event,
+    repository,
+    sender,
+    branch: null,
+    commit: null,
+    deployable: false,
+    reason: `unsupported event ${event}`
+  };
+}
+
+module.exports = {
+  verifySignature,
+  parsePayload,
+  parseEvent
+};
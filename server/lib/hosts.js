@@ -0,0 +1,160 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+const { interpolate } = require('./projects');
+const { shellQuote } = require('./pipeline');
+
+const HOST_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const LABEL_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_./-]{0,62}$/;
+// 'ssh' runs commands on the machine over SSH; 'local' runs them here, for
+// the server's own machine or for trying fan-out without real hosts
+const TRANSPORTS = ['ssh', 'local'];
+
+function inventoryError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function validateHost(id, host) {
+  if (!HOST_ID_PATTERN.test(id)) return 'id must be lowercase letters, digits, "-" or "_"';
+  if (!host || typeof host !== 'object') return 'must be an object';
+  const transport = host.transport || 'ssh';
+  if (!TRANSPORTS.includes(transport)) return `transport must be one of ${TRANSPORTS.join(', ')}`;
+  if (transport === 'ssh' && (typeof host.host !== 'string' || !host.host)) return 'host is required';
+  if (host.port !== undefined && !(Number.isInteger(host.port) && host.port > 0)) return 'port must be a positive integer';
+  for (const key of ['user', 'keyFile', 'knownHostsFile', 'dockerSocket']) {
+    if (host[key] !== undefined && typeof host[key] !== 'string') return `${key} must be a string`;
+  }
+  if (host.labels !== undefined) {
+    if (!host.labels || typeof host.labels !== 'object' || Array.isArray(host.labels)) return 'labels must map names to values';
+    const bad = Object.entries(host.labels).find(([name, value]) => !LABEL_PATTERN.test(name) || typeof value !== 'string');
+    if (bad) return `labels.${bad[0]} must be a string`;
+  }
+  return null;
+}
+
+// "~/.ssh/id" and paths relative to the hosts file
+function resolvePath(file, value) {
+  if (!value) return null;
+  if (value === '~' || value.startsWith('~/')) return path.join(os.homedir(), value.slice(1));
+  return path.resolve(path.dirname(file), value);
+}
+
+function matchesLabels(host, labels = {}) {
+  return Object.entries(labels).every(([name, value]) => host.labels?.[name] === String(value));
+}
+
+// Machines deployments can run on, from a YAML file (autodock.hosts.yml).
+// Each host is reached over SSH with its own user and key and runs Docker
+// itself; projects pick hosts by id or by labels through their `targets`.
+function createHostInventory({ file, executor }) {
+  let hosts = {};
+  const checks = new Map();
+
+  async function load() {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      hosts = {};
+      return { source: 'none', count: 0 };
+    }
+
+    const parsed = YAML.parse(content) || {};
+    const definitions = parsed.hosts || {};
+    const errors = Object.entries(definitions)
+      .map(([id, host]) => [id, validateHost(id, host)])
+      .filter(([, error]) => error)
+      .map(([id, error]) => `hosts.${id}: ${error}`);
+    if (errors.length) throw new Error(`Invalid hosts: ${errors.join('; ')}`);
+
+    hosts = definitions;
+    return { source: file, count: Object.keys(hosts).length };
+  }
+
+  function resolve(id) {
+    const host = interpolate(hosts[id]);
+    return {
+      id,
+      transport: 'ssh',
+      port: 22,
+      labels: {},
+      ...host,
+      keyFile: resolvePath(file, host.keyFile),
+      knownHostsFile: resolvePath(file, host.knownHostsFile)
+    };
+  }
+
+  // Shell command that runs `command` on the host with its Docker socket
+  function wrap(host, command) {
+    const remote = host.dockerSocket
+      ? `export DOCKER_HOST=${shellQuote(`unix://${host.dockerSocket}`)}; ${command}`
+      : command;
+    if (host.transport === 'local') return remote;
+
+    const args = [
+      'ssh',
+      '-p', host.port,
+      '-o', 'BatchMode=yes',
+      '-o', 'ConnectTimeout=10',
+      '-o', 'StrictHostKeyChecking=accept-new'
+    ];
+    if (host.keyFile) args.push('-i', shellQuote(host.keyFile), '-o', 'IdentitiesOnly=yes');
+    if (host.knownHostsFile) args.push('-o', shellQuote(`UserKnownHostsFile=${host.knownHostsFile}`));
+    args.push(shellQuote(host.user ? `${host.user}@${host.host}` : host.host), shellQuote(remote));
+    return args.join(' ');
+  }
+
+  // Ids of the hosts a project's `targets` select, in inventory order
+  // unless `targets.hosts` lists them; every label must match
+  function select(targets) {
+    if (!targets) return [];
+    const candidates = targets.hosts ? targets.hosts.filter(id => hosts[id]) : Object.keys(hosts);
+    return candidates.filter(id => matchesLabels(hosts[id], targets.labels));
+  }
+
+  // Deployment targets for the pipeline: { id, wrap(command) }. Throws
+  // when a host has been removed from the inventory since it was picked.
+  function targets(ids) {
+    return ids.map(id => {
+      if (!hosts[id]) throw inventoryError(`Host ${id} is not in ${file}`, 409);
+      const host = resolve(id);
+      return { id, wrap: command => wrap(host, command) };
+    });
+  }
+
+  // Connects and asks the host's Docker daemon for its version
+  async function check(id) {
+    if (!hosts[id]) return null;
+    const host = resolve(id);
+    const started = Date.now();
+    const result = await executor(wrap(host, `docker version --format ${shellQuote('{{.Server.Version}}')}`));
+    const outcome = {
+      ok: result.exitCode === 0,
+      dockerVersion: result.exitCode === 0 ? result.stdout.trim() : null,
+      error: result.exitCode === 0 ? null : (result.stderr || result.stdout).trim().split('\n').pop() || `exit code ${result.exitCode}`,
+      latencyMs: Date.now() - started,
+      checkedAt: new Date().toISOString()
+    };
+    checks.set(id, outcome);
+    return outcome;
+  }
+
+  // Host definitions for the API, with the last connection check
+  function list() {
+    return Object.keys(hosts).map(id => {
+      const { transport, host, port, user, keyFile, dockerSocket, labels } = resolve(id);
+      return { id, transport, host: host || null, port, user: user || null, keyFile, dockerSocket: dockerSocket || null, labels, lastCheck: checks.get(id) || null };
+    });
+  }
+
+  return { file, load, select, targets, check, list, has: id => !!hosts[id] };
+}
+
+module.exports = {
+  TRANSPORTS,
+  createHostInventory
+};
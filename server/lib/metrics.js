@@ -0,0 +1,180 @@
+const fs = require('fs').promises;
+const os = require('os');
+
+// Fixed-size buffer that overwrites the oldest sample once full
+function createRingBuffer(capacity) {
+  const items = new Array(capacity);
+  let start = 0;
+  let size = 0;
+
+  return {
+    push(item) {
+      items[(start + size) % capacity] = item;
+      if (size < capacity) size += 1;
+      else start = (start + 1) % capacity;
+    },
+
+    toArray() {
+      return Array.from({ length: size }, (_, index) => items[(start + index) % capacity]);
+    },
+
+    get size() {
+      return size;
+    },
+
+    capacity
+  };
+}
+
+function cpuTimes() {
+  return os.cpus().reduce((totals, cpu) => {
+    const total = Object.values(cpu.times).reduce((sum, value) => sum + value, 0);
+    return { idle: totals.idle + cpu.times.idle, total: totals.total + total };
+  }, { idle: 0, total: 0 });
+}
+
+const percent = (part, whole) => whole > 0 ? (part / whole) * 100 : 0;
+
+// Averages numeric fields of same-shaped samples, recursing into objects;
+// keys missing from some samples (e.g. a container that started midway)
+// are averaged over the samples that have them
+function average(values) {
+  const present = values.filter(value => value !== undefined && value !== null);
+  if (present.length === 0) return null;
+  if (typeof present[0] === 'number') {
+    return present.reduce((sum, value) => sum + value, 0) / present.length;
+  }
+  if (typeof present[0] === 'object') {
+    const keys = new Set(present.flatMap(value => Object.keys(value)));
+    return Object.fromEntries([...keys].map(key => [key, average(present.map(value => value[key]))]));
+  }
+  return present[present.length - 1];
+}
+
+// Samples host load, CPU, memory and disk plus per-container CPU, memory
+// and network usage every `interval` ms into a ring buffer holding
+// `retention` ms of history. All values are plain numbers (bytes, percent,
+// bytes per second) so the API and charts can do their own formatting.
+function createMetricsCollector({ docker, interval = 15000, retention = 24 * 60 * 60 * 1000, diskPath = '/' }) {
+  const samples = createRingBuffer(Math.max(1, Math.ceil(retention / interval)));
+  let previousCpu = cpuTimes();
+  let previousNet = new Map();
+  let timer = null;
+
+  async function sampleHost() {
+    const cpu = cpuTimes();
+    const idle = cpu.idle - previousCpu.idle;
+    const total = cpu.total - previousCpu.total;
+    previousCpu = cpu;
+
+    const [load1, load5, load15] = os.loadavg();
+    const memoryTotal = os.totalmem();
+    const memoryFree = os.freemem();
+
+    const host = {
+      load1,
+      load5,
+      load15,
+      cpuPercent: total > 0 ? percent(total - idle, total) : 0,
+      memory: { total: memoryTotal, used: memoryTotal - memoryFree, free: memoryFree, usedPercent: percent(memoryTotal - memoryFree, memoryTotal) }
+    };
+
+    try {
+      const disk = await fs.statfs(diskPath);
+      const diskTotal = disk.blocks * disk.bsize;
+      const diskFree = disk.bavail * disk.bsize;
+      host.disk = { total: diskTotal, used: diskTotal - diskFree, free: diskFree, usedPercent: percent(diskTotal - diskFree, diskTotal) };
+    } catch (error) {
+      host.disk = null;
+    }
+
+    return host;
+  }
+
+  async function sampleContainers(timestamp) {
+    let running;
+    try {
+      running = await docker.listContainers({ all: false });
+    } catch (error) {
+      return {};
+    }
+
+    const readings = await Promise.all(running.map(container =>
+      docker.containerStats(container.id).then(stats => [container.name, stats], () => null)
+    ));
+
+    // Network counters become rates using the previous sample's values
+    const containers = {};
+    const net = new Map();
+    readings.filter(Boolean).forEach(([name, stats]) => {
+      const previous = previousNet.get(name);
+      const seconds = previous ? (timestamp - previous.timestamp) / 1000 : 0;
+      const rate = (current, before) => seconds > 0 && current >= before ? (current - before) / seconds : 0;
+
+      containers[name] = {
+        cpuPercent: stats.cpuPercent,
+        memoryBytes: stats.memoryBytes,
+        memoryPercent: percent(stats.memoryBytes, stats.memoryLimit),
+        netRxPerSec: previous ? rate(stats.netRxBytes, previous.rx) : 0,
+        netTxPerSec: previous ? rate(stats.netTxBytes, previous.tx) : 0
+      };
+      net.set(name, { timestamp, rx: stats.netRxBytes, tx: stats.netTxBytes });
+    });
+    previousNet = net;
+
+    return containers;
+  }
+
+  async function collect() {
+    const timestamp = Date.now();
+    const [host, containers] = await Promise.all([sampleHost(), sampleContainers(timestamp)]);
+    const sample = { timestamp, host, containers };
+    samples.push(sample);
+    return sample;
+  }
+
+  function start() {
+    if (timer) return;
+    const tick = () => collect().catch(error => console.error('❌ Error collecting metrics:', error.message));
+    tick();
+    timer = setInterval(tick, interval);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // Samples between from and to (ms timestamps). With a step (ms), samples
+  // are averaged into buckets of that width, stamped with the bucket start.
+  function query({ from = 0, to = Date.now(), step } = {}) {
+    const inRange = samples.toArray().filter(sample => sample.timestamp >= from && sample.timestamp <= to);
+    if (!step || step <= interval) return inRange;
+
+    const buckets = new Map();
+    inRange.forEach(sample => {
+      const bucket = Math.floor(sample.timestamp / step) * step;
+      if (!buckets.has(bucket)) buckets.set(bucket, []);
+      buckets.get(bucket).push(sample);
+    });
+
+    return [...buckets.entries()].map(([timestamp, bucket]) => ({
+      timestamp,
+      host: average(bucket.map(sample => sample.host)),
+      containers: average(bucket.map(sample => sample.containers)) || {}
+    }));
+  }
+
+  function latest() {
+    const all = samples.toArray();
+    return all[all.length - 1] || null;
+  }
+
+  return { interval, capacity: samples.capacity, start, stop, collect, query, latest };
+}
+
+module.exports = {
+  createRingBuffer,
+  createMetricsCollector
+};
@@ -0,0 +1,81 @@
+const fs = require('fs').promises;
+
+// Finds `upstream <name> { ... }` and returns the offsets of its body
+function findUpstream(conf, name) {
+  const pattern = new RegExp(`upstream\\s+${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*\\{`);
+  const match = pattern.exec(conf);
+  if (!match) return null;
+
+  const bodyStart = match.index + match[0].length;
+  const bodyEnd = conf.indexOf('}', bodyStart);
+  if (bodyEnd === -1) return null;
+  return { start: match.index, bodyStart, bodyEnd };
+}
+
+// Server addresses listed in an upstream block, e.g. ['app:5000']
+function parseUpstream(conf, name) {
+  const block = findUpstream(conf, name);
+  if (!block) return null;
+
+  const body = conf.slice(block.bodyStart, block.bodyEnd);
+  return [...body.matchAll(/^\s*server\s+([^\s;]+)[^;]*;/gm)].map(match => match[1]);
+}
+
+// Replaces the server lines of an upstream block, keeping its other
+// directives (keepalive, least_conn, ...) and indentation
+function rewriteUpstream(conf, name, servers) {
+  const block = findUpstream(conf, name);
+  if (!block) {
+    throw new Error(`upstream ${name} not found in nginx config`);
+  }
+
+  const body = conf.slice(block.bodyStart, block.bodyEnd);
+  const indent = (body.match(/\n([ \t]+)\S/) || [null, '    '])[1];
+  const closingIndent = (body.match(/\n([ \t]*)$/) || [null, ''])[1];
+  const otherLines = body.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !/^server\s/.test(line));
+
+  const lines = [...servers.map(server => `server ${server};`), ...otherLines];
+  const newBody = '\n' + lines.map(line => indent + line).join('\n') + '\n' + closingIndent;
+
+  return conf.slice(0, block.bodyStart) + newBody + conf.slice(block.bodyEnd);
+}
+
+// Points an upstream at new servers and reloads nginx. `run` executes a
+// shell command and resolves with { exitCode }, so tests can stand in for
+// nginx entirely. If the config test or the reload fails, the previous file
+// is restored (and reloaded) before throwing.
+//
+// The file is rewritten in place rather than renamed over: nginx.conf is a
+// single-file bind mount in docker-compose, and a rename would leave the
+// nginx container looking at the old inode.
+async function switchUpstream({ file, upstream, servers, run, testCommand, reloadCommand }) {
+  const original = await fs.readFile(file, 'utf8');
+  const updated = rewriteUpstream(original, upstream, servers);
+  await fs.writeFile(file, updated);
+
+  const restore = async (reason) => {
+    await fs.writeFile(file, original);
+    if (reloadCommand) await run(reloadCommand);
+    throw new Error(reason);
+  };
+
+  if (testCommand) {
+    const test = await run(testCommand);
+    if (test.exitCode !== 0) return restore(`nginx config test failed with exit code ${test.exitCode}`);
+  }
+
+  if (reloadCommand) {
+    const reload = await run(reloadCommand);
+    if (reload.exitCode !== 0) return restore(`nginx reload failed with exit code ${reload.exitCode}`);
+  }
+
+  return { previous: parseUpstream(original, upstream), current: servers };
+}
+
+module.exports = {
+  parseUpstream,
+  rewriteUpstream,
+  switchUpstream
+};
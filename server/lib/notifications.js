@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const YAML = require('yaml');
+const { DEFAULT_ENVIRONMENT, NOTIFICATION_EVENTS, interpolate } = require('./projects');
+const { sendMail } = require('./smtp');
+
+const CHANNEL_TYPES = ['slack', 'discord', 'webhook', 'email'];
+const CHANNEL_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const MAX_HISTORY = 200;
+
+// Deployment status -> lifecycle event
+const STATUS_EVENTS = {
+  queued: 'queued',
+  running: 'started',
+  success: 'succeeded',
+  failed: 'failed',
+  rolled_back: 'rolled_back',
+  cancelled: 'cancelled'
+};
+
+const DEFAULT_TEMPLATES = {
+  queued: '⏳ {{project}} ({{environment}}): deployment {{deploymentId}} of {{branch}} queued ({{trigger}})',
+  started: '🚀 {{project}} ({{environment}}): deploying {{branch}} ({{deploymentId}})',
+  succeeded: '✅ {{project}} ({{environment}}): deployed {{image}} from {{branch}} in {{duration}}',
+  failed: '❌ {{project}} ({{environment}}): deployment {{deploymentId}} failed after {{duration}}: {{error}}',
+  rolled_back: '↩️ {{project}} ({{environment}}): deployment {{deploymentId}} failed ({{error}}), rolled back to {{rolledBackTo}}',
+  cancelled: '🛑 {{project}} ({{environment}}): deployment {{deploymentId}} cancelled'
+};
+
+const DEFAULT_SUBJECT = '[AutoDock] {{project}} ({{environment}}) {{event}}';
+
+// Channel fields that are never returned by the API
+const SECRET_FIELDS = ['url', 'secret'];
+const SECRET_MASK = '********';
+
+class DeliveryError extends Error {
+  constructor(message, { retryable = true } = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.retryable = retryable;
+  }
+}
+
+// "{{name}}" placeholders; unknown or empty values render as ""
+function render(template, values) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => values[name] ?? '');
+}
+
+function formatDuration(deployment) {
+  if (!deployment.startedAt) return '';
+  const end = deployment.finishedAt ? new Date(deployment.finishedAt) : new Date();
+  const seconds = Math.round((end - new Date(deployment.startedAt)) / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function templateValues(event, deployment, project) {
+  const trigger = deployment.trigger || {};
+  const by = trigger.actor || trigger.sender;
+  return {
+    event,
+    project: project?.name || deployment.projectId,
+    projectId: deployment.projectId,
+    environment: deployment.environment || DEFAULT_ENVIRONMENT,
+    deploymentId: deployment.id,
+    status: deployment.status,
+    branch: deployment.branch,
+    commit: deployment.commit ? deployment.commit.slice(0, 7) : '',
+    image: deployment.imageDigest || deployment.image || '',
+    trigger: by ? `${trigger.source} by ${by}` : trigger.source,
+    error: deployment.error || '',
+    rolledBackTo: deployment.rolledBackTo || '',
+    duration: formatDuration(deployment)
+  };
+}
+
+function validateChannel(id, channel) {
+  if (!CHANNEL_ID_PATTERN.test(id)) return 'id must be lowercase letters, digits, "-" or "_"';
+  if (!channel || typeof channel !== 'object') return 'must be an object';
+  if (!CHANNEL_TYPES.includes(channel.type)) return `type must be one of ${CHANNEL_TYPES.join(', ')}`;
+  if (channel.templates !== undefined) {
+    if (!channel.templates || typeof channel.templates !== 'object') return 'templates must map events to text';
+    const unknown = Object.keys(channel.templates).find(event => !NOTIFICATION_EVENTS.includes(event));
+    if (unknown) return `templates.${unknown} is not a known event`;
+  }
+
+  if (channel.type === 'email') {
+    const to = Array.isArray(channel.to) ? channel.to : [channel.to];
+    if (!to.every(address => typeof address === 'string' && address.includes('@'))) return 'to must be one or more email addresses';
+    if (typeof channel.from !== 'string' || !channel.from.includes('@')) return 'from must be an email address';
+    if (!channel.smtp || typeof channel.smtp.host !== 'string') return 'smtp.host is required';
+    if (channel.smtp.port !== undefined && !(Number.isInteger(channel.smtp.port) && channel.smtp.port > 0)) {
+      return 'smtp.port must be a positive integer';
+    }
+    return null;
+  }
+
+  if (typeof channel.url !== 'string') return 'url is required';
+  if (channel.secret !== undefined && typeof channel.secret !== 'string') return 'secret must be a string';
+  return null;
+}
+
+async function postJson(url, body, headers = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'AutoDock-Notifier', ...headers },
+      body,
+      signal: AbortSignal.timeout(10000)
+    });
+  } catch (error) {
+    throw new DeliveryError(error.cause?.message || error.message);
+  }
+  if (!response.ok) {
+    // Client errors other than rate limiting will not go away on retry
+    const retryable = response.status >= 500 || response.status === 429;
+    throw new DeliveryError(`HTTP ${response.status}`, { retryable });
+  }
+  return { status: response.status };
+}
+
+// Channel type -> (channel, message) => Promise. The message carries the
+// rendered text and subject plus the event payload for generic webhooks.
+const senders = {
+  slack: (channel, message) => postJson(channel.url, JSON.stringify({ text: message.text })),
+
+  discord: (channel, message) => postJson(channel.url, JSON.stringify({ content: message.text })),
+
+  // Signed like GitHub webhooks: HMAC-SHA256 of the raw body with the
+  // channel secret, so receivers can verify where it came from
+  webhook: (channel, message) => {
+    const body = JSON.stringify({ event: message.event, text: message.text, deployment: message.deployment, sentAt: new Date().toISOString() });
+    const headers = { 'X-AutoDock-Event': message.event, 'X-AutoDock-Delivery': message.id };
+    if (channel.secret) {
+      headers['X-AutoDock-Signature-256'] = 'sha256=' + crypto.createHmac('sha256', channel.secret).update(body).digest('hex');
+    }
+    return postJson(channel.url, body, headers);
+  },
+
+  email: async (channel, message) => {
+    try {
+      return await sendMail({
+        ...channel.smtp,
+        from: channel.from,
+        to: channel.to,
+        subject: message.subject,
+        text: message.text
+      });
+    } catch (error) {
+      // 5xx SMTP replies are permanent failures (bad recipient, auth)
+      throw new DeliveryError(error.message, { retryable: !/ failed: 5\d\d /.test(error.message) });
+    }
+  }
+};
+
+// Sends deployment lifecycle events to the channels defined in the
+// notifications file (autodock.notifications.yml) according to each
+// project's `notifications` rules. Deliveries are retried with exponential
+// backoff and kept in memory for the dashboard.
+function createNotifier({ file, getProject, retries = 3, backoff = 1000, transports = senders }) {
+  let channels = {};
+  const lastEvents = new Map();
+  let history = [];
+
+  async function load() {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      channels = {};
+      return { source: 'none', count: 0 };
+    }
+
+    const parsed = YAML.parse(content) || {};
+    const definitions = parsed.channels || {};
+    const errors = Object.entries(definitions)
+      .map(([id, channel]) => [id, validateChannel(id, channel)])
+      .filter(([, error]) => error)
+      .map(([id, error]) => `channels.${id}: ${error}`);
+    if (errors.length) throw new Error(`Invalid notification channels: ${errors.join('; ')}`);
+
+    channels = definitions;
+    return { source: file, count: Object.keys(channels).length };
+  }
+
+  function record(delivery) {
+    history.push(delivery);
+    if (history.length > MAX_HISTORY) history = history.slice(-MAX_HISTORY);
+  }
+
+  async function deliver(channelId, message) {
+    const channel = interpolate(channels[channelId]);
+    const delivery = { id: message.id, channel: channelId, type: channel.type, event: message.event, deploymentId: message.deployment?.id || null, status: 'pending', attempts: 0, error: null, at: new Date().toISOString() };
+    record(delivery);
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) await new Promise(resolve => setTimeout(resolve, backoff * 2 ** (attempt - 1)));
+      delivery.attempts = attempt + 1;
+      try {
+        await transports[channel.type](channel, message);
+        delivery.status = 'sent';
+        delivery.error = null;
+        return delivery;
+      } catch (error) {
+        delivery.error = error.message;
+        if (error.retryable === false) break;
+      }
+    }
+
+    delivery.status = 'failed';
+    console.error(`❌ Notification ${message.event} to ${channelId} failed after ${delivery.attempts} attempt(s): ${delivery.error}`);
+    return delivery;
+  }
+
+  function compose(channelId, event, values, deployment) {
+    const channel = channels[channelId];
+    const template = channel.templates?.[event] || DEFAULT_TEMPLATES[event];
+    return {
+      id: crypto.randomUUID(),
+      event,
+      text: render(template, values),
+      subject: render(channel.subject || DEFAULT_SUBJECT, values),
+      deployment
+    };
+  }
+
+  // Called with every deployment update; notifies once per status change
+  function handle(deployment) {
+    const event = STATUS_EVENTS[deployment.status];
+    if (!event || lastEvents.get(deployment.id) === event) return [];
+    lastEvents.set(deployment.id, event);
+
+    const project = getProject(deployment.projectId);
+    const rules = (project?.notifications || []).filter(rule => !rule.events || rule.events.includes(event));
+    if (rules.length === 0) return [];
+
+    const values = templateValues(event, deployment, project);
+    const summary = {
+      id: deployment.id,
+      projectId: deployment.projectId,
+      environment: deployment.environment || DEFAULT_ENVIRONMENT,
+      status: deployment.status,
+      branch: deployment.branch,
+      commit: deployment.commit,
+      image: deployment.image,
+      imageDigest: deployment.imageDigest,
+      trigger: deployment.trigger,
+      error: deployment.error,
+      createdAt: deployment.createdAt,
+      startedAt: deployment.startedAt,
+      finishedAt: deployment.finishedAt
+    };
+
+    return [...new Set(rules.map(rule => rule.channel))].map(channelId => {
+      if (!channels[channelId]) {
+        console.warn(`⚠️ Project ${deployment.projectId} notifies unknown channel ${channelId}`);
+        return Promise.resolve(null);
+      }
+      return deliver(channelId, compose(channelId, event, values, summary));
+    });
+  }
+
+  // Sends a sample message straight away, for checking a channel's setup
+  function test(channelId) {
+    if (!channels[channelId]) return null;
+    const sample = {
+      id: 'deploy_test',
+      projectId: 'test',
+      status: 'success',
+      branch: 'main',
+      image: 'example/app@sha256:0000000',
+      trigger: { source: 'test' },
+      startedAt: new Date(Date.now() - 42000).toISOString(),
+      finishedAt: new Date().toISOString()
+    };
+    const values = templateValues('succeeded', sample, { name: 'AutoDock test' });
+    return deliver(channelId, compose(channelId, 'succeeded', values, sample));
+  }
+
+  // Channel definitions safe to return from the API
+  function list() {
+    return Object.entries(channels).map(([id, channel]) => {
+      const copy = { id, ...channel };
+      SECRET_FIELDS.forEach(field => {
+        if (copy[field]) copy[field] = SECRET_MASK;
+      });
+      if (copy.smtp?.password) copy.smtp = { ...copy.smtp, password: SECRET_MASK };
+      return copy;
+    });
+  }
+
+  function deliveries({ limit = 50 } = {}) {
+    return history.slice(-limit).reverse();
+  }
+
+  return { file, load, handle, test, list, deliveries };
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  DEFAULT_TEMPLATES,
+  DeliveryError,
+  render,
+  createNotifier
+};
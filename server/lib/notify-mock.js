@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+
+// Stand-in receivers for notification channels: an HTTP server that accepts
+// Slack, Discord and webhook posts, and an SMTP server that accepts mail.
+// Everything received is kept in memory and printed, so channels can be
+// tried without real webhooks or a mail relay:
+//
+//   node lib/notify-mock.js 8025 2525 [webhook-secret]
+//   # url: http://localhost:8025/slack, smtp: { host: localhost, port: 2525 }
+
+function createMockWebhookServer({ secret, failFirst = 0, onRequest = () => {} } = {}) {
+  const requests = [];
+  let failures = failFirst;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      let body = null;
+      try {
+        body = JSON.parse(raw);
+      } catch (error) {
+        // Recorded as-is below
+      }
+
+      const signature = req.headers['x-autodock-signature-256'];
+      const request = { method: req.method, path: req.url, headers: req.headers, body: body ?? raw, signatureValid: null };
+      if (secret && signature) {
+        const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(raw).digest('hex');
+        request.signatureValid = signature.length === expected.length &&
+          crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+      }
+      requests.push(request);
+      onRequest(request);
+
+      // Fails the first `failFirst` requests to exercise retries
+      if (failures > 0) {
+        failures -= 1;
+        res.writeHead(503, { 'Content-Type': 'text/plain' });
+        return res.end('unavailable');
+      }
+      if (secret && request.signatureValid === false) {
+        res.writeHead(401, { 'Content-Type': 'text/plain' });
+        return res.end('bad signature');
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+
+  return {
+    server,
+    requests,
+    listen(port = 0) {
+      return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server.address().port)));
+    },
+    close() {
+      const closed = new Promise(resolve => server.close(() => resolve()));
+      // Keep-alive connections would otherwise hold the server open
+      server.closeIdleConnections();
+      return closed;
+    }
+  };
+}
+
+// Accepts any sender and credentials, and every recipient
+// `refuseRecipient` does not turn down; no STARTTLS
+function createMockSmtpServer({ onMessage = () => {}, refuseRecipient = () => false } = {}) {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let envelope = { from: null, to: [], auth: null };
+    let data = null;
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 autodock-mock ESMTP ready');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            const message = { ...envelope, data: data.join('\r\n') };
+            messages.push(message);
+            onMessage(message);
+            envelope = { from: null, to: [], auth: null };
+            data = null;
+            reply('250 OK: queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const [verb] = line.split(' ');
+        switch (verb.toUpperCase()) {
+          case 'EHLO':
+            reply('250-autodock-mock');
+            reply('250 AUTH PLAIN');
+            break;
+          case 'HELO':
+            reply('250 autodock-mock');
+            break;
+          case 'AUTH': {
+            const [, username] = Buffer.from(line.split(' ')[2] || '', 'base64').toString('utf8').split('\0');
+            envelope.auth = username;
+            reply('235 Authentication successful');
+            break;
+          }
+          case 'MAIL':
+            envelope.from = line.replace(/^MAIL FROM:\s*<?|>$/gi, '');
+            reply('250 OK');
+            break;
+          case 'RCPT': {
+            const recipient = line.replace(/^RCPT TO:\s*<?|>$/gi, '');
+            if (refuseRecipient(recipient)) {
+              reply('550 No such user');
+              break;
+            }
+            envelope.to.push(recipient);
+            reply('250 OK');
+            break;
+          }
+          case 'DATA':
+            data = [];
+            reply('354 End data with <CR><LF>.<CR><LF>');
+            break;
+          case 'RSET':
+            envelope = { from: null, to: [], auth: null };
+            reply('250 OK');
+            break;
+          case 'NOOP':
+            reply('250 OK');
+            break;
+          case 'QUIT':
+            reply('221 Bye');
+            socket.end();
+            break;
+          default:
+            reply('502 Command not implemented');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return {
+    server,
+    messages,
+    listen(port = 0) {
+      return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server.address().port)));
+    },
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = {
+  createMockWebhookServer,
+  createMockSmtpServer
+};
+
+if (require.main === module) {
+  const [httpPort = 8025, smtpPort = 2525, secret] = process.argv.slice(2);
+  const webhooks = createMockWebhookServer({
+    secret,
+    onRequest: request => {
+      const valid = request.signatureValid === null ? '' : ` (signature ${request.signatureValid ? 'valid' : 'INVALID'})`;
+      console.log(`🔔 ${request.method} ${request.path}${valid}: ${JSON.stringify(request.body)}`);
+    }
+  });
+  const smtp = createMockSmtpServer({
+    onMessage: message => console.log(`✉️  ${message.from} -> ${message.to.join(', ')}\n${message.data}\n`)
+  });
+
+  Promise.all([webhooks.listen(Number(httpPort)), smtp.listen(Number(smtpPort))]).then(([boundHttp, boundSmtp]) => {
+    console.log(`🔔 Mock webhook receiver on http://localhost:${boundHttp}`);
+    console.log(`✉️  Mock SMTP server on localhost:${boundSmtp}`);
+  });
+  const stop = () => Promise.all([webhooks.close(), smtp.close()]).then(() => process.exit(0));
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
@@ -0,0 +1,798 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const nginx = require('./nginx');
+const { baseImageFromDockerfile, parseTrivyReport, evaluatePolicy } = require('./policy');
+
+const STAGES = ['checkout', 'build', 'tag', 'push', 'deploy', 'healthcheck'];
+
+// Stage lists per pipeline type: 'build' builds from source, 'pull' runs
+// an image that was already pushed to a registry, 'rollback' re-runs the
+// image of an earlier deployment and 'promote' runs the image another
+// environment of the project is running
+const PIPELINES = {
+  build: STAGES,
+  pull: ['pull', 'deploy', 'healthcheck'],
+  rollback: ['deploy', 'healthcheck'],
+  promote: ['deploy', 'healthcheck']
+};
+
+// Deployments to remote hosts run these stages on every host, a few hosts
+// at a time, inside a single 'rollout' stage
+const HOST_STAGES = ['pull', 'deploy', 'healthcheck'];
+
+// A failure in these stages happens after the old container is gone
+const ROLLBACK_STAGES = ['deploy', 'healthcheck', 'rollout'];
+
+// Blue/green deploys alternate between two containers behind nginx and
+// finish with a 'switch' stage that moves traffic over
+const COLORS = ['blue', 'green'];
+
+// With an image policy the image is checked as soon as it is built or
+// pulled, before it is pushed or run. Rollbacks restore a release that
+// already passed.
+function withPolicy(stages) {
+  const index = stages.findIndex(stage => !['checkout', 'build', 'pull'].includes(stage));
+  return [...stages.slice(0, index), 'policy', ...stages.slice(index)];
+}
+
+function stagesFor(pipeline, strategy, remote = false, policy = false) {
+  const stages = policy && pipeline !== 'rollback' ? withPolicy(PIPELINES[pipeline]) : PIPELINES[pipeline];
+  if (remote) return [...stages.filter(stage => !HOST_STAGES.includes(stage)), 'rollout'];
+  return strategy === 'blue-green' && stages.includes('healthcheck') ? [...stages, 'switch'] : stages;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Quote a single argument for /bin/sh
+function shellQuote(value) {
+  const str = String(value);
+  if (/^[A-Za-z0-9_@%+=:,./-]+$/.test(str)) return str;
+  return `'${str.replace(/'/g, `'\\''`)}'`;
+}
+
+// Runs a command through /bin/sh in its own process group, resolving like
+// util.promisify(exec) does ({ stdout, stderr }, or rejecting with an error
+// carrying code, stdout and stderr). exec itself cannot start a detached
+// process group, which cancelling needs. `input` is written to stdin.
+function runShell(command, { cwd, env, input, maxBuffer = Infinity } = {}) {
+  let child;
+  const promise = new Promise((resolve, reject) => {
+    child = spawn('/bin/sh', ['-c', command], { cwd, env, detached: true });
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+    const output = { stdout: '', stderr: '' };
+    let size = 0;
+
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].on('data', chunk => {
+        size += chunk.length;
+        if (size <= maxBuffer) output[stream] += chunk.toString();
+      });
+    }
+
+    child.on('error', error => reject(Object.assign(error, output)));
+    child.on('close', (code, signal) => {
+      if (code === 0) return resolve(output);
+      const error = new Error(`Command failed: ${command}${signal ? ` (${signal})` : ''}`);
+      reject(Object.assign(error, { code: code === null ? 1 : code, signal }, output));
+    });
+  });
+  promise.child = child;
+  return promise;
+}
+
+// Default executor: runs commands through runShell and never throws on a
+// non-zero exit, so stages can decide what a failure means. Output is
+// passed to options.onOutput as it arrives when the caller asks for it.
+// Tests can swap it for a fake Docker CLI with the same signature.
+//
+// Aborting options.signal stops the whole process group, so docker build
+// or git go down with the shell; SIGKILL follows after killGrace ms.
+function createExecutor(run = runShell, { killGrace = 10000 } = {}) {
+  return async (command, options = {}) => {
+    const promise = run(command, {
+      cwd: options.cwd,
+      env: options.env ? { ...process.env, ...options.env } : process.env,
+      input: options.input,
+      maxBuffer: 50 * 1024 * 1024
+    });
+    const child = promise.child;
+
+    if (options.onOutput && child) {
+      child.stdout.on('data', chunk => options.onOutput('stdout', chunk.toString()));
+      child.stderr.on('data', chunk => options.onOutput('stderr', chunk.toString()));
+    }
+
+    let killTimer = null;
+    const abort = () => {
+      killProcessGroup(child, 'SIGTERM');
+      killTimer = setTimeout(() => killProcessGroup(child, 'SIGKILL'), killGrace);
+      killTimer.unref();
+    };
+    if (options.signal && child) {
+      if (options.signal.aborted) abort();
+      else options.signal.addEventListener('abort', abort, { once: true });
+    }
+
+    try {
+      const { stdout, stderr } = await promise;
+      return { exitCode: 0, stdout, stderr };
+    } catch (error) {
+      return {
+        exitCode: typeof error.code === 'number' ? error.code : 1,
+        stdout: error.stdout || '',
+        stderr: error.stderr || error.message
+      };
+    } finally {
+      clearTimeout(killTimer);
+      if (options.signal) options.signal.removeEventListener('abort', abort);
+    }
+  };
+}
+
+function killProcessGroup(child, signal) {
+  if (!child || !child.pid) return;
+  try {
+    process.kill(-child.pid, signal);
+  } catch (error) {
+    // Already exited
+  }
+}
+
+// Splits streamed output into lines, holding back a trailing partial line
+function createLineSplitter(onLine) {
+  let buffer = '';
+  return {
+    write(text) {
+      buffer += text;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.filter(Boolean).forEach(onLine);
+    },
+    end() {
+      if (buffer) onLine(buffer);
+      buffer = '';
+    }
+  };
+}
+
+function imageRef(project, tag) {
+  return `${project.image}:${tag}`;
+}
+
+function portArgs(ports = []) {
+  return ports.map(port => `-p ${shellQuote(port)}`).join(' ');
+}
+
+function volumeArgs(volumes = []) {
+  return volumes.map(volume => `-v ${shellQuote(volume)}`).join(' ');
+}
+
+function labelArgs(labels = {}) {
+  return Object.entries(labels).map(([key, value]) => `--label ${shellQuote(`${key}=${value}`)}`).join(' ');
+}
+
+// project.runtimeEnv (the secret store's variables) is passed by name only:
+// docker reads the values from its own environment, so they stay out of
+// deployment logs and the process list. They win over project.env.
+// A remote docker does not share our environment, so there they are read
+// from an env file on stdin instead (see runtimeEnvFile).
+function envArgs(env = {}, runtimeEnv = {}, { envFile = false } = {}) {
+  const names = Object.keys(runtimeEnv);
+  return [
+    ...Object.entries(env).filter(([key]) => !(key in runtimeEnv)).map(([key, value]) => `-e ${shellQuote(`${key}=${value}`)}`),
+    ...(envFile ? (names.length ? ['--env-file /dev/stdin'] : []) : names.map(key => `-e ${shellQuote(key)}`))
+  ].join(' ');
+}
+
+// docker env files hold one KEY=value per line and cannot quote line breaks
+function runtimeEnvFile(runtimeEnv = {}) {
+  return Object.entries(runtimeEnv).map(([key, value]) => {
+    if (/[\r\n]/.test(value)) throw new Error(`${key} contains a line break and cannot be sent to a remote host`);
+    return `${key}=${value}\n`;
+  }).join('');
+}
+
+// Image id (sha256:...) of a local image, or null when docker does not know it
+async function inspectImage(ctx, image, host) {
+  const inspect = await ctx.run(`docker image inspect --format ${shellQuote('{{.Id}}')} ${shellQuote(image)}`, { allowFailure: true, host });
+  const id = inspect.stdout.trim();
+  return inspect.exitCode === 0 && id.startsWith('sha256:') ? id : null;
+}
+
+// Parsed `docker image inspect` of a local image, or null when docker does
+// not know it
+async function inspectImageDetails(ctx, image) {
+  const inspect = await ctx.run(`docker image inspect --format ${shellQuote('{{json .}}')} ${shellQuote(image)}`, { allowFailure: true, quiet: true });
+  if (inspect.exitCode !== 0) return null;
+  try {
+    return JSON.parse(inspect.stdout);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Vulnerability scan with trivy. Only runs when the policy limits
+// vulnerabilities or asks for trivy by name; with scanner 'auto' a
+// missing trivy means no scan (null), with 'trivy' it is an error.
+async function scanImage(ctx, image) {
+  const { scanner = 'auto', rules } = ctx.project.policy;
+  if (scanner === 'none' || (scanner === 'auto' && !rules.maxVulnerabilities)) return null;
+
+  const version = await ctx.run('trivy --version', { allowFailure: true });
+  if (version.exitCode !== 0) return scanner === 'trivy' ? { name: 'trivy', error: 'trivy is not installed' } : null;
+
+  const result = await ctx.run(`trivy image --quiet --format json --scanners vuln --timeout 10m ${shellQuote(image)}`, { allowFailure: true, quiet: true });
+  const scan = { name: 'trivy', version: (/Version:\s*(\S+)/.exec(version.stdout) || [])[1] || null };
+  if (result.exitCode !== 0) {
+    return { ...scan, error: `trivy failed with exit code ${result.exitCode}: ${result.stderr.trim().split('\n').pop()}` };
+  }
+  try {
+    return { ...scan, ...parseTrivyReport(result.stdout) };
+  } catch (error) {
+    return { ...scan, error: `could not read trivy's report: ${error.message}` };
+  }
+}
+
+const POLICY_ICONS = { pass: '✔', warn: '⚠', fail: '✖' };
+
+// Stage implementations. Each returns the executor result of its last
+// command (or null when it ran nothing) and throws on failure.
+const stageHandlers = {
+  async checkout(ctx) {
+    const { project, deployment } = ctx;
+
+    if (project.repoUrl) {
+      const exists = await fs.stat(path.join(ctx.sourceDir, '.git')).then(() => true, () => false);
+      if (exists) {
+        await ctx.run(`git -C ${shellQuote(ctx.sourceDir)} fetch --depth 1 origin ${shellQuote(deployment.branch)}`);
+        await ctx.run(`git -C ${shellQuote(ctx.sourceDir)} checkout -f FETCH_HEAD`);
+      } else {
+        await fs.mkdir(path.dirname(ctx.sourceDir), { recursive: true });
+        await ctx.run(`git clone --depth 1 --branch ${shellQuote(deployment.branch)} ${shellQuote(project.repoUrl)} ${shellQuote(ctx.sourceDir)}`, {
+          cwd: path.dirname(ctx.sourceDir)
+        });
+      }
+    }
+
+    // Also catches a sourceDir that is not a git checkout, or a broken one
+    const result = await ctx.run(`git -C ${shellQuote(ctx.sourceDir)} rev-parse HEAD`);
+    deployment.commit = result.stdout.trim();
+    return result;
+  },
+
+  async pull(ctx) {
+    return ctx.run(`docker pull ${shellQuote(imageRef(ctx.project, ctx.imageTag))}`);
+  },
+
+  async build(ctx) {
+    const { project } = ctx;
+    const dockerfile = path.join(ctx.sourceDir, project.dockerfile || 'Dockerfile');
+    // --pull fetches a newer base image, e.g. for nightly rebuilds
+    const pull = ctx.deployment.pullBase ? '--pull ' : '';
+    return ctx.run(`docker build ${pull}-t ${shellQuote(imageRef(project, ctx.imageTag))} -f ${shellQuote(dockerfile)} ${shellQuote(ctx.sourceDir)}`);
+  },
+
+  // Checks the image against the project's policy and keeps the report on
+  // the deployment. Broken rules that fail stop the deployment before the
+  // image is pushed or run; the others are only reported.
+  async policy(ctx) {
+    const { project, deployment } = ctx;
+    const image = ctx.runImage;
+
+    let details = await inspectImageDetails(ctx, image);
+    // Remote rollouts pull on the hosts, so the image may not be here yet
+    if (!details && !image.startsWith('sha256:')) {
+      await ctx.run(`docker pull ${shellQuote(image)}`);
+      details = await inspectImageDetails(ctx, image);
+    }
+    if (!details) throw new Error(`cannot inspect ${image}`);
+
+    let baseImage = null;
+    if (deployment.pipeline === 'build') {
+      const dockerfile = path.join(ctx.sourceDir, project.dockerfile || 'Dockerfile');
+      baseImage = baseImageFromDockerfile(await fs.readFile(dockerfile, 'utf8').catch(() => ''));
+    }
+
+    const scan = await scanImage(ctx, image);
+    const report = evaluatePolicy(project.policy, { image: details, baseImage, scan });
+    deployment.policy = report;
+    report.results.forEach(result => ctx.log(`${POLICY_ICONS[result.status]} ${result.rule}: ${result.message}`));
+
+    const failed = report.results.filter(result => result.status === 'fail');
+    if (failed.length > 0) throw new Error(`image policy violated: ${failed.map(result => result.rule).join(', ')}`);
+    return null;
+  },
+
+  async tag(ctx) {
+    const { project } = ctx;
+    let result = null;
+    for (const tag of ctx.releaseTags) {
+      result = await ctx.run(`docker tag ${shellQuote(imageRef(project, ctx.imageTag))} ${shellQuote(imageRef(project, tag))}`);
+    }
+    return result;
+  },
+
+  async push(ctx) {
+    const { project } = ctx;
+    if (!project.push) {
+      // Remote hosts can only get the image from the registry
+      if (ctx.deployment.hosts) throw new Error('remote hosts pull the image from a registry: set push: true for this project');
+      return ctx.skip('push disabled for this project');
+    }
+
+    let result = null;
+    for (const tag of [ctx.imageTag, ...ctx.releaseTags]) {
+      result = await ctx.run(`docker push ${shellQuote(imageRef(project, tag))}`);
+    }
+    return result;
+  },
+
+  async deploy(ctx) {
+    // Remember the exact image id so this release can be restored later
+    ctx.deployment.imageDigest = await inspectImage(ctx, ctx.runImage);
+
+    if (ctx.blueGreen) return startColor(ctx, ctx.runImage);
+    const result = await replaceContainer(ctx, ctx.runImage);
+    ctx.deployment.containerId = result.stdout.trim() || null;
+    return result;
+  },
+
+  async healthcheck(ctx) {
+    if (!ctx.healthUrl) return ctx.skip('no health check configured');
+    return waitForHealthy(ctx);
+  },
+
+  async switch(ctx) {
+    const { project, deployment, blueGreen } = ctx;
+    const server = `${colorContainer(project, deployment.color)}:${blueGreen.containerPort}`;
+
+    ctx.log(`Switching upstream ${blueGreen.upstream} to ${server}`);
+    await nginx.switchUpstream({
+      file: blueGreen.nginxConfig,
+      upstream: blueGreen.upstream,
+      servers: [server],
+      run: command => ctx.run(command, { allowFailure: true }),
+      testCommand: blueGreen.testCommand,
+      reloadCommand: blueGreen.reloadCommand
+    });
+
+    if (!deployment.previousColor) return null;
+
+    // Let in-flight requests on the old color finish before removing it
+    ctx.log(`Draining ${deployment.previousColor} for ${blueGreen.drainSeconds}s`);
+    await ctx.delay(blueGreen.drainSeconds * 1000);
+    const old = shellQuote(colorContainer(project, deployment.previousColor));
+    await ctx.run(`docker stop ${old}`, { allowFailure: true });
+    return ctx.run(`docker rm ${old}`, { allowFailure: true });
+  },
+
+  // Rolling update of the remote hosts: targets.batchSize hosts at a time
+  // (one by default) pull, replace and health-check; the first host that
+  // fails stops the rollout and the rest are left as they were
+  async rollout(ctx) {
+    const { deployment, project } = ctx;
+    const statuses = deployment.hosts;
+    if (statuses.length === 0) throw new Error('no hosts match the project\'s targets');
+
+    const batchSize = project.targets?.batchSize || 1;
+    for (let start = 0; start < statuses.length; start += batchSize) {
+      const batch = statuses.slice(start, start + batchSize);
+      ctx.log(`Rolling out to ${batch.map(status => status.id).join(', ')} (${start + batch.length}/${statuses.length})`);
+
+      const results = await Promise.allSettled(batch.map(status => deployHost(ctx, status)));
+      const failure = results.find(result => result.status === 'rejected');
+      if (failure) {
+        statuses.filter(status => status.status === 'pending').forEach(status => {
+          status.status = 'skipped';
+        });
+        throw failure.reason;
+      }
+    }
+    return null;
+  }
+};
+
+// Pull, replace and health-check on one remote host, recording how far it
+// got in its entry of deployment.hosts
+async function deployHost(ctx, status) {
+  const { deployment } = ctx;
+  const host = ctx.targets.get(status.id);
+  status.status = 'running';
+  status.startedAt = new Date().toISOString();
+  ctx.update();
+
+  try {
+    status.step = 'pull';
+    // Rollbacks and promotions run an image id, which the host already has
+    if (!ctx.runImage.startsWith('sha256:')) {
+      await ctx.run(`docker pull ${shellQuote(ctx.runImage)}`, { host });
+    }
+
+    status.step = 'deploy';
+    status.imageDigest = await inspectImage(ctx, ctx.runImage, host);
+    deployment.imageDigest = deployment.imageDigest || status.imageDigest;
+    const result = await replaceContainer(ctx, ctx.runImage, host);
+    status.containerId = result.stdout.trim() || null;
+
+    status.step = 'healthcheck';
+    if (ctx.healthUrl) await waitForHealthy(ctx, host);
+    status.status = 'success';
+  } catch (error) {
+    status.status = ctx.cancelled() ? 'cancelled' : 'failed';
+    status.error = error.message;
+    throw Object.assign(new Error(`${status.id}: ${error.message}`), { result: error.result });
+  } finally {
+    status.finishedAt = new Date().toISOString();
+    ctx.update();
+  }
+}
+
+// Restarts `image` on every host whose container the failed rollout
+// replaced, one host at a time
+async function rollbackHosts(ctx, image) {
+  let result = null;
+  for (const status of ctx.deployment.hosts.filter(entry => ['deploy', 'healthcheck'].includes(entry.step))) {
+    const host = ctx.targets.get(status.id);
+    result = await replaceContainer(ctx, image, host);
+    if (ctx.healthUrl) result = await waitForHealthy(ctx, host);
+    status.status = 'rolled_back';
+    ctx.update();
+  }
+  return result;
+}
+
+function colorContainer(project, color) {
+  return `${project.containerName}-${color}`;
+}
+
+// Starts the release next to the one nginx currently points at. The
+// active color is whichever one the upstream block names.
+async function startColor(ctx, image) {
+  const { project, deployment, blueGreen } = ctx;
+  const conf = await fs.readFile(blueGreen.nginxConfig, 'utf8');
+  const servers = nginx.parseUpstream(conf, blueGreen.upstream);
+  if (!servers) {
+    throw new Error(`upstream ${blueGreen.upstream} not found in ${blueGreen.nginxConfig}`);
+  }
+
+  const active = COLORS.find(color => servers.some(server => server.startsWith(`${colorContainer(project, color)}:`)));
+  deployment.previousColor = active || null;
+  deployment.color = active === 'blue' ? 'green' : 'blue';
+  ctx.log(`Active color: ${active || 'none'}, starting ${deployment.color}`);
+
+  const name = shellQuote(colorContainer(project, deployment.color));
+  await ctx.run(`docker stop ${name}`, { allowFailure: true });
+  await ctx.run(`docker rm ${name}`, { allowFailure: true });
+
+  const args = [
+    'docker run -d',
+    `--name ${name}`,
+    '--restart unless-stopped',
+    labelArgs(project.labels),
+    blueGreen.network ?`--network ${shellQuote(blueGreen.network)}` : '',
+    `-p ${shellQuote(`${blueGreen.hostPorts[deployment.color]}:${blueGreen.containerPort}`)}`,
+    envArgs(project.env, project.runtimeEnv),
+    volumeArgs(project.volumes),
+    shellQuote(image)
+  ].filter(Boolean);
+
+  const result = await ctx.run(args.join(' '), { env: project.runtimeEnv });
+  deployment.containerId = result.stdout.trim() || null;
+  return result;
+}
+
+// Stops and removes the project's container, then starts `image` in its
+// place, here or on a remote host
+async function replaceContainer(ctx, image, host) {
+  const { project } = ctx;
+  const name = shellQuote(project.containerName);
+
+  await ctx.run(`docker stop ${name}`, { allowFailure: true, host });
+  await ctx.run(`docker rm ${name}`, { allowFailure: true, host });
+
+  const args = [
+    'docker run -d',
+    `--name ${name}`,
+    '--restart unless-stopped',
+    labelArgs(project.labels),
+    !host && project.network ? `--network ${shellQuote(project.network)}` : '',
+    portArgs(project.ports),
+    envArgs(project.env, project.runtimeEnv, { envFile: !!host }),
+    volumeArgs(project.volumes),
+    shellQuote(image)
+  ].filter(Boolean);
+
+  return ctx.run(args.join(' '), host
+    ? { host, input: runtimeEnvFile(project.runtimeEnv) }
+    : { env: project.runtimeEnv });
+}
+
+// Polls the health URL until it answers or the health window (default
+// retries x interval) runs out. On a remote host the URL is fetched there.
+async function waitForHealthy(ctx, host) {
+  const { retries = 10, interval = 3000, window = retries * interval } = ctx.project.healthCheck || {};
+  const url = ctx.healthUrl;
+  const attempts = Math.max(1, Math.ceil(window / interval));
+
+  let result = null;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    result = await ctx.run(`curl -fsS --max-time 5 ${shellQuote(url)}`, { allowFailure: true, host });
+    if (result.exitCode === 0) return result;
+
+    ctx.log(`${host ? `[${host.id}] ` : ''}Health check attempt ${attempt}/${attempts} failed`);
+    if (attempt < attempts) await ctx.delay(interval);
+  }
+
+  const error = new Error(`Health check failed within ${window}ms (${attempts} attempts)`);
+  error.result = result;
+  throw error;
+}
+
+function createStage(name) {
+  return {
+    name,
+    status: 'pending',
+    startedAt: null,
+    finishedAt: null,
+    exitCode: null
+  };
+}
+
+// Per-host progress of a deployment to remote hosts
+function createHostStatus(id) {
+  return {
+    id,
+    status: 'pending',
+    step: null,
+    containerId: null,
+    imageDigest: null,
+    startedAt: null,
+    finishedAt: null,
+    error: null
+  };
+}
+
+// `hosts` lists the remote hosts to roll out to, in order; without it the
+// deployment runs on this machine
+function createDeployment({ id, projectId, environment = 'production', branch, trigger = { source: 'manual' }, pipeline = 'build', strategy = 'recreate', imageTag = null, runImage = null, hosts = null, pullBase = false, policy = false }) {
+  return {
+    id,
+    projectId,
+    environment,
+    branch,
+    trigger,
+    pipeline,
+    strategy,
+    imageTag: imageTag || `build-${id}`,
+    runImage,
+    pullBase,
+    image: null,
+    imageDigest: null,
+    policy: null,
+    rolledBackTo: null,
+    commit: null,
+    status: 'queued',
+    stages: stagesFor(pipeline, strategy, !!hosts, policy).map(createStage),
+    hosts: hosts ? hosts.map(createHostStatus) : null,
+    logs: [],
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null
+  };
+}
+
+// Runs every stage of a deployment in order, mutating the deployment
+// record as it goes. Resolves with the record once it has finished,
+// whether it succeeded, failed or was rolled back.
+//
+// options.previous ({ deploymentId, image }) is the last known-good
+// release; when the new container cannot be started or never becomes
+// healthy, it is restarted and the deployment ends as 'rolled_back'.
+//
+// Aborting options.signal kills the running command, skips the remaining
+// stages and ends the deployment as 'cancelled'.
+//
+// options.targets ({ id, wrap(command) }) are the deployment's remote
+// hosts; wrap turns a command into one that runs on the host, e.g. over ssh.
+async function runPipeline(deployment, project, options = {}) {
+  const {
+    executor = createExecutor(),
+    workDir = path.join(os.tmpdir(), 'autodock-workspaces'),
+    delay = sleep,
+    previous = null,
+    signal = null,
+    targets = [],
+    onUpdate = () => {},
+    onLog = () => {}
+  } = options;
+
+  const cancelled = () => !!signal && signal.aborted;
+
+  const log = (message, stream = 'system') => {
+    const line = { timestamp: new Date().toISOString(), stream, message };
+    deployment.logs.push(line);
+    onLog(line, deployment);
+  };
+
+  const ctx = {
+    deployment,
+    project,
+    delay,
+    log,
+    cancelled,
+    update: () => onUpdate(deployment),
+    targets: new Map(targets.map(target => [target.id, target])),
+    sourceDir: project.repoUrl ? path.join(workDir, String(project.id)) : (project.sourceDir || process.cwd()),
+    imageTag: deployment.imageTag,
+    runImage: deployment.runImage || imageRef(project, deployment.imageTag),
+    blueGreen: deployment.strategy === 'blue-green' ? project.blueGreen : null,
+    releaseTags: [deployment.branch.replace(/[^A-Za-z0-9_.-]/g, '-'), 'latest'],
+    skipped: null,
+
+    // Only build pipelines check out, so the workspace may not exist
+    get cwd() {
+      return deployment.pipeline === 'build' ? ctx.sourceDir : process.cwd();
+    },
+
+    // Blue/green checks the new color on its own host port, or by name
+    // when AutoDock shares a network with it
+    get healthUrl() {
+      const { url, path: healthPath } = project.healthCheck || {};
+      if (!ctx.blueGreen || !deployment.color) return url;
+      const address = project.network
+        ? `${colorContainer(project, deployment.color)}:${ctx.blueGreen.containerPort}`
+        : `localhost:${ctx.blueGreen.hostPorts[deployment.color]}`;
+      return `http://${address}${healthPath || (url ? new URL(url).pathname : '/')}`;
+    },
+
+    skip(reason) {
+      ctx.skipped = reason;
+      return null;
+    },
+
+    // With `host`, runs the command on that remote host; its lines are
+    // prefixed with the host id since hosts in a batch run side by side.
+    // `quiet` keeps stdout (e.g. a JSON report) out of the logs.
+    async run(command, { allowFailure = false, cwd = ctx.cwd, env, host, input, quiet = false } = {}) {
+      if (cancelled()) throw new Error('Deployment cancelled');
+      const prefix = host ? `[${host.id}] ` : '';
+      log(`${prefix}$ ${command}`);
+
+      let streamed = false;
+      const splitters = {
+        stdout: createLineSplitter(line => {
+          if (!quiet) log(prefix + line, 'stdout');
+        }),
+        stderr: createLineSplitter(line => log(prefix + line, 'stderr'))
+      };
+      const onOutput = (stream, text) => {
+        streamed = true;
+        splitters[stream].write(text);
+      };
+
+      const result = await executor(host ? host.wrap(command) : command, {
+        cwd,
+        env: env ? { ...project.buildEnv, ...env } : project.buildEnv,
+        input,
+        signal,
+        onOutput
+      });
+
+      // Executors that do not stream hand back all output at the end
+      for (const stream of ['stdout', 'stderr']) {
+        if (!streamed) splitters[stream].write(result[stream] || '');
+        splitters[stream].end();
+      }
+
+      if (cancelled()) throw new Error('Deployment cancelled');
+      if (result.exitCode !== 0 && !allowFailure) {
+        const error = new Error(`Command failed with exit code ${result.exitCode}: ${command}`);
+        error.result = result;
+        throw error;
+      }
+      return result;
+    }
+  };
+
+  const runStage = async (stage, handler) => {
+    stage.status = 'running';
+    stage.startedAt = new Date().toISOString();
+    ctx.skipped = null;
+    log(`▶ Stage ${stage.name} started`);
+    onUpdate(deployment);
+
+    let failure = null;
+    try {
+      const result = await handler(ctx);
+      stage.exitCode = result ? result.exitCode : null;
+      stage.status = ctx.skipped ? 'skipped' : 'success';
+      log(ctx.skipped ? `⏭ Stage ${stage.name} skipped: ${ctx.skipped}` : `✔ Stage ${stage.name} succeeded`);
+    } catch (error) {
+      stage.exitCode = error.result ? error.result.exitCode : 1;
+      stage.status = cancelled() ? 'cancelled' : 'failed';
+      failure = error;
+      log(cancelled() ? `■ Stage ${stage.name} cancelled` : `✖ Stage ${stage.name} failed: ${error.message}`);
+    }
+
+    stage.finishedAt = new Date().toISOString();
+    onUpdate(deployment);
+    return failure;
+  };
+
+  deployment.status = 'running';
+  deployment.startedAt = new Date().toISOString();
+  deployment.image = ctx.runImage;
+  onUpdate(deployment);
+
+  let failedStage = null;
+  for (const stage of deployment.stages) {
+    if (failedStage || cancelled()) {
+      stage.status = 'skipped';
+      continue;
+    }
+
+    const error = await runStage(stage, stageHandlers[stage.name]);
+    if (error) {
+      failedStage = stage;
+      deployment.error = error.message;
+    }
+  }
+
+  if (cancelled()) {
+    deployment.status = 'cancelled';
+    deployment.error = 'Cancelled';
+  } else if (!failedStage) {
+    deployment.status = 'success';
+  } else if (ctx.blueGreen) {
+    // The old color never stopped serving; just discard the new one
+    deployment.status = 'failed';
+    if (deployment.color && ROLLBACK_STAGES.includes(failedStage.name)) {
+      const name = shellQuote(colorContainer(project, deployment.color));
+      log(`Removing unhealthy ${deployment.color} container`);
+      await ctx.run(`docker stop ${name}`, { allowFailure: true }).catch(() => {});
+      await ctx.run(`docker rm ${name}`, { allowFailure: true }).catch(() => {});
+    }
+  } else if (previous && project.autoRollback !== false && ROLLBACK_STAGES.includes(failedStage.name) &&
+    (!deployment.hosts || deployment.hosts.some(status => ['deploy', 'healthcheck'].includes(status.step)))) {
+    const stage = createStage('rollback');
+    deployment.stages.push(stage);
+    log(`↩ Rolling back to ${previous.image} from deployment ${previous.deploymentId}`);
+
+    const error = await runStage(stage, async () => {
+      if (deployment.hosts) return rollbackHosts(ctx, previous.image);
+      const result = await replaceContainer(ctx, previous.image);
+      deployment.containerId = result.stdout.trim() || null;
+      return ctx.healthUrl ? waitForHealthy(ctx) : result;
+    });
+
+    if (error) {
+      deployment.status = 'failed';
+      deployment.error = `${deployment.error}; rollback failed: ${error.message}`;
+    } else {
+      deployment.status = 'rolled_back';
+      deployment.rolledBackTo = previous.deploymentId;
+    }
+  } else {
+    deployment.status = 'failed';
+  }
+
+  deployment.finishedAt = new Date().toISOString();
+  log(`Deployment ${deployment.status}`);
+  onUpdate(deployment);
+
+  return deployment;
+}
+
+module.exports = {
+  STAGES,
+  PIPELINES,
+  COLORS,
+  shellQuote,
+  createExecutor,
+  createDeployment,
+  runPipeline
+};
@@ -0,0 +1,217 @@
+// Pre-deploy image policy: rules checked against `docker image inspect`
+// output and, when a scanner ran, its vulnerability counts. The pipeline's
+// policy stage gathers those facts; this module only judges them.
+
+const RULES = ['nonRootUser', 'requiredLabels', 'maxSizeMB', 'allowedBaseImages', 'maxVulnerabilities'];
+const ACTIONS = ['fail', 'warn'];
+const SCANNERS = ['auto', 'trivy', 'none'];
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'unknown'];
+
+// Label BuildKit and most CI builders set to the image a build started from
+const BASE_IMAGE_LABEL = 'org.opencontainers.image.base.name';
+
+// Vulnerabilities kept in a report, worst first
+const MAX_FINDINGS = 25;
+
+// fieldChecks-style check of a project's `policy` block
+function checkPolicy(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+  if (value.action !== undefined && !ACTIONS.includes(value.action)) return `action must be one of ${ACTIONS.join(', ')}`;
+  if (value.scanner !== undefined && !SCANNERS.includes(value.scanner)) return `scanner must be one of ${SCANNERS.join(', ')}`;
+  if (value.warn !== undefined && !(Array.isArray(value.warn) && value.warn.every(rule => RULES.includes(rule)))) {
+    return `warn must be a list of rules (${RULES.join(', ')})`;
+  }
+
+  const rules = value.rules;
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules) || Object.keys(rules).length === 0) {
+    return 'rules must set at least one rule';
+  }
+  const unknown = Object.keys(rules).find(rule => !RULES.includes(rule));
+  if (unknown) return `rules.${unknown} is not a known rule (${RULES.join(', ')})`;
+
+  if (rules.nonRootUser !== undefined && typeof rules.nonRootUser !== 'boolean') return 'rules.nonRootUser must be a boolean';
+  if (rules.requiredLabels !== undefined) {
+    const labels = rules.requiredLabels;
+    const valid = Array.isArray(labels)
+      ? labels.every(label => typeof label === 'string' && label)
+      : labels && typeof labels === 'object' && Object.values(labels).every(label => ['string', 'number', 'boolean'].includes(typeof label));
+    if (!valid) return 'rules.requiredLabels must list label names or map them to required values';
+  }
+  if (rules.maxSizeMB !== undefined && !(typeof rules.maxSizeMB === 'number' && rules.maxSizeMB > 0)) {
+    return 'rules.maxSizeMB must be a positive number';
+  }
+  if (rules.allowedBaseImages !== undefined && !(Array.isArray(rules.allowedBaseImages) && rules.allowedBaseImages.length > 0 &&
+    rules.allowedBaseImages.every(image => typeof image === 'string' && image))) {
+    return 'rules.allowedBaseImages must be a list of image names (* matches anything)';
+  }
+  if (rules.maxVulnerabilities !== undefined) {
+    const limits = rules.maxVulnerabilities;
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits) ||
+      !Object.entries(limits).every(([severity, count]) => SEVERITIES.includes(severity) && Number.isInteger(count) && count >= 0)) {
+      return `rules.maxVulnerabilities must map severities (${SEVERITIES.join(', ')}) to allowed counts`;
+    }
+  }
+  return null;
+}
+
+// "node:20" and "docker.io/library/node:20" name the same image
+function normalizeImage(name) {
+  return String(name).trim().toLowerCase()
+    .replace(/^(?:docker\.io|index\.docker\.io|registry-1\.docker\.io)\//, '')
+    .replace(/^library\//, '');
+}
+
+// A pattern without a tag or digest allows every tag of that repository;
+// * matches any run of characters
+function matchesImage(pattern, image) {
+  const normalized = normalizeImage(pattern);
+  const lastPart = normalized.split('/').pop();
+  const target = normalizeImage(image);
+  const glob = new RegExp(`^${normalized.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  if (glob.test(target)) return true;
+  return !/[:@]/.test(lastPart) && glob.test(target.replace(/(@.*|:[^/]*)$/, ''));
+}
+
+// Image the final stage of a Dockerfile builds on, following stage
+// aliases and ARG defaults declared before the first FROM; null when it
+// cannot be told (FROM scratch counts as "scratch")
+function baseImageFromDockerfile(content) {
+  const lines = String(content)
+    .replace(/\\\r?\n/g, ' ')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  const args = {};
+  const stages = new Map();
+  let last = null;
+  for (const line of lines) {
+    const [instruction, ...rest] = line.split(/\s+/);
+    const keyword = instruction.toUpperCase();
+    if (keyword === 'ARG' && stages.size === 0 && last === null) {
+      const [name, value] = rest.join(' ').split('=');
+      if (value !== undefined) args[name] = value.replace(/^["']|["']$/g, '');
+    }
+    if (keyword !== 'FROM') continue;
+
+    const words = rest.filter(word => !word.startsWith('--'));
+    const image = words[0].replace(/\$\{?(\w+)\}?/g, (match, name) => args[name] ?? match);
+    const alias = words[1]?.toUpperCase() === 'AS' ? words[2]?.toLowerCase() : null;
+    const resolved = stages.get(image.toLowerCase()) || image;
+    if (alias) stages.set(alias, resolved);
+    last = resolved;
+  }
+  return last && !last.includes('$') ? last : null;
+}
+
+// Severity counts and the worst findings from `trivy image --format json`
+function parseTrivyReport(output) {
+  const report = JSON.parse(output);
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  const findings = [];
+  for (const result of report.Results || []) {
+    for (const vulnerability of result.Vulnerabilities || []) {
+      const severity = String(vulnerability.Severity || 'unknown').toLowerCase();
+      counts[SEVERITIES.includes(severity) ? severity : 'unknown']++;
+      findings.push({
+        id: vulnerability.VulnerabilityID,
+        severity,
+        package: vulnerability.PkgName,
+        installed: vulnerability.InstalledVersion,
+        fixed: vulnerability.FixedVersion || null,
+        target: result.Target
+      });
+    }
+  }
+  findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+  return { counts, findings: findings.slice(0, MAX_FINDINGS) };
+}
+
+const isRoot = user => {
+  const name = String(user || '').split(':')[0];
+  return name === '' || name === 'root' || name === '0';
+};
+
+// Judges an image against `policy`. `image` is the parsed output of
+// `docker image inspect`; `baseImage` what it was built from, if known;
+// `scan` the scanner's { name, version, counts, findings }, or
+// { name, error } when it could not run, or null when none was asked for.
+// Returns the report stored on the deployment: `passed` is false when a
+// rule whose violations fail the deployment was broken.
+function evaluatePolicy(policy, { image, baseImage = null, scan = null }) {
+  const rules = policy.rules;
+  const config = image.Config || {};
+  const labels = config.Labels || {};
+  const results = [];
+
+  const action = rule => (policy.warn || []).includes(rule) ? 'warn' : (policy.action || 'fail');
+  const check = (rule, ok, message) => results.push({ rule, status: ok ? 'pass' : action(rule), message });
+
+  if (rules.nonRootUser) {
+    check('nonRootUser', !isRoot(config.User), isRoot(config.User)
+      ? 'Image runs as root (set USER in the Dockerfile)'
+      : `Runs as ${config.User}`);
+  }
+
+  if (rules.requiredLabels) {
+    const required = Array.isArray(rules.requiredLabels)
+      ? rules.requiredLabels.map(name => [name, undefined])
+      : Object.entries(rules.requiredLabels);
+    const problems = required.flatMap(([name, value]) => {
+      if (!(name in labels)) return [`${name} is missing`];
+      if (value !== undefined && labels[name] !== String(value)) return [`${name} is "${labels[name]}", not "${value}"`];
+      return [];
+    });
+    check('requiredLabels', problems.length === 0, problems.length ? problems.join('; ') : `${required.length} required label(s) present`);
+  }
+
+  if (rules.maxSizeMB) {
+    const sizeMB = (image.Size || 0) / (1024 * 1024);
+    check('maxSizeMB', sizeMB <= rules.maxSizeMB, `${sizeMB.toFixed(1)} MB (limit ${rules.maxSizeMB} MB)`);
+  }
+
+  if (rules.allowedBaseImages) {
+    const base = labels[BASE_IMAGE_LABEL] || baseImage;
+    if (!base) {
+      check('allowedBaseImages', false, `Base image unknown: no ${BASE_IMAGE_LABEL} label and no Dockerfile to read`);
+    } else {
+      const allowed = rules.allowedBaseImages.some(pattern => matchesImage(pattern, base));
+      check('allowedBaseImages', allowed, allowed ? `Built on ${base}` : `Built on ${base}, which is not in ${rules.allowedBaseImages.join(', ')}`);
+    }
+  }
+
+  if (rules.maxVulnerabilities) {
+    if (!scan || scan.error) {
+      check('maxVulnerabilities', false, scan?.error || 'No vulnerability scanner available: install trivy, or list maxVulnerabilities under warn');
+    } else {
+      const over = Object.entries(rules.maxVulnerabilities)
+        .filter(([severity, limit]) => scan.counts[severity] > limit)
+        .map(([severity, limit]) => `${scan.counts[severity]} ${severity} (limit ${limit})`);
+      const summary = SEVERITIES.filter(severity => scan.counts[severity] > 0).map(severity => `${scan.counts[severity]} ${severity}`).join(', ');
+      check('maxVulnerabilities', over.length === 0, over.length ? `Too many vulnerabilities: ${over.join(', ')}` : `Within limits (${summary || 'none found'})`);
+    }
+  }
+
+  return {
+    checkedAt: new Date().toISOString(),
+    imageId: image.Id || null,
+    user: config.User || null,
+    sizeBytes: image.Size || null,
+    baseImage: labels[BASE_IMAGE_LABEL] || baseImage,
+    scanner: scan ? { name: scan.name, version: scan.version || null, error: scan.error || null } : null,
+    vulnerabilities: scan && !scan.error ? scan.counts : null,
+    findings: scan && !scan.error ? scan.findings : [],
+    results,
+    passed: !results.some(result => result.status === 'fail')
+  };
+}
+
+module.exports = {
+  RULES,
+  SEVERITIES,
+  checkPolicy,
+  matchesImage,
+  baseImageFromDockerfile,
+  parseTrivyReport,
+  evaluatePolicy
+};
@@ -0,0 +1,172 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { render } = require('./notifications');
+
+// docker/metadata-action's `type=ref,event=pr` tags images pr-<number>
+const DEFAULTS = {
+  tag: 'pr-{{number}}',
+  url: 'http://localhost:{{port}}',
+  portRange: [4100, 4199],
+  ttlHours: 72
+};
+
+// Set on preview containers so they can be found again without a record
+const PREVIEW_LABEL = 'autodock.preview';
+
+function previewError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// A project's `previews` block with defaults filled in
+function previewSettings(project) {
+  return project.previews ? { ...DEFAULTS, env: {}, ...project.previews } : null;
+}
+
+// Resolved settings a preview deploys with: the project's default
+// environment on the preview's own container and port. Volumes and
+// stored variables are left out so pull request code never touches
+// production data or secrets.
+function previewProject(project, preview) {
+  const settings = previewSettings(project);
+  const { url: healthUrl, path: healthPath } = project.healthCheck || {};
+  const checkPath = healthPath || (healthUrl ? new URL(healthUrl).pathname : null);
+  // By container name when AutoDock shares a network with the preview
+  const address = project.network ? `${preview.containerName}:${settings.containerPort}` : `localhost:${preview.port}`;
+
+  return {
+    ...project,
+    environment: preview.environment,
+    containerName: preview.containerName,
+    ports: [`${preview.port}:${settings.containerPort}`],
+    env: { ...project.env, ...settings.env },
+    volumes: [],
+    labels: { [PREVIEW_LABEL]: `${project.id}/${preview.number}` },
+    healthCheck: checkPath ? { ...project.healthCheck, url: `http://${address}${checkPath}` } : {},
+    strategy: 'recreate',
+    blueGreen: null,
+    targets: null,
+    push: false,
+    autoRollback: false
+  };
+}
+
+// Pull request previews that are up, kept in DATA_DIR/previews.json so
+// ports and expiry times survive restarts. A preview lives until its pull
+// request closes or ttlHours pass without it being deployed again.
+function createPreviewStore({ dataDir }) {
+  const file = path.join(dataDir, 'previews.json');
+  let previews = [];
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    try {
+      previews = JSON.parse(await fs.readFile(file, 'utf8')).previews || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      previews = [];
+    }
+    return previews.length;
+  }
+
+  function persist() {
+    const content = JSON.stringify({ previews }, null, 2);
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(dataDir, { recursive: true });
+        const tmp = `${file}.tmp`;
+        await fs.writeFile(tmp, content);
+        await fs.rename(tmp, file);
+      })
+      .catch(error => console.error('❌ Error writing previews:', error));
+    return writeQueue;
+  }
+
+  function get(projectId, number) {
+    return previews.find(preview => preview.projectId === projectId && preview.number === Number(number)) || null;
+  }
+
+  function list({ projectId } = {}) {
+    return previews
+      .filter(preview => !projectId || preview.projectId === projectId)
+      .sort((a, b) => a.projectId.localeCompare(b.projectId) || a.number - b.number);
+  }
+
+  // Lowest port of the range no other preview holds
+  function allocatePort([from, to]) {
+    const taken = new Set(previews.map(preview => preview.port));
+    for (let port = from; port <= to; port++) {
+      if (!taken.has(port)) return port;
+    }
+    return null;
+  }
+
+  // Creates the preview of pull request `number`, or refreshes the one
+  // that exists, keeping its port and pushing its expiry out
+  function open(project, { number, branch, commit, openedBy }) {
+    const settings = previewSettings(project);
+    if (!settings) throw previewError(`${project.id} does not have previews enabled`, 400);
+    if (!(Number.isInteger(number) && number > 0)) throw previewError('number must be a pull request number', 400);
+
+    const now = new Date();
+    let preview = get(project.id, number);
+    if (!preview) {
+      const port = allocatePort(settings.portRange);
+      if (port === null) throw previewError(`No free preview port in ${settings.portRange.join('-')}`, 409);
+      preview = {
+        projectId: project.id,
+        number,
+        environment: `pr-${number}`,
+        containerName: `${project.containerName}-pr-${number}`,
+        port,
+        createdAt: now.toISOString(),
+        openedBy: openedBy || null
+      };
+      previews.push(preview);
+    }
+
+    const values = { number, port: preview.port, project: project.id, branch: branch || '' };
+    Object.assign(preview, {
+      branch: branch || preview.branch || null,
+      commit: commit || null,
+      tag: render(settings.tag, values),
+      url: render(settings.url, values),
+      deploymentId: preview.deploymentId || null,
+      updatedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + settings.ttlHours * 3600 * 1000).toISOString()
+    });
+    persist();
+    return preview;
+  }
+
+  function update(preview, changes) {
+    Object.assign(preview, changes);
+    persist();
+    return preview;
+  }
+
+  function remove(preview) {
+    previews = previews.filter(entry => entry !== preview);
+    persist();
+  }
+
+  function expired(now = Date.now()) {
+    return previews.filter(preview => Date.parse(preview.expiresAt) <= now);
+  }
+
+  function flush() {
+    return writeQueue;
+  }
+
+  return { file, load, get, list, open, update, remove, expired, flush };
+}
+
+module.exports = {
+  DEFAULTS,
+  PREVIEW_LABEL,
+  previewSettings,
+  previewProject,
+  createPreviewStore
+};
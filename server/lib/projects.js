@@ -0,0 +1,467 @@
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { checkDeployWindows } = require('./windows');
+const { checkPolicy } = require('./policy');
+
+const SECRET_FIELDS = ['webhookSecret', 'registryToken'];
+const SECRET_MASK = '********';
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const CONTAINER_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]+$/;
+const IMAGE_PATTERN = /^[a-z0-9]+(?:[._-][a-z0-9]+)*(?::[0-9]+)?(?:\/[a-z0-9]+(?:[._-][a-z0-9]+)*)*$/;
+const PORT_PATTERN = /^(?:[0-9.]+:)?[0-9]{1,5}:[0-9]{1,5}(?:\/(?:tcp|udp))?$/;
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const STRATEGIES = ['recreate', 'blue-green'];
+// A project deploys to one or more named environments; without an
+// `environments` map it has just this one, built from the shared fields
+const DEFAULT_ENVIRONMENT = 'production';
+const ENVIRONMENT_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+// Fields an environment can override; the rest are shared by all of them
+const ENVIRONMENT_FIELDS = ['branch', 'containerName', 'ports', 'env', 'volumes', 'healthCheck', 'strategy', 'blueGreen', 'autoRollback', 'watchTags', 'targets', 'deployWindows', 'policy'];
+// Deployment lifecycle events a project can send notifications for
+const NOTIFICATION_EVENTS = ['queued', 'started', 'succeeded', 'failed', 'rolled_back', 'cancelled'];
+
+class ValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid project definition: ${errors.join('; ')}`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// Field name -> check returning an error message, or null when valid
+const fieldChecks = {
+  id: value => ID_PATTERN.test(value) ? null : 'must be lowercase letters, digits, "-" or "_"',
+  name: value => typeof value === 'string' && value.trim() ? null : 'must be a non-empty string',
+  repoUrl: value => typeof value === 'string' ? null : 'must be a string',
+  repository: value => /^[\w.-]+\/[\w.-]+$/.test(value) ? null : 'must look like "owner/name"',
+  branch: value => typeof value === 'string' && value.trim() ? null : 'must be a non-empty string',
+  sourceDir: value => typeof value === 'string' ? null : 'must be a string',
+  dockerfile: value => typeof value === 'string' && value.trim() ? null : 'must be a non-empty string',
+  image: value => IMAGE_PATTERN.test(value) ? null : 'must be a Docker image name without a tag',
+  containerName: value => CONTAINER_NAME_PATTERN.test(value) ? null : 'must be a valid Docker container name',
+  push: value => typeof value === 'boolean' ? null : 'must be a boolean',
+  ports: value => Array.isArray(value) && value.every(port => PORT_PATTERN.test(String(port)))
+    ? null : 'must be a list of "host:container" port mappings',
+  env: value => value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.entries(value).every(([key, val]) => ENV_KEY_PATTERN.test(key) && ['string', 'number', 'boolean'].includes(typeof val))
+    ? null : 'must map variable names to strings, numbers or booleans',
+  volumes: value => Array.isArray(value) && value.every(volume => typeof volume === 'string' && volume.includes(':'))
+    ? null : 'must be a list of "source:target[:mode]" strings',
+  healthCheck: value => {
+    if (!value || typeof value !== 'object') return 'must be an object';
+    if (value.path !== undefined && !String(value.path).startsWith('/')) return 'path must start with "/"';
+    if (value.url !== undefined && !/^https?:\/\//.test(value.url)) return 'url must be http(s)';
+    for (const key of ['retries', 'interval', 'window', 'port']) {
+      if (value[key] !== undefined && !(Number.isInteger(value[key]) && value[key] > 0)) return `${key} must be a positive integer`;
+    }
+    return null;
+  },
+  webhookSecret: value => typeof value === 'string' ? null : 'must be a string',
+  registryToken: value => typeof value === 'string' ? null : 'must be a string',
+  watchTags: value => Array.isArray(value) && value.every(tag => typeof tag === 'string') ? null : 'must be a list of tags',
+  dockerHubCallback: value => typeof value === 'boolean' ? null : 'must be a boolean',
+  autoRollback: value => typeof value === 'boolean' ? null : 'must be a boolean',
+  strategy: value => STRATEGIES.includes(value) ? null : `must be one of ${STRATEGIES.join(', ')}`,
+  blueGreen: value => {
+    if (!value || typeof value !== 'object') return 'must be an object';
+    for (const key of ['nginxConfig', 'upstream', 'network', 'reloadCommand', 'testCommand']) {
+      if (value[key] !== undefined && typeof value[key] !== 'string') return `${key} must be a string`;
+    }
+    const hostPorts = value.hostPorts || {};
+    if (!['blue', 'green'].every(color => Number.isInteger(hostPorts[color]) && hostPorts[color] > 0)) {
+      return 'hostPorts must give a port for blue and green';
+    }
+    if (hostPorts.blue === hostPorts.green) return 'hostPorts must differ for blue and green';
+    if (!(Number.isInteger(value.containerPort) && value.containerPort > 0)) return 'containerPort must be a positive integer';
+    if (value.drainSeconds !== undefined && !(Number.isInteger(value.drainSeconds) && value.drainSeconds >= 0)) {
+      return 'drainSeconds must be a non-negative integer';
+    }
+    return null;
+  },
+  // Remote hosts from autodock.hosts.yml, by id and/or labels
+  targets: value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+    if (value.hosts === undefined && value.labels === undefined) return 'must list hosts or labels';
+    if (value.hosts !== undefined && !(Array.isArray(value.hosts) && value.hosts.length > 0 && value.hosts.every(host => ID_PATTERN.test(host)))) {
+      return 'hosts must be a list of host ids';
+    }
+    if (value.labels !== undefined && !(value.labels && typeof value.labels === 'object' && !Array.isArray(value.labels) &&
+      Object.values(value.labels).every(label => ['string', 'number', 'boolean'].includes(typeof label)))) {
+      return 'labels must map label names to values';
+    }
+    if (value.batchSize !== undefined && !(Number.isInteger(value.batchSize) && value.batchSize > 0)) {
+      return 'batchSize must be a positive integer';
+    }
+    return null;
+  },
+  // When deployments may start: allowed windows and freeze periods
+  deployWindows: checkDeployWindows,
+  // Rules the image must pass before it is pushed or run
+  policy: checkPolicy,
+  // Pull request previews, run from the image CI pushes for each PR
+  previews: value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+    if (!(Number.isInteger(value.containerPort) && value.containerPort > 0)) return 'containerPort must be a positive integer';
+    if (value.portRange !== undefined && !(Array.isArray(value.portRange) && value.portRange.length === 2 &&
+      value.portRange.every(port => Number.isInteger(port) && port > 0 && port < 65536) && value.portRange[0] <= value.portRange[1])) {
+      return 'portRange must be [first, last] host ports';
+    }
+    for (const key of ['tag', 'url']) {
+      if (value[key] !== undefined && (typeof value[key] !== 'string' || !value[key])) return `${key} must be a non-empty string`;
+    }
+    if (value.url !== undefined && !/^https?:\/\//.test(value.url)) return 'url must be http(s)';
+    if (value.ttlHours !== undefined && !(typeof value.ttlHours === 'number' && value.ttlHours > 0)) return 'ttlHours must be a positive number';
+    if (value.env !== undefined && fieldChecks.env(value.env)) return `env ${fieldChecks.env(value.env)}`;
+    return null;
+  },
+  environments: value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+      return 'must map environment names to their settings';
+    }
+    for (const [name, overrides] of Object.entries(value)) {
+      if (!ENVIRONMENT_PATTERN.test(name)) return `${name} must be lowercase letters, digits, "-" or "_"`;
+      // "staging:" with nothing under it inherits everything
+      if (overrides === null) continue;
+      if (typeof overrides !== 'object' || Array.isArray(overrides)) return `${name} must be an object`;
+      for (const [field, fieldValue] of Object.entries(overrides)) {
+        if (!ENVIRONMENT_FIELDS.includes(field)) return `${name}.${field} cannot be set per environment`;
+        const message = fieldChecks[field](fieldValue);
+        if (message) return `${name}.${field} ${message}`;
+      }
+    }
+    return null;
+  },
+  notifications: value => {
+    if (!Array.isArray(value)) return 'must be a list of { channel, events } rules';
+    for (const rule of value) {
+      if (!rule || typeof rule !== 'object' || typeof rule.channel !== 'string' || !rule.channel) {
+        return 'rules must name a channel';
+      }
+      if (rule.events !== undefined && !(Array.isArray(rule.events) && rule.events.every(event => NOTIFICATION_EVENTS.includes(event)))) {
+        return `events must be a list of ${NOTIFICATION_EVENTS.join(', ')}`;
+      }
+    }
+    return null;
+  }
+};
+
+const REQUIRED_FIELDS = ['id', 'name', 'image', 'containerName'];
+
+function environmentNames(definition) {
+  const { environments } = definition;
+  return environments && typeof environments === 'object' && Object.keys(environments).length > 0
+    ? Object.keys(environments)
+    : [DEFAULT_ENVIRONMENT];
+}
+
+// The one deploys go to when none is named
+function defaultEnvironment(definition) {
+  const names = environmentNames(definition);
+  return names.includes(DEFAULT_ENVIRONMENT) ? DEFAULT_ENVIRONMENT : names[0];
+}
+
+// Definition as one environment sees it: its overrides on top of the shared
+// fields, with env maps merged rather than replaced
+function forEnvironment(definition, environment) {
+  const { environments, ...shared } = definition;
+  const overrides = environments?.[environment] || {};
+  return { ...shared, ...overrides, env: { ...shared.env, ...overrides.env } };
+}
+
+function containerNames(definition) {
+  return environmentNames(definition).map(name => forEnvironment(definition, name).containerName);
+}
+
+function validateProject(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['project must be an object'];
+  }
+
+  const errors = [];
+  REQUIRED_FIELDS
+    .filter(field => definition[field] === undefined || definition[field] === '')
+    .forEach(field => errors.push(`${field} is required`));
+  if (definition.strategy === 'blue-green' && !definition.blueGreen) {
+    errors.push('blueGreen is required for the blue-green strategy');
+  }
+  if (definition.environments && !fieldChecks.environments(definition.environments)) {
+    const names = environmentNames(definition);
+    const settings = names.map(name => forEnvironment(definition, name));
+    if (new Set(settings.map(setting => setting.containerName)).size !== names.length) {
+      errors.push('environments must use different container names');
+    }
+    names
+      .filter((name, index) => definition.environments[name]?.strategy === 'blue-green' && !settings[index].blueGreen)
+      .forEach(name => errors.push(`environments.${name}: blueGreen is required for the blue-green strategy`));
+  }
+
+  // nginx runs next to AutoDock, so blue/green cannot switch remote hosts
+  environmentNames(definition)
+    .filter(name => {
+      const settings = forEnvironment(definition, name);
+      return settings.targets && settings.strategy === 'blue-green';
+    })
+    .forEach(name => errors.push(`${definition.environments ? `environments.${name}: ` : ''}targets cannot be used with the blue-green strategy`));
+
+  Object.entries(definition).forEach(([field, value]) => {
+    const check = fieldChecks[field];
+    if (!check) {
+      errors.push(`${field} is not a known field`);
+    } else if (value !== undefined && value !== null) {
+      const message = check(value);
+      if (message) errors.push(`${field} ${message}`);
+    }
+  });
+
+  return errors;
+}
+
+function slugify(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48) || 'project';
+}
+
+// "${VAR}" in string values is read from the environment, so secrets can
+// stay out of the projects file
+function interpolate(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => process.env[name] || '');
+  }
+  if (Array.isArray(value)) return value.map(interpolate);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, interpolate(val)]));
+  }
+  return value;
+}
+
+function hostPort(ports = []) {
+  const [first] = ports;
+  if (!first) return null;
+  const parts = String(first).replace(/\/(tcp|udp)$/, '').split(':');
+  return parts[parts.length - 2];
+}
+
+// Container side of the first port mapping
+function containerPort(ports = []) {
+  const [first] = ports;
+  if (!first) return null;
+  return String(first).replace(/\/(tcp|udp)$/, '').split(':').pop();
+}
+
+// Project definitions from a YAML file (autodock.projects.yml). Definitions
+// are kept as written; resolve() fills in defaults and environment values
+// for the deployment engine.
+//
+// `network` is the Docker network AutoDock itself runs on when it runs in a
+// container. localhost is then AutoDock's own container, so local projects
+// join that network and are health-checked by container name instead.
+function createProjectRegistry({ file, defaults = [], network = null }) {
+  let definitions = [];
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      definitions = defaults.map(definition => ({ ...definition }));
+      return { source: 'defaults', count: definitions.length };
+    }
+
+    const parsed = YAML.parse(content) || {};
+    const list = Array.isArray(parsed) ? parsed : parsed.projects || [];
+    const seen = new Set();
+
+    list.forEach((definition, index) => {
+      const errors = validateProject(definition);
+      if (!errors.length && seen.has(definition.id)) errors.push(`duplicate id ${definition.id}`);
+      if (errors.length) {
+        throw new ValidationError(errors.map(error => `projects[${index}]: ${error}`));
+      }
+      seen.add(definition.id);
+    });
+
+    definitions = list;
+    return { source: file, count: definitions.length };
+  }
+
+  function persist() {
+    const content = '# AutoDock project definitions\n' + YAML.stringify({ projects: definitions });
+    writeQueue = writeQueue.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, content);
+      await fs.rename(tmp, file);
+    });
+    return writeQueue;
+  }
+
+  function get(id) {
+    return definitions.find(definition => definition.id === String(id)) || null;
+  }
+
+  function list() {
+    return definitions.slice();
+  }
+
+  function checkConflicts(definition, ignoreId) {
+    const others = definitions.filter(other => other.id !== ignoreId);
+    if (others.some(other => other.id === definition.id)) {
+      return `a project with id ${definition.id} already exists`;
+    }
+    const taken = new Set(others.flatMap(containerNames));
+    const clash = containerNames(definition).find(name => taken.has(name));
+    if (clash) {
+      return `container name ${clash} is used by another project`;
+    }
+    return null;
+  }
+
+  async function create(input) {
+    const definition = { id: undefined, ...input };
+    if (!definition.id) {
+      const base = slugify(definition.name);
+      let id = base;
+      for (let n = 2; get(id); n++) id = `${base}-${n}`;
+      definition.id = id;
+    }
+
+    const errors = validateProject(definition);
+    if (errors.length) throw new ValidationError(errors);
+
+    const conflict = checkConflicts(definition);
+    if (conflict) {
+      const error = new Error(conflict);
+      error.status = 409;
+      throw error;
+    }
+
+    definitions.push(definition);
+    await persist();
+    return definition;
+  }
+
+  async function update(id, input) {
+    const existing = get(id);
+    if (!existing) return null;
+
+    const definition = { id: existing.id, ...input };
+    definition.id = existing.id;
+    // Masked secrets from GET responses mean "leave unchanged"
+    SECRET_FIELDS.forEach(field => {
+      if (definition[field] === SECRET_MASK) definition[field] = existing[field];
+    });
+
+    const errors = validateProject(definition);
+    if (errors.length) throw new ValidationError(errors);
+
+    const conflict = checkConflicts(definition, existing.id);
+    if (conflict) {
+      const error = new Error(conflict);
+      error.status = 409;
+      throw error;
+    }
+
+    definitions[definitions.indexOf(existing)] = definition;
+    await persist();
+    return definition;
+  }
+
+  async function remove(id) {
+    const existing = get(id);
+    if (!existing) return false;
+    definitions = definitions.filter(definition => definition !== existing);
+    await persist();
+    return true;
+  }
+
+  // Definition -> settings the deployment engine and webhooks work with,
+  // for one environment (the default one unless named). Null when the
+  // project has no such environment.
+  function resolve(definition, environment = defaultEnvironment(definition)) {
+    const environments = environmentNames(definition);
+    if (!environments.includes(environment)) return null;
+
+    const project = interpolate(forEnvironment(definition, environment));
+    const port = hostPort(project.ports);
+    const healthCheck = { ...(project.healthCheck || {}) };
+    // Remote hosts run the health check themselves, where localhost is right
+    const localNetwork = project.targets ? null : network;
+
+    if (!healthCheck.url && healthCheck.path && localNetwork) {
+      const target = containerPort(project.ports) || healthCheck.port;
+      if (target) healthCheck.url = `http://${project.containerName}:${target}${healthCheck.path}`;
+    } else if (!healthCheck.url && healthCheck.path && (healthCheck.port || port)) {
+      healthCheck.url = `http://localhost:${healthCheck.port || port}${healthCheck.path}`;
+    }
+
+    const blueGreen = project.blueGreen && {
+      upstream: 'app',
+      network: 'autodock',
+      reloadCommand: 'docker exec autodock-nginx nginx -s reload',
+      testCommand: 'docker exec autodock-nginx nginx -t',
+      drainSeconds: 10,
+      ...project.blueGreen,
+      nginxConfig: path.resolve(path.dirname(file), project.blueGreen.nginxConfig || 'nginx.conf')
+    };
+
+    return {
+      branch: 'main',
+      dockerfile: 'Dockerfile',
+      push: false,
+      ports: [],
+      env: {},
+      volumes: [],
+      watchTags: ['latest'],
+      dockerHubCallback: false,
+      autoRollback: true,
+      strategy: 'recreate',
+      notifications: [],
+      targets: null,
+      previews: null,
+      deployWindows: null,
+      policy: null,
+      ...project,
+      environment,
+      environments,
+      sourceDir: project.sourceDir ? path.resolve(path.dirname(file), project.sourceDir) : undefined,
+      webhookSecret: project.webhookSecret || null,
+      registryToken: project.registryToken || null,
+      healthCheck,
+      network: localNetwork,
+      blueGreen: blueGreen || null
+    };
+  }
+
+  // Every environment of every project
+  function resolved() {
+    return definitions.flatMap(definition => environmentNames(definition).map(environment => resolve(definition, environment)));
+  }
+
+  // Definition safe to return from the API
+  function redact(definition) {
+    const copy = { ...definition };
+    SECRET_FIELDS.forEach(field => {
+      if (copy[field]) copy[field] = SECRET_MASK;
+    });
+    return copy;
+  }
+
+  return { file, load, get, list, create, update, remove, resolve, resolved, redact };
+}
+
+module.exports = {
+  DEFAULT_ENVIRONMENT,
+  ENVIRONMENT_PATTERN,
+  NOTIFICATION_EVENTS,
+  ValidationError,
+  validateProject,
+  interpolate,
+  environmentNames,
+  defaultEnvironment,
+  forEnvironment,
+  containerNames,
+  createProjectRegistry
+};
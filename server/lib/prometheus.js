@@ -0,0 +1,150 @@
+// Just enough of a Prometheus client for AutoDock's own metrics: counters,
+// gauges and histograms with labels, rendered in the text exposition
+// format (version 0.0.4).
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter({ name, help, labelNames = [] }) {
+    const values = new Map();
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc(labels = {}, amount = 1) {
+        const key = seriesKey(labelNames, labels);
+        values.set(key, (values.get(key) || 0) + amount);
+      },
+      get(labels = {}) {
+        return values.get(seriesKey(labelNames, labels)) || 0;
+      },
+      // [{ labels, value }] for every series, e.g. to derive totals
+      values() {
+        return [...values.entries()].map(([key, value]) => ({ labels: labelsFromKey(labelNames, key), value }));
+      },
+      lines() {
+        return [...values.entries()].map(([key, value]) => `${name}${formatLabels(labelsFromKey(labelNames, key))} ${formatValue(value)}`);
+      }
+    });
+  }
+
+  // `collect` runs at scrape time and returns [{ labels, value }], for
+  // figures that are read rather than tracked (container counts, memory)
+  function gauge({ name, help, labelNames = [], collect }) {
+    const values = new Map();
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      set(labels, value) {
+        values.set(seriesKey(labelNames, labels), value);
+      },
+      lines() {
+        const series = collect
+          ? collect().filter(({ value }) => typeof value === 'number' && !isNaN(value))
+          : [...values.entries()].map(([key, value]) => ({ labels: labelsFromKey(labelNames, key), value }));
+        return series.map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+    });
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe(labels = {}, value) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) series.set(key, { counts: bounds.map(() => 0), sum: 0, count: 0 });
+        const entry = series.get(key);
+        bounds.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+      lines() {
+        return [...series.entries()].flatMap(([key, entry]) => {
+          const labels = labelsFromKey(labelNames, key);
+          return [
+            ...bounds.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${entry.counts[index]}`),
+            `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`,
+            `${name}_sum${formatLabels(labels)} ${formatValue(entry.sum)}`,
+            `${name}_count${formatLabels(labels)} ${entry.count}`
+          ];
+        });
+      }
+    });
+  }
+
+  function render() {
+    return metrics.map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.lines()
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+}
+
+// Express middleware counting requests and timing them per route. The
+// route pattern (/api/deployments/:id) is used rather than the URL so
+// ids do not create a series each; unmatched paths share one label.
+function httpMetrics({ requests, duration }) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      duration.observe({ method: req.method, route }, seconds);
+    });
+    next();
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  createRegistry,
+  httpMetrics
+};
@@ -0,0 +1,79 @@
+// In-process deployment queue. Deployments to the same environment of a
+// project run one at a time in the order they were queued (they share a
+// container name), and at most `concurrency` run at once overall. A queued
+// deployment whose environment is busy does not hold up others behind it.
+function createDeploymentQueue({ concurrency = 2 } = {}) {
+  const queued = [];
+  const running = new Map();
+
+  function isLaneBusy(lane) {
+    for (const job of running.values()) {
+      if (job.lane === lane) return true;
+    }
+    return false;
+  }
+
+  function pump() {
+    for (let index = 0; index < queued.length && running.size < concurrency;) {
+      const job = queued[index];
+      if (isLaneBusy(job.lane)) {
+        index++;
+        continue;
+      }
+
+      queued.splice(index, 1);
+      running.set(job.id, job);
+      Promise.resolve()
+        .then(() => job.start(job.controller.signal))
+        .catch(error => console.error(`❌ Deployment ${job.id} crashed in the queue:`, error))
+        .finally(() => {
+          running.delete(job.id);
+          pump();
+        });
+    }
+  }
+
+  // `start(signal)` runs the deployment and returns a promise; the signal is
+  // aborted when the deployment is cancelled while running
+  function enqueue(deployment, start) {
+    const { id, projectId, environment } = deployment;
+    queued.push({ id, projectId, environment, lane: `${projectId}/${environment}`, start, controller: new AbortController() });
+    pump();
+  }
+
+  // Returns 'queued' when the job was taken off the queue, 'running' when it
+  // was told to stop, or null when it is not in the queue at all
+  function cancel(id) {
+    const index = queued.findIndex(job => job.id === id);
+    if (index !== -1) {
+      queued.splice(index, 1);
+      return 'queued';
+    }
+
+    const job = running.get(id);
+    if (!job) return null;
+    job.controller.abort();
+    return 'running';
+  }
+
+  // 1-based place in line, 0 while running, null when unknown
+  function position(id) {
+    if (running.has(id)) return 0;
+    const index = queued.findIndex(job => job.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  function snapshot() {
+    return {
+      concurrency,
+      running: [...running.values()].map(({ id, projectId, environment }) => ({ id, projectId, environment })),
+      queued: queued.map(({ id, projectId, environment }, index) => ({ id, projectId, environment, position: index + 1 }))
+    };
+  }
+
+  return { enqueue, cancel, position, snapshot };
+}
+
+module.exports = {
+  createDeploymentQueue
+};
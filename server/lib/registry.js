@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+const DOCKER_HUB_HOSTS = ['docker.io', 'index.docker.io', 'registry-1.docker.io', 'registry.hub.docker.com'];
+
+// "docker.io/library/nginx" and "nginx" name the same image
+function normalizeImageName(name) {
+  let image = String(name || '').toLowerCase();
+  const [first, ...rest] = image.split('/');
+  if (rest.length > 0 && DOCKER_HUB_HOSTS.includes(first)) {
+    image = rest.join('/');
+  }
+  if (image.startsWith('library/')) {
+    image = image.slice('library/'.length);
+  }
+  return image;
+}
+
+function tokensMatch(expected, actual) {
+  if (!expected || !actual) return false;
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Docker Hub repository webhook: one push per request, no delivery id,
+// so the repository, tag and push time identify it
+function parseDockerHubPayload(body) {
+  const repository = body.repository || {};
+  const pushData = body.push_data || {};
+  const image = repository.repo_name || [repository.namespace, repository.name].filter(Boolean).join('/');
+
+  return [{
+    source: 'dockerhub',
+    deliveryId: `${image}:${pushData.tag}:${pushData.pushed_at}`,
+    image: normalizeImageName(image),
+    tag: pushData.tag || 'latest',
+    digest: null,
+    pusher: pushData.pusher || null,
+    callbackUrl: body.callback_url || null
+  }];
+}
+
+// OCI / distribution registry notifications: an envelope of events, of
+// which only tagged manifest pushes are deploy candidates
+function parseRegistryPayload(body) {
+  return body.events
+    .filter(event => event.action === 'push' && event.target && event.target.tag)
+    .map(event => {
+      const host = event.request?.host;
+      const repository = event.target.repository;
+      return {
+        source: 'registry',
+        deliveryId: event.id,
+        image: normalizeImageName(host && !DOCKER_HUB_HOSTS.includes(host) ? `${host}/${repository}` : repository),
+        repository: normalizeImageName(repository),
+        tag: event.target.tag,
+        digest: event.target.digest || null,
+        pusher: event.actor?.name || null,
+        callbackUrl: null
+      };
+    });
+}
+
+// Returns the image pushes described by a webhook body, or null when the
+// body is in neither format
+function parsePushes(body) {
+  if (body && body.push_data && body.repository) return parseDockerHubPayload(body);
+  if (body && Array.isArray(body.events)) return parseRegistryPayload(body);
+  return null;
+}
+
+// The registry host is optional in project config, so a push to
+// "registry:5000/team/app" also matches a project watching "team/app"
+function matchesImage(project, push) {
+  const image = normalizeImageName(project.image);
+  return image === push.image || (push.repository && image === push.repository);
+}
+
+// Docker Hub only accepts callbacks on its own hook URLs; refusing anything
+// else keeps the webhook from being used to make arbitrary outbound requests
+function isDockerHubCallbackUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && url.hostname === 'registry.hub.docker.com' && /\/hook\//.test(url.pathname);
+  } catch (error) {
+    return false;
+  }
+}
+
+async function sendDockerHubCallback(callbackUrl, { state, description, context = 'AutoDock', targetUrl }) {
+  const response = await fetch(callbackUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ state, description, context, target_url: targetUrl })
+  });
+  if (!response.ok) {
+    throw new Error(`Docker Hub callback returned HTTP ${response.status}`);
+  }
+}
+
+module.exports = {
+  normalizeImageName,
+  tokensMatch,
+  parsePushes,
+  matchesImage,
+  isDockerHubCallbackUrl,
+  sendDockerHubCallback
+};
@@ -0,0 +1,204 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { parseCron, isTimeZone, defaultTimeZone } = require('./cron');
+
+// Timers are re-armed at least this often, so a long wait never overflows
+// setTimeout and clock changes are picked up
+const MAX_DELAY = 60 * 60 * 1000;
+
+// A one-off job may be asked for a little in the past (clock skew, a
+// slow client) and simply runs right away
+const PAST_GRACE = 60 * 1000;
+
+function scheduleError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Scheduled deployments, kept in DATA_DIR/schedules.json so they survive
+// restarts. A job either runs once at `runAt` or on every match of a
+// five-field `cron` expression in `timezone`. `run(job)` carries a job
+// out and resolves with { outcome, deploymentId, error }, which is kept
+// as the job's lastRun.
+//
+// One-off jobs that came due while the server was down run as soon as it
+// is back; recurring jobs skip the runs they missed.
+function createScheduler({ dataDir, run }) {
+  const file = path.join(dataDir, 'schedules.json');
+  let jobs = [];
+  let writeQueue = Promise.resolve();
+  let timer = null;
+  let running = false;
+  let started = false;
+
+  async function load() {
+    try {
+      jobs = JSON.parse(await fs.readFile(file, 'utf8')).jobs || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      jobs = [];
+    }
+    const now = new Date();
+    for (const job of jobs.filter(entry => entry.cron)) {
+      job.nextRunAt = nextRun(job, now);
+    }
+    return jobs.length;
+  }
+
+  function persist() {
+    const content = JSON.stringify({ jobs }, null, 2);
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(dataDir, { recursive: true });
+        const tmp = `${file}.tmp`;
+        await fs.writeFile(tmp, content);
+        await fs.rename(tmp, file);
+      })
+      .catch(error => console.error('❌ Error writing schedules:', error));
+    return writeQueue;
+  }
+
+  function nextRun(job, after) {
+    const next = parseCron(job.cron).next(after, job.timezone);
+    return next ? next.toISOString() : null;
+  }
+
+  function get(id) {
+    return jobs.find(job => job.id === id) || null;
+  }
+
+  // Soonest first; jobs with nothing left to run go last
+  function list({ projectId } = {}) {
+    return jobs
+      .filter(job => !projectId || job.projectId === projectId)
+      .sort((a, b) => (a.nextRunAt || '\uffff').localeCompare(b.nextRunAt || '\uffff'));
+  }
+
+  // { projectId, environment, runAt | cron, timezone, ...details }. Throws
+  // with .status 400 when the timing is invalid.
+  function add({ runAt, cron, timezone, ...details }) {
+    if ((runAt === undefined) === (cron === undefined)) throw scheduleError('Give either runAt or cron');
+
+    const now = new Date();
+    const job = {
+      id: `sched_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+      ...details,
+      runAt: null,
+      cron: null,
+      timezone: null,
+      nextRunAt: null,
+      lastRun: null,
+      createdAt: now.toISOString()
+    };
+
+    if (runAt !== undefined) {
+      const time = new Date(runAt);
+      if (Number.isNaN(time.getTime())) throw scheduleError('runAt must be an ISO 8601 time');
+      if (time.getTime() < now.getTime() - PAST_GRACE) throw scheduleError('runAt is in the past');
+      job.runAt = job.nextRunAt = time.toISOString();
+    } else {
+      job.timezone = timezone || defaultTimeZone();
+      if (!isTimeZone(job.timezone)) throw scheduleError(`Unknown time zone ${job.timezone}`);
+      try {
+        job.cron = parseCron(cron).expression;
+      } catch (error) {
+        throw scheduleError(`Invalid cron expression: ${error.message}`);
+      }
+      job.nextRunAt = nextRun(job, now);
+      if (!job.nextRunAt) throw scheduleError(`${job.cron} never runs`);
+    }
+
+    jobs.push(job);
+    persist();
+    arm();
+    return job;
+  }
+
+  function remove(job) {
+    jobs = jobs.filter(entry => entry !== job);
+    persist();
+    arm();
+  }
+
+  function removeWhere(predicate) {
+    const removed = jobs.filter(predicate);
+    if (removed.length > 0) {
+      jobs = jobs.filter(job => !removed.includes(job));
+      persist();
+      arm();
+    }
+    return removed;
+  }
+
+  async function fire(job) {
+    const at = new Date();
+    let result;
+    try {
+      result = await run(job);
+    } catch (error) {
+      result = { outcome: 'failed', error: error.message };
+    }
+    job.lastRun = { at: at.toISOString(), outcome: result.outcome, deploymentId: result.deploymentId || null, error: result.error || null };
+
+    if (job.cron) {
+      job.nextRunAt = nextRun(job, new Date(Math.max(Date.now(), at.getTime())));
+    } else {
+      jobs = jobs.filter(entry => entry !== job);
+    }
+    persist();
+  }
+
+  async function tick() {
+    timer = null;
+    if (running) return;
+    running = true;
+    try {
+      const now = Date.now();
+      const due = jobs.filter(job => job.nextRunAt && Date.parse(job.nextRunAt) <= now);
+      for (const job of due) {
+        // Removed by someone else while an earlier job ran
+        if (jobs.includes(job)) await fire(job);
+      }
+    } finally {
+      running = false;
+      arm();
+    }
+  }
+
+  function arm() {
+    if (!started || running) return;
+    clearTimeout(timer);
+    const times = jobs.map(job => job.nextRunAt && Date.parse(job.nextRunAt)).filter(Boolean);
+    if (times.length === 0) {
+      timer = null;
+      return;
+    }
+    const delay = Math.min(Math.max(Math.min(...times) - Date.now(), 0), MAX_DELAY);
+    timer = setTimeout(tick, delay);
+    timer.unref();
+  }
+
+  function start() {
+    started = true;
+    arm();
+  }
+
+  function stop() {
+    started = false;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  function flush() {
+    return writeQueue;
+  }
+
+  return { file, load, get, list, add, remove, removeWhere, start, stop, flush };
+}
+
+module.exports = {
+  createScheduler
+};
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const util = require('util');
+const { DEFAULT_ENVIRONMENT, ENVIRONMENT_PATTERN } = require('./projects');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const SECRET_MASK = '********';
+const KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Values reach containers through the docker CLI's own environment, so
+// names that change how the shell or the CLI behave cannot be stored
+const RESERVED_KEYS = /^(?:PATH|HOME|SHELL|IFS|ENV|LD_\w+|DOCKER_\w+)$/;
+const CHECK_VALUE = 'autodock';
+
+function storeError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Per-project, per-environment variables for containers, encrypted at rest
+// with AES-256-GCM under a key derived from SECRETS_MASTER_KEY. Every value
+// is encrypted; `secret` only decides whether the API shows it. Each value
+// is bound to its project/environment/name so entries cannot be swapped.
+function createSecretStore({ dataDir, masterKey }) {
+  const file = path.join(dataDir, 'secrets.json');
+  let salt = null;
+  let check = null;
+  let key = null;
+  let entries = [];
+  let writeQueue = Promise.resolve();
+
+  const slot = entry => `${entry.projectId}/${entry.environment}/${entry.key}`;
+
+  function encrypt(text, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const data = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+  }
+
+  function decrypt(value, aad) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(value.iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(value.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(value.data, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  // A stored value that fails authentication was edited on disk or moved
+  // from another slot; say which one rather than passing on OpenSSL's error
+  function reveal(entry) {
+    try {
+      return decrypt(entry.value, slot(entry));
+    } catch (error) {
+      throw new Error(`Stored value of ${slot(entry)} cannot be decrypted: ${file} was changed outside AutoDock`);
+    }
+  }
+
+  function requireKey() {
+    if (!key) throw storeError('Secrets are disabled: set SECRETS_MASTER_KEY to manage environment variables', 503);
+  }
+
+  async function load() {
+    let stored = null;
+    try {
+      stored = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    entries = stored?.entries || [];
+    salt = stored?.salt ? Buffer.from(stored.salt, 'base64') : crypto.randomBytes(16);
+    check = stored?.check || null;
+    if (!masterKey) return { enabled: false, count: entries.length };
+
+    key = await scrypt(masterKey, salt, 32);
+    if (!check) {
+      check = encrypt(CHECK_VALUE, 'check');
+    } else {
+      try {
+        decrypt(check, 'check');
+      } catch (error) {
+        key = null;
+        throw new Error(`SECRETS_MASTER_KEY does not match the key ${file} was written with`);
+      }
+    }
+    return { enabled: true, count: entries.length };
+  }
+
+  function persist() {
+    const content = JSON.stringify({ version: 1, salt: salt.toString('base64'), check, entries }, null, 2);
+    writeQueue = writeQueue.catch(() => {}).then(async () => {
+      await fs.mkdir(dataDir, { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, content, { mode: 0o600 });
+      await fs.rename(tmp, file);
+    });
+    return writeQueue;
+  }
+
+  function validate(environment, name) {
+    if (!ENVIRONMENT_PATTERN.test(environment)) {
+      throw storeError('environment must be lowercase letters, digits, "-" or "_"', 400);
+    }
+    if (!KEY_PATTERN.test(name)) throw storeError(`${name} is not a valid variable name`, 400);
+    if (RESERVED_KEYS.test(name)) throw storeError(`${name} is reserved and cannot be set`, 400);
+  }
+
+  // Entries without values, plus the value itself for non-secrets
+  function list({ projectId, environment } = {}) {
+    requireKey();
+    return entries
+      .filter(entry => entry.projectId === projectId && (!environment || entry.environment === environment))
+      .map(entry => ({
+        key: entry.key,
+        environment: entry.environment,
+        secret: entry.secret,
+        value: entry.secret ? SECRET_MASK : reveal(entry),
+        updatedAt: entry.updatedAt,
+        updatedBy: entry.updatedBy
+      }))
+      .sort((a, b) => a.environment.localeCompare(b.environment) || a.key.localeCompare(b.key));
+  }
+
+  async function set({ projectId, environment = DEFAULT_ENVIRONMENT, key: name, value, secret = false, actor }) {
+    requireKey();
+    validate(environment, name);
+    if (value === undefined || value === null || typeof value === 'object') {
+      throw storeError('value must be a string, number or boolean', 400);
+    }
+
+    const existing = entries.find(entry => entry.projectId === projectId && entry.environment === environment && entry.key === name);
+    const entry = { projectId, environment, key: name, secret: !!secret, value: null, updatedAt: new Date().toISOString(), updatedBy: actor || null };
+    entry.value = encrypt(value, slot(entry));
+
+    if (existing) entries[entries.indexOf(existing)] = entry;
+    else entries.push(entry);
+    await persist();
+    return { key: name, environment, secret: entry.secret, created: !existing };
+  }
+
+  async function remove({ projectId, environment = DEFAULT_ENVIRONMENT, key: name }) {
+    requireKey();
+    const before = entries.length;
+    entries = entries.filter(entry => !(entry.projectId === projectId && entry.environment === environment && entry.key === name));
+    if (entries.length === before) return false;
+    await persist();
+    return true;
+  }
+
+  async function removeProject(projectId) {
+    const before = entries.length;
+    entries = entries.filter(entry => entry.projectId !== projectId);
+    if (entries.length !== before) await persist();
+  }
+
+  // Decrypted name -> value map a deployment injects into its container.
+  // Without a master key nothing can be read, so a project that has stored
+  // variables cannot be deployed rather than starting without them.
+  function variables(projectId, environment = DEFAULT_ENVIRONMENT) {
+    const matching = entries.filter(entry => entry.projectId === projectId && entry.environment === environment);
+    if (matching.length === 0) return {};
+    requireKey();
+    return Object.fromEntries(matching.map(entry => [entry.key, reveal(entry)]));
+  }
+
+  function flush() {
+    return writeQueue;
+  }
+
+  return {
+    file,
+    get enabled() {
+      return !!key;
+    },
+    load,
+    list,
+    set,
+    remove,
+    removeProject,
+    variables,
+    flush
+  };
+}
+
+module.exports = {
+  createSecretStore
+};
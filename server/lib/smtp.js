@@ -0,0 +1,157 @@
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+// Minimal SMTP client for notification emails: plain or implicit-TLS
+// connection, STARTTLS when the server offers it, AUTH PLAIN, one message.
+// Replies are read as whole (possibly multi-line) responses.
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const waiting = [];
+  const ready = [];
+  let failure = null;
+
+  const deliver = reply => {
+    const next = waiting.shift();
+    if (next) next.resolve(reply);
+    else ready.push(reply);
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        deliver({ code: Number(line.slice(0, 3)), lines: lines.map(text => text.slice(4)) });
+        lines = [];
+      }
+    }
+  };
+
+  const onError = error => {
+    failure = error;
+    waiting.splice(0).forEach(pending => pending.reject(error));
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', () => onError(failure || new Error('SMTP connection closed')));
+
+  return {
+    read() {
+      if (ready.length) return Promise.resolve(ready.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.removeAllListeners('close');
+    }
+  };
+}
+
+function formatAddress(address) {
+  return String(address).replace(/[\r\n<>]/g, '');
+}
+
+// RFC 2047 encoded-word for non-ASCII subjects
+function encodeHeader(value) {
+  const text = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${formatAddress(from)}`,
+    `To: ${to.map(formatAddress).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+  // Dot-stuffing: a line starting with "." gets another one
+  const body = String(text).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.\r\n`;
+}
+
+async function sendMail({
+  host,
+  port = 587,
+  secure = false,
+  starttls = true,
+  username,
+  password,
+  from,
+  to,
+  subject,
+  text,
+  timeout = 15000,
+  tlsOptions = {}
+}) {
+  const recipients = Array.isArray(to) ? to : [to];
+  let socket = await new Promise((resolve, reject) => {
+    const options = { host, port, servername: host, ...tlsOptions };
+    const connection = secure ? tls.connect(options, () => resolve(connection)) : net.connect(options, () => resolve(connection));
+    connection.once('error', reject);
+  });
+  socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP timed out after ${timeout}ms`)));
+
+  let reader = createReplyReader(socket);
+  const expect = async (codes, step) => {
+    const reply = await reader.read();
+    if (!codes.includes(reply.code)) {
+      throw new Error(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+  const command = (line, codes, step = line.split(' ')[0]) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes, step);
+  };
+
+  try {
+    await expect([220], 'greeting');
+    let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+    if (!secure && starttls && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await new Promise((resolve, reject) => {
+        const upgraded = tls.connect({ socket, servername: host, ...tlsOptions }, () => resolve(upgraded));
+        upgraded.once('error', reject);
+      });
+      reader = createReplyReader(socket);
+      ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (username) {
+      const credentials = Buffer.from(`\0${username}\0${password || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+    }
+
+    await command(`MAIL FROM:<${formatAddress(from)}>`, [250], 'MAIL FROM');
+    for (const recipient of recipients) {
+      await command(`RCPT TO:<${formatAddress(recipient)}>`, [250, 251], 'RCPT TO');
+    }
+    await command('DATA', [354]);
+    socket.write(buildMessage({ from, to: recipients, subject, text }));
+    const accepted = await expect([250], 'message');
+    socket.write('QUIT\r\n');
+    return { accepted: recipients, response: accepted.lines.join(' ') };
+  } finally {
+    reader.detach();
+    socket.end();
+  }
+}
+
+module.exports = {
+  sendMail
+};
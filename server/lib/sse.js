@@ -0,0 +1,90 @@
+const HEARTBEAT_INTERVAL = 15000;
+
+// Turns a response into a Server-Sent Events stream. The heartbeat keeps
+// idle connections alive behind nginx's 30s proxy_read_timeout.
+function openEventStream(req, res, { heartbeatInterval = HEARTBEAT_INTERVAL } = {}) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const closeHandlers = [];
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatInterval);
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    closeHandlers.forEach(handler => handler());
+  };
+
+  req.on('close', cleanup);
+
+  return {
+    get closed() {
+      return closed;
+    },
+
+    send(event, data, id) {
+      if (closed) return;
+      if (id !== undefined) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+
+    onClose(handler) {
+      closeHandlers.push(handler);
+    },
+
+    close() {
+      cleanup();
+      res.end();
+    }
+  };
+}
+
+// Sends named events to every attached stream. Ids only ever grow, so a
+// client can tell which events it has seen; streams that reconnect are
+// expected to start from a fresh snapshot rather than a replay.
+function createBroadcaster() {
+  const streams = new Set();
+  let lastId = 0;
+
+  return {
+    get size() {
+      return streams.size;
+    },
+
+    get lastId() {
+      return lastId;
+    },
+
+    attach(stream) {
+      streams.add(stream);
+      stream.onClose(() => streams.delete(stream));
+    },
+
+    publish(event, data) {
+      lastId += 1;
+      streams.forEach(stream => stream.send(event, data, lastId));
+    }
+  };
+}
+
+// Last-Event-ID header on reconnect, or ?lastEventId= for manual resumes
+function getLastEventId(req) {
+  const value = req.get('Last-Event-ID') || req.query.lastEventId;
+  const id = parseInt(value, 10);
+  return isNaN(id) ? -1 : id;
+}
+
+module.exports = {
+  openEventStream,
+  createBroadcaster,
+  getLastEventId
+};
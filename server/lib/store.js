@@ -0,0 +1,207 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_ENVIRONMENT } = require('./projects');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Deployments kept; older finished ones are dropped with their logs
+const MAX_RECORDS = 1000;
+
+// Appends are compacted away once they outgrow the last compacted file,
+// and never before this many bytes
+const MIN_COMPACT_BYTES = 8 * 1024 * 1024;
+
+// Deployment history kept as an append-only JSON lines file of snapshots
+// without logs; when loading, the last snapshot for an id wins. Log lines
+// are appended to a file per deployment in deployment-logs/ and only read
+// back when asked for, so memory holds the logs of running deployments
+// alone. The history file is rewritten with one snapshot per deployment
+// at startup and whenever the appends since the last rewrite grow larger
+// than it was; that is also when the logs of dropped deployments go.
+function createDeploymentStore({ dataDir, maxRecords = MAX_RECORDS, minCompactBytes = MIN_COMPACT_BYTES }) {
+  const file = path.join(dataDir, 'deployments.jsonl');
+  const logDir = path.join(dataDir, 'deployment-logs');
+  // Oldest first: running deployments as they are, finished ones as
+  // snapshots with a logCount
+  const records = new Map();
+  // Log lines of each record already in its log file
+  const writtenLogs = new Map();
+  let appendedBytes = 0;
+  let compactedBytes = 0;
+  let writeQueue = Promise.resolve();
+
+  const logFile = id => path.join(logDir, `${encodeURIComponent(id)}.jsonl`);
+  const toLines = entries => entries.map(entry => JSON.stringify(entry) + '\n').join('');
+
+  function enqueue(task) {
+    writeQueue = writeQueue.then(task).catch(error => {
+      console.error('❌ Error writing deployment store:', error);
+    });
+    return writeQueue;
+  }
+
+  async function load() {
+    await fs.mkdir(logDir, { recursive: true });
+
+    let content = '';
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    // Older files carry logs inline or as { id, log } lines; they move
+    // to log files at the compaction below
+    const inlineLogs = new Map();
+    content.split('\n').filter(Boolean).forEach((line, index) => {
+      try {
+        const entry = JSON.parse(line);
+        if (entry.log) {
+          if (!inlineLogs.has(entry.id)) inlineLogs.set(entry.id, []);
+          inlineLogs.get(entry.id).push(entry.log);
+          return;
+        }
+        const { logs, ...record } = entry;
+        if (logs) inlineLogs.set(record.id, logs);
+        records.set(record.id, record);
+      } catch (error) {
+        console.warn(`⚠️ Skipping corrupt deployment record on line ${index + 1}`);
+      }
+    });
+
+    for (const record of records.values()) {
+      if (inlineLogs.has(record.id)) record.logCount = inlineLogs.get(record.id).length;
+      record.logCount = record.logCount || 0;
+      writtenLogs.set(record.id, record.logCount);
+
+      // Anything still in flight was cut short by the last shutdown
+      if (ACTIVE_STATUSES.includes(record.status)) {
+        record.status = 'failed';
+        record.error = 'Interrupted by server restart';
+        record.finishedAt = record.finishedAt || new Date().toISOString();
+      }
+    }
+    trim();
+
+    await compact(inlineLogs);
+    return records.size;
+  }
+
+  // Drops the oldest finished deployments beyond maxRecords
+  function trim() {
+    for (const [id, record] of records) {
+      if (records.size <= maxRecords) break;
+      if (!ACTIVE_STATUSES.includes(record.status)) {
+        records.delete(id);
+        writtenLogs.delete(id);
+      }
+    }
+  }
+
+  function compact(inlineLogs = new Map()) {
+    appendedBytes = 0;
+    return enqueue(async () => {
+      for (const [id, logs] of inlineLogs) {
+        if (records.has(id)) await fs.writeFile(logFile(id), toLines(logs));
+      }
+
+      const tmp = `${file}.tmp`;
+      const content = toLines([...records.values()].map(summarize));
+      compactedBytes = Buffer.byteLength(content);
+      await fs.writeFile(tmp, content);
+      await fs.rename(tmp, file);
+
+      const kept = new Set([...records.keys()].map(id => path.basename(logFile(id))));
+      for (const name of await fs.readdir(logDir)) {
+        if (!kept.has(name)) await fs.rm(path.join(logDir, name), { force: true });
+      }
+    });
+  }
+
+  // Deployments loaded from the file have no logs array, only a logCount
+  function save(deployment) {
+    const isNew = !records.has(deployment.id);
+    const snapshot = summarize(deployment);
+    records.set(deployment.id, ACTIVE_STATUSES.includes(deployment.status) ? deployment : snapshot);
+    if (isNew) trim();
+
+    if (deployment.logs) {
+      const lines = deployment.logs.slice(writtenLogs.get(deployment.id) || 0);
+      writtenLogs.set(deployment.id, deployment.logs.length);
+      if (lines.length > 0) enqueue(() => fs.appendFile(logFile(deployment.id), toLines(lines)));
+    }
+
+    const content = JSON.stringify(snapshot) + '\n';
+    appendedBytes += Buffer.byteLength(content);
+    const written = enqueue(() => fs.appendFile(file, content));
+    return appendedBytes > Math.max(minCompactBytes, compactedBytes) ? compact() : written;
+  }
+
+  // The deployment itself while it runs, its snapshot once it is finished
+  function get(id) {
+    return records.get(id) || null;
+  }
+
+  // Log lines of a deployment, or null when there is no such deployment.
+  // Running ones answer from memory, the rest from their log file.
+  async function logs(id) {
+    const record = records.get(id);
+    if (!record) return null;
+    if (record.logs) return record.logs;
+
+    // Lines may still be on their way to the file
+    await writeQueue;
+    let content = '';
+    try {
+      content = await fs.readFile(logFile(id), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return content.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+
+  // Newest first, in the order deployments were created. Records from
+  // before environments existed count as the default one.
+  function list({ projectId, environment, status, from, to, page = 1, limit = 20 } = {}) {
+    const matches = [...records.values()]
+      .reverse()
+      .filter(record => projectId === undefined || String(record.projectId) === String(projectId))
+      .filter(record => !environment || (record.environment || DEFAULT_ENVIRONMENT) === environment)
+      .filter(record => !status || record.status === status)
+      .filter(record => !from || new Date(record.createdAt) >= from)
+      .filter(record => !to || new Date(record.createdAt) <= to);
+
+    const offset = (page - 1) * limit;
+    return {
+      deployments: matches.slice(offset, offset + limit).map(summarize),
+      total: matches.length,
+      page,
+      limit,
+      pages: Math.ceil(matches.length / limit)
+    };
+  }
+
+  // Wait for pending writes, e.g. before shutting down
+  function flush() {
+    return writeQueue;
+  }
+
+  return { file, logDir, load, save, get, logs, list, flush, compact: () => compact() };
+}
+
+// A record without its logs, counting them instead
+function summarize(record) {
+  const { logs, ...rest } = record;
+  return logs ? { ...rest, logCount: logs.length } : rest;
+}
+
+module.exports = {
+  createDeploymentStore,
+  summarize
+};
@@ -0,0 +1,156 @@
+const { DAY_NAMES, zonedParts, zonedTime, isTimeZone, defaultTimeZone } = require('./cron');
+
+// What happens to a deployment asked for while the environment is closed:
+// held until the next window opens, or turned away
+const OUTSIDE_POLICIES = ['hold', 'reject'];
+
+// 00:00-23:59, plus 24:00 for the end of the day
+const TIME_PATTERN = /^(?:([01]\d|2[0-3]):([0-5]\d)|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEK = 7 * 24 * 3600 * 1000;
+
+// "18:30" -> minutes since midnight
+function minutesOf(text) {
+  if (text === '24:00') return 24 * 60;
+  const [, hours, minutes] = TIME_PATTERN.exec(text);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+function checkBound(value) {
+  const text = String(value);
+  return DATE_PATTERN.test(text) || !Number.isNaN(Date.parse(text));
+}
+
+// fieldChecks-style check of a `deployWindows` block
+function checkDeployWindows(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+  if (value.timezone !== undefined && !isTimeZone(value.timezone)) return 'timezone must be an IANA time zone such as Europe/Berlin';
+  if (value.outside !== undefined && !OUTSIDE_POLICIES.includes(value.outside)) return `outside must be one of ${OUTSIDE_POLICIES.join(', ')}`;
+  if (value.allow === undefined && value.freezes === undefined) return 'must list allow windows or freezes';
+
+  if (value.allow !== undefined) {
+    if (!Array.isArray(value.allow)) return 'allow must be a list of { days, from, to } windows';
+    for (const window of value.allow) {
+      if (!window || typeof window !== 'object') return 'allow must be a list of { days, from, to } windows';
+      if (window.days !== undefined && !(Array.isArray(window.days) && window.days.length > 0 &&
+        window.days.every(day => DAY_NAMES.includes(String(day).toLowerCase())))) {
+        return `allow days must be a list of ${DAY_NAMES.join(', ')}`;
+      }
+      if (!TIME_PATTERN.test(String(window.from)) || !TIME_PATTERN.test(String(window.to))) {
+        return 'allow windows need from and to times as "HH:MM"';
+      }
+    }
+  }
+
+  if (value.freezes !== undefined) {
+    if (!Array.isArray(value.freezes)) return 'freezes must be a list of { from, to, reason } periods';
+    for (const freeze of value.freezes) {
+      if (!freeze || typeof freeze !== 'object' || !checkBound(freeze.from) || !checkBound(freeze.to)) {
+        return 'freezes need from and to dates (YYYY-MM-DD or ISO 8601 times)';
+      }
+      if (freeze.reason !== undefined && typeof freeze.reason !== 'string') return 'freeze reason must be a string';
+    }
+  }
+  return null;
+}
+
+// A date-only bound is midnight in the windows' time zone; a date-only
+// `to` covers that whole day
+function boundTime(value, timeZone, end) {
+  const text = String(value);
+  if (!DATE_PATTERN.test(text)) return Date.parse(text);
+  const [year, month, day] = text.split('-').map(Number);
+  return zonedTime({ year, month, day: end ? day + 1 : day }, timeZone).getTime();
+}
+
+// `deployWindows` with defaults filled in and bounds turned into times
+function compile(windows) {
+  const timeZone = windows.timezone || defaultTimeZone();
+  return {
+    timeZone,
+    outside: windows.outside || 'hold',
+    allow: (windows.allow || []).map(window => ({
+      days: new Set((window.days || DAY_NAMES).map(day => DAY_NAMES.indexOf(String(day).toLowerCase()))),
+      from: minutesOf(String(window.from)),
+      to: minutesOf(String(window.to))
+    })),
+    freezes: (windows.freezes || []).map(freeze => ({
+      from: boundTime(freeze.from, timeZone, false),
+      to: boundTime(freeze.to, timeZone, true),
+      reason: freeze.reason || null
+    }))
+  };
+}
+
+// A window whose `to` is not after `from` runs past midnight into the
+// next day ("22:00" to "06:00"); equal times mean a full day
+function inWindow(window, parts) {
+  const minute = parts.hour * 60 + parts.minute;
+  if (window.from < window.to) return window.days.has(parts.weekday) && minute >= window.from && minute < window.to;
+  return (window.days.has(parts.weekday) && minute >= window.from) ||
+    (window.days.has((parts.weekday + 6) % 7) && minute < window.to);
+}
+
+function stateAt(compiled, time) {
+  const freeze = compiled.freezes.find(period => period.from <= time && time < period.to);
+  if (freeze) {
+    return { open: false, reason: freeze.reason ? `Deploy freeze: ${freeze.reason}` : 'Deploy freeze' };
+  }
+  if (compiled.allow.length > 0) {
+    const parts = zonedParts(new Date(time), compiled.timeZone);
+    if (!compiled.allow.some(window => inWindow(window, parts))) return { open: false, reason: 'Outside deploy windows' };
+  }
+  return { open: true, reason: null };
+}
+
+// Every time the environment could open after `time`: window starts over
+// the next week and a bit, and freeze ends
+function openings(compiled, time) {
+  const times = compiled.freezes.map(freeze => freeze.to);
+  const today = zonedParts(new Date(time), compiled.timeZone);
+  for (let offset = 0; offset <= 8; offset++) {
+    // Date.UTC normalises day overflow into the next month
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const weekday = date.getUTCDay();
+    for (const window of compiled.allow) {
+      if (!window.days.has(weekday)) continue;
+      times.push(zonedTime({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: Math.floor(window.from / 60),
+        minute: window.from % 60
+      }, compiled.timeZone).getTime());
+    }
+  }
+  return [...new Set(times)].filter(candidate => candidate > time).sort((a, b) => a - b);
+}
+
+// Whether a project environment takes deployments at `date`:
+// { open, reason, nextOpen, outside }. nextOpen is null when the
+// environment is open or never opens again within the schedule.
+function windowState(windows, date = new Date()) {
+  if (!windows) return { open: true, reason: null, nextOpen: null, outside: null };
+  const compiled = compile(windows);
+  const time = date.getTime();
+  const state = stateAt(compiled, time);
+  if (state.open) return { ...state, nextOpen: null, outside: compiled.outside };
+
+  // Freezes can stretch past the week of window starts looked at, so
+  // keep looking a week later, jumping over any freeze in the way
+  let from = time;
+  for (let round = 0; round < 60; round++) {
+    const nextOpen = openings(compiled, from).find(candidate => stateAt(compiled, candidate).open);
+    if (nextOpen) return { ...state, nextOpen: new Date(nextOpen), outside: compiled.outside };
+    from += WEEK;
+    const freeze = compiled.freezes.find(period => period.from <= from && from < period.to);
+    if (freeze) from = freeze.to - 1;
+  }
+  return { ...state, nextOpen: null, outside: compiled.outside };
+}
+
+module.exports = {
+  OUTSIDE_POLICIES,
+  checkDeployWindows,
+  windowState
+};
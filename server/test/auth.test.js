@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { SESSION_COOKIE, createAuthStore } = require('../lib/auth');
+
+async function authStore(t) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'autodock-auth-'));
+  t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+  const auth = createAuthStore({ dataDir });
+  await auth.load({ adminPassword: 'correct horse' });
+  return { auth, dataDir };
+}
+
+// Just enough of an Express request for identify()
+const request = (headers = {}) => ({ get: name => headers[name] });
+const withSession = session => request({ Cookie: `${SESSION_COOKIE}=${encodeURIComponent(session.id)}` });
+const withBearer = value => request({ Authorization: `Bearer ${value}` });
+
+test('users log in with their password', async t => {
+  const { auth } = await authStore(t);
+
+  assert.strictEqual(await auth.login({ username: 'admin', password: 'wrong password' }), null);
+  assert.strictEqual(await auth.login({ username: 'nobody', password: 'correct horse' }), null);
+
+  const session = await auth.login({ username: 'admin', password: 'correct horse' });
+  assert.deepStrictEqual(auth.identify(withSession(session)), { type: 'user', name: 'admin', username: 'admin', role: 'admin' });
+
+  auth.logout(session.id);
+  assert.strictEqual(auth.identify(withSession(session)), null);
+});
+
+test('revoking a token ends the sessions opened with it', async t => {
+  const { auth } = await authStore(t);
+  const { id, token } = await auth.createToken({ name: 'ci', role: 'deployer' });
+  const other = await auth.createToken({ name: 'grafana', role: 'viewer' });
+
+  const session = await auth.login({ token });
+  const otherSession = await auth.login({ token: other.token });
+  const userSession = await auth.login({ username: 'admin', password: 'correct horse' });
+  assert.deepStrictEqual(auth.identify(withSession(session)), { type: 'token', name: 'ci', role: 'deployer', tokenId: id });
+  assert.strictEqual(auth.identify(withBearer(token)).role, 'deployer');
+
+  assert.strictEqual(await auth.revokeToken(id), true);
+  assert.strictEqual(auth.identify(withSession(session)), null);
+  assert.strictEqual(auth.identify(withBearer(token)), null);
+  assert.strictEqual(await auth.login({ token }), null);
+
+  // Other tokens and users keep their sessions
+  assert.strictEqual(auth.identify(withSession(otherSession)).name, 'grafana');
+  assert.strictEqual(auth.identify(withSession(userSession)).name, 'admin');
+  assert.strictEqual(await auth.revokeToken(id), false);
+});
+
+test('token use is recorded and survives a restart', async t => {
+  const { auth, dataDir } = await authStore(t);
+  const { id, token } = await auth.createToken({ name: 'ci' });
+  assert.strictEqual(auth.listTokens()[0].lastUsedAt, null);
+
+  auth.identify(withBearer(token));
+  const { lastUsedAt } = auth.listTokens()[0];
+  assert.ok(lastUsedAt);
+  // Written after the use above
+  await auth.createToken({ name: 'later' });
+
+  const restarted = createAuthStore({ dataDir });
+  await restarted.load();
+  assert.strictEqual(restarted.listTokens().find(entry => entry.id === id).lastUsedAt, lastUsedAt);
+  assert.ok(!JSON.stringify(restarted.listTokens()).includes(token));
+});
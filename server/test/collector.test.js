@@ -0,0 +1,158 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createCollector } = require('../lib/collector');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Probe that counts its runs and resolves with the count after `ms`
+function countingProbe(ms = 0) {
+  const probe = {
+    runs: 0,
+    collect: async () => {
+      probe.runs += 1;
+      const run = probe.runs;
+      await delay(ms);
+      return run;
+    }
+  };
+  return probe;
+}
+
+test('requests that arrive together share one probe run', async () => {
+  const probe = countingProbe(20);
+  const collector = createCollector({ probes: { docker: { collect: probe.collect, ttl: 1000 } } });
+
+  const values = await Promise.all([collector.get('docker'), collector.get('docker'), collector.refresh('docker')]);
+  assert.deepStrictEqual(values, [1, 1, 1]);
+  assert.strictEqual(probe.runs, 1);
+});
+
+test('values are served from the cache until their ttl passes', async () => {
+  let time = 0;
+  const probe = countingProbe();
+  const collector = createCollector({ probes: { system: { collect: probe.collect, ttl: 1000 } }, now: () => time });
+
+  assert.strictEqual(await collector.get('system'), 1);
+  time = 999;
+  assert.strictEqual(await collector.get('system'), 1);
+  assert.strictEqual(probe.runs, 1);
+  assert.strictEqual(collector.status().system.stale, false);
+
+  // Expired: the old value comes back at once, the refresh runs behind it
+  time = 1500;
+  assert.strictEqual(collector.status().system.stale, true);
+  assert.strictEqual(await collector.get('system'), 1);
+  assert.strictEqual(collector.status().system.refreshing, true);
+  assert.strictEqual(await collector.refresh('system'), 2);
+  assert.strictEqual(probe.runs, 2);
+
+  const status = collector.status().system;
+  assert.strictEqual(status.collectedAt, new Date(1500).toISOString());
+  assert.strictEqual(status.stale, false);
+  assert.strictEqual(status.refreshing, false);
+  assert.strictEqual(collector.lastCollectedAt(), new Date(1500).toISOString());
+});
+
+test('probes run on their own intervals once started', async t => {
+  const fast = countingProbe();
+  const slow = countingProbe();
+  const manual = countingProbe();
+  const updates = [];
+  const collector = createCollector({
+    probes: {
+      fast: { collect: fast.collect, interval: 20 },
+      slow: { collect: slow.collect, interval: 60 * 60 * 1000 },
+      manual: { collect: manual.collect }
+    },
+    onUpdate: (name, value) => updates.push([name, value])
+  });
+  t.after(() => collector.stop());
+
+  collector.start();
+  await delay(110);
+  collector.stop();
+  const runs = fast.runs;
+  await delay(50);
+
+  assert.ok(runs >= 3, `fast probe ran ${runs} times`);
+  assert.strictEqual(fast.runs, runs);
+  assert.strictEqual(slow.runs, 1);
+  assert.strictEqual(manual.runs, 1);
+  assert.strictEqual(collector.status().manual.ttl, 60000);
+  assert.strictEqual(collector.status().slow.ttl, 60 * 60 * 1000);
+  assert.deepStrictEqual(updates.filter(([name]) => name === 'slow'), [['slow', 1]]);
+  assert.strictEqual(updates.filter(([name]) => name === 'fast').length, runs);
+});
+
+test('a probe that times out is aborted and keeps its last value', async () => {
+  let time = 0;
+  let hang = false;
+  let aborted = false;
+  const collector = createCollector({
+    probes: {
+      aws: {
+        timeout: 30,
+        ttl: 1000,
+        collect: ({ signal }) => {
+          if (!hang) return Promise.resolve({ connected: true });
+          signal.addEventListener('abort', () => {
+            aborted = true;
+          });
+          return new Promise(() => {});
+        }
+      }
+    },
+    now: () => time
+  });
+
+  assert.deepStrictEqual(await collector.refresh('aws'), { connected: true });
+
+  hang = true;
+  time = 2000;
+  assert.deepStrictEqual(await collector.refresh('aws'), { connected: true });
+  assert.strictEqual(aborted, true);
+
+  const status = collector.status().aws;
+  assert.strictEqual(status.error, 'aws probe timed out after 30 ms');
+  assert.strictEqual(status.stale, true);
+  assert.strictEqual(status.collectedAt, new Date(0).toISOString());
+  assert.strictEqual(status.attemptedAt, new Date(2000).toISOString());
+});
+
+test('a failing probe is retried at most once per ttl', async () => {
+  let time = 0;
+  let runs = 0;
+  const collector = createCollector({
+    probes: {
+      github: {
+        ttl: 1000,
+        collect: async () => {
+          runs += 1;
+          throw new Error('no workflows directory');
+        }
+      }
+    },
+    now: () => time
+  });
+
+  assert.strictEqual(await collector.get('github'), null);
+  time = 500;
+  assert.strictEqual(await collector.get('github'), null);
+  assert.strictEqual(runs, 1);
+
+  const status = collector.status().github;
+  assert.strictEqual(status.collectedAt, null);
+  assert.strictEqual(status.stale, true);
+  assert.strictEqual(status.error, 'no workflows directory');
+
+  time = 1000;
+  await collector.get('github');
+  await collector.refresh('github');
+  assert.strictEqual(runs, 2);
+});
+
+test('unknown probes are an error', async () => {
+  const collector = createCollector({ probes: {} });
+  assert.throws(() => collector.peek('docker'), /Unknown probe docker/);
+  await assert.rejects(collector.get('docker'), /Unknown probe docker/);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCron, zonedParts, zonedTime, isTimeZone } = require('../lib/cron');
+
+// Next run after `after` as an ISO string
+const next = (expression, after, timeZone = 'UTC') => {
+  const time = parseCron(expression).next(new Date(after), timeZone);
+  return time && time.toISOString();
+};
+
+test('fields take lists, ranges, steps and names', () => {
+  assert.strictEqual(next('*/15 9-17 * * mon-fri', '2026-03-06T17:50:00Z'), '2026-03-09T09:00:00.000Z');
+  assert.strictEqual(next('0 0 1,15 * *', '2026-03-02T00:00:00Z'), '2026-03-15T00:00:00.000Z');
+  assert.strictEqual(next('30 4 * jan,jul *', '2026-03-02T00:00:00Z'), '2026-07-01T04:30:00.000Z');
+  assert.strictEqual(next('0 12 * * 7', '2026-03-02T00:00:00Z'), '2026-03-08T12:00:00.000Z');
+  assert.strictEqual(next('@daily', '2026-03-02T10:00:00Z'), '2026-03-03T00:00:00.000Z');
+  assert.strictEqual(next('@hourly', '2026-03-02T10:00:00Z'), '2026-03-02T11:00:00.000Z');
+  assert.strictEqual(parseCron('  @Weekly ').expression, '@Weekly');
+});
+
+test('runs are strictly after the given time', () => {
+  assert.strictEqual(next('0 2 * * *', '2026-03-02T02:00:00Z'), '2026-03-03T02:00:00.000Z');
+  assert.strictEqual(next('0 2 * * *', '2026-03-02T01:59:59Z'), '2026-03-02T02:00:00.000Z');
+});
+
+test('with both day fields restricted either one matches', () => {
+  // The 13th (a Friday in March 2026) or any Monday
+  assert.strictEqual(next('0 0 13 * mon', '2026-03-10T00:00:00Z'), '2026-03-13T00:00:00.000Z');
+  assert.strictEqual(next('0 0 13 * mon', '2026-03-13T00:00:00Z'), '2026-03-16T00:00:00.000Z');
+});
+
+test('expressions that never match have no next run', () => {
+  assert.strictEqual(next('0 0 30 2 *', '2026-01-01T00:00:00Z'), null);
+});
+
+test('invalid expressions are refused with the field that is wrong', () => {
+  assert.throws(() => parseCron('* * * *'), /five fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute: "60" is outside 0-59/);
+  assert.throws(() => parseCron('0 24 * * *'), /hour: "24" is outside 0-23/);
+  assert.throws(() => parseCron('0 0 * foo *'), /month: "foo" is not a number/);
+  assert.throws(() => parseCron('*/0 * * * *'), /minute: bad step/);
+  assert.throws(() => parseCron('0 5-1 * * *'), /hour: "5-1" is outside/);
+});
+
+test('times are evaluated in the given time zone', () => {
+  assert.strictEqual(next('0 9 * * *', '2026-01-15T00:00:00Z', 'Europe/Berlin'), '2026-01-15T08:00:00.000Z');
+  assert.strictEqual(next('0 9 * * *', '2026-07-15T00:00:00Z', 'Europe/Berlin'), '2026-07-15T07:00:00.000Z');
+  assert.strictEqual(parseCron('0 9 * * *').matches(new Date('2026-07-15T07:00:00Z'), 'Europe/Berlin'), true);
+  assert.strictEqual(isTimeZone('Europe/Berlin'), true);
+  assert.strictEqual(isTimeZone('Mars/Olympus'), false);
+});
+
+// New York springs forward on 2026-03-08 (02:00 EST -> 03:00 EDT) and
+// falls back on 2026-11-01 (02:00 EDT -> 01:00 EST)
+test('a time skipped when clocks spring forward runs an hour later', () => {
+  const zone = 'America/New_York';
+  assert.strictEqual(next('30 2 * * *', '2026-03-08T05:00:00Z', zone), '2026-03-08T07:30:00.000Z');
+  assert.deepStrictEqual(zonedParts(new Date('2026-03-08T07:30:00Z'), zone), { year: 2026, month: 3, day: 8, hour: 3, minute: 30, weekday: 0 });
+  assert.strictEqual(next('0 2 * * *', '2026-03-08T05:00:00Z', zone), '2026-03-08T07:00:00.000Z');
+  // Back to 02:30 the day after
+  assert.strictEqual(next('30 2 * * *', '2026-03-08T07:30:00Z', zone), '2026-03-09T06:30:00.000Z');
+  // Times after the jump are not moved
+  assert.strictEqual(next('10 3 * * *', '2026-03-08T05:00:00Z', zone), '2026-03-08T07:10:00.000Z');
+  // A skipped time shows up once, in the order the clocks show it
+  assert.strictEqual(next('50 1,2 * * *', '2026-03-08T06:50:00Z', zone), '2026-03-08T07:50:00.000Z');
+  // Jobs not tied to an hour carry on by the clock
+  assert.strictEqual(next('*/20 * * * *', '2026-03-08T06:50:00Z', zone), '2026-03-08T07:00:00.000Z');
+
+  // zonedTime() puts skipped times in the same place
+  assert.strictEqual(zonedTime({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, zone).toISOString(), '2026-03-08T07:30:00.000Z');
+});
+
+test('a time repeated when clocks fall back runs once, unless the hour is open', () => {
+  const zone = 'America/New_York';
+  // 01:30 EDT is 05:30Z, 01:30 EST is 06:30Z
+  assert.strictEqual(next('30 1 * * *', '2026-11-01T04:00:00Z', zone), '2026-11-01T05:30:00.000Z');
+  assert.strictEqual(next('30 1 * * *', '2026-11-01T05:30:00Z', zone), '2026-11-02T06:30:00.000Z');
+  assert.strictEqual(next('*/30 * * * *', '2026-11-01T05:30:00Z', zone), '2026-11-01T06:00:00.000Z');
+  assert.strictEqual(next('*/30 * * * *', '2026-11-01T06:00:00Z', zone), '2026-11-01T06:30:00.000Z');
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createDeliveryStore } = require('../lib/deliveries');
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'autodock-deliveries-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const readLines = async file => (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 3600 * 1000).toISOString();
+
+function delivery(deliveryId, overrides = {}) {
+  return { receivedAt: new Date().toISOString(), source: 'github', deliveryId, event: 'push', status: 'deployed', ...overrides };
+}
+
+test('loading keeps the latest deliveries in full and recent older ids', async t => {
+  const dir = await tempDir(t);
+  const file = path.join(dir, 'webhook-deliveries.jsonl');
+  const fillers = Array.from({ length: 1002 }, (_, index) => delivery(`d-${index}`));
+  await fs.writeFile(file, [
+    delivery('expired', { receivedAt: daysAgo(10) }),
+    delivery('replayable', { receivedAt: daysAgo(2) }),
+    delivery('forged', { receivedAt: daysAgo(2), status: 'rejected' }),
+    ...fillers
+  ].map(entry => JSON.stringify(entry) + '\n').join('') + '{"torn');
+
+  const deliveries = createDeliveryStore({ dataDir: dir });
+  assert.strictEqual(await deliveries.load(), 1000);
+  assert.strictEqual(deliveries.has('github', 'expired'), false);
+  assert.strictEqual(deliveries.has('github', 'replayable'), true);
+  assert.strictEqual(deliveries.has('github', 'forged'), false);
+  assert.strictEqual(deliveries.has('github', 'd-0'), true);
+  assert.strictEqual(deliveries.list({ limit: 1000 }).length, 1000);
+  assert.strictEqual(deliveries.list({ limit: 1000 }).at(-1).deliveryId, 'd-2');
+
+  // Ids only for what fell out of the latest 1000
+  const lines = await readLines(file);
+  assert.deepStrictEqual(lines.slice(0, 3).map(line => [line.deliveryId, 'status' in line]), [['replayable', false], ['d-0', false], ['d-1', false]]);
+  assert.strictEqual(lines.length, 1003);
+
+  const reloaded = createDeliveryStore({ dataDir: dir });
+  assert.strictEqual(await reloaded.load(), 1000);
+  assert.strictEqual(reloaded.has('github', 'replayable'), true);
+  assert.strictEqual(reloaded.has('github', 'd-1'), true);
+  assert.deepStrictEqual(await readLines(file), lines);
+});
+
+test('the file is compacted while running once appends outgrow it', async t => {
+  const dir = await tempDir(t);
+  const deliveries = createDeliveryStore({ dataDir: dir, minCompactBytes: 4096 });
+  await deliveries.load();
+
+  for (let index = 0; index < 3000; index++) {
+    deliveries.record(delivery(`d-${index}`, { receivedAt: daysAgo(8) }));
+  }
+  await deliveries.flush();
+
+  // Without compaction all 3000 would still be there
+  const lines = await readLines(deliveries.file);
+  assert.ok(lines.length < 2000, `${lines.length} lines`);
+  assert.ok(lines.every(line => line.status === 'deployed'));
+  assert.strictEqual(deliveries.has('github', 'd-2999'), true);
+});
@@ -0,0 +1,145 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { DockerError, socketPathFromEnv, createDockerClient } = require('../lib/docker');
+const { createMockDockerServer } = require('../lib/docker-mock');
+
+// Client talking to a fresh mock daemon on a socket in a temporary directory
+async function mockDaemon(t, options) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'autodock-docker-'));
+  const mock = createMockDockerServer(options);
+  const socketPath = await mock.listen(path.join(dir, 'docker.sock'));
+  t.after(async () => {
+    await mock.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+  return { mock, docker: createDockerClient({ socketPath }) };
+}
+
+const waitFor = async (check, timeout = 2000) => {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error('timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test('DOCKER_HOST picks the socket, the default is /var/run/docker.sock', () => {
+  assert.strictEqual(socketPathFromEnv({ DOCKER_HOST: 'unix:///tmp/docker.sock' }), '/tmp/docker.sock');
+  assert.strictEqual(socketPathFromEnv({ DOCKER_HOST: 'tcp://10.0.0.2:2375' }), '/var/run/docker.sock');
+  assert.strictEqual(socketPathFromEnv({}), '/var/run/docker.sock');
+});
+
+test('ping, version and the container list in AutoDock fields', async t => {
+  const { docker } = await mockDaemon(t);
+
+  assert.strictEqual(await docker.ping(), true);
+  assert.strictEqual((await docker.version()).Version, '24.0.0-mock');
+
+  const [container] = await docker.listContainers();
+  assert.strictEqual(container.name, 'autodock');
+  assert.strictEqual(container.image, 'vaibhavbhosale1/autodock:latest');
+  assert.strictEqual(container.state, 'running');
+  assert.strictEqual(container.health, 'healthy');
+  assert.deepStrictEqual(container.ports, [{ ip: '0.0.0.0', privatePort: 5000, publicPort: 5000, type: 'tcp' }]);
+  assert.deepStrictEqual(container.labels, { 'com.docker.compose.service': 'app' });
+
+  assert.strictEqual((await docker.listContainers({ labels: { 'com.docker.compose.service': 'app' } })).length, 1);
+  assert.strictEqual((await docker.listContainers({ labels: { 'com.docker.compose.service': 'db' } })).length, 0);
+});
+
+test('inspecting maps the inspect shape and a missing container is a 404', async t => {
+  const { docker } = await mockDaemon(t);
+
+  const container = await docker.inspectContainer('autodock');
+  assert.strictEqual(container.name, 'autodock');
+  assert.strictEqual(container.image, 'vaibhavbhosale1/autodock:latest');
+  assert.match(container.imageDigest, /^sha256:/);
+  assert.strictEqual(container.health, 'healthy');
+  assert.strictEqual(container.tty, false);
+  assert.deepStrictEqual(container.ports, [{ ip: '0.0.0.0', privatePort: 5000, publicPort: 5000, type: 'tcp' }]);
+  assert.ok(container.startedAt);
+
+  await assert.rejects(docker.inspectContainer('nope'), error => {
+    assert.ok(error instanceof DockerError);
+    assert.strictEqual(error.statusCode, 404);
+    assert.strictEqual(error.message, 'No such container: nope');
+    return true;
+  });
+});
+
+test('lifecycle calls change the container and show up as events', async t => {
+  const { docker, mock } = await mockDaemon(t);
+  const events = [];
+  const stream = await docker.events(event => events.push(event));
+  t.after(() => stream.close());
+
+  await docker.stopContainer('autodock', { timeout: 1 });
+  assert.strictEqual((await docker.inspectContainer('autodock')).state, 'exited');
+  assert.strictEqual((await docker.listContainers({ all: false })).length, 0);
+
+  await docker.startContainer('autodock');
+  await assert.rejects(docker.removeContainer('autodock'), error => error.statusCode === 409);
+  await docker.removeContainer('autodock', { force: true });
+  assert.strictEqual(mock.containers.length, 0);
+
+  await waitFor(() => events.length === 3);
+  assert.deepStrictEqual(events.map(event => [event.type, event.action, event.name]), [
+    ['container', 'stop', 'autodock'],
+    ['container', 'start', 'autodock'],
+    ['container', 'destroy', 'autodock']
+  ]);
+  assert.strictEqual(events[0].id, '8f3b2c1d0e9f8a7b6c5d4e3f2a1b0c9d8e7f6a5b4c3d2e1f0a9b8c7d6e5f4a3b');
+});
+
+test('logs are split out of the multiplexed stream with their timestamps', async t => {
+  const { docker } = await mockDaemon(t, { logInterval: 10 });
+
+  const lines = [];
+  const { done } = await docker.containerLogs('autodock', { tail: 5 }, line => lines.push(line));
+  await done;
+  assert.deepStrictEqual(lines.map(line => [line.stream, line.message]), [
+    ['stdout', 'autodock log line 1'],
+    ['stdout', 'autodock log line 2'],
+    ['stdout', 'autodock log line 3'],
+    ['stdout', 'autodock log line 4'],
+    ['stderr', 'autodock log line 5']
+  ]);
+  assert.ok(lines.every(line => !isNaN(Date.parse(line.timestamp))));
+
+  // Following keeps the stream open until closed
+  const followed = [];
+  const stream = await docker.containerLogs('autodock', { tail: 1, follow: true }, line => followed.push(line.message));
+  await waitFor(() => followed.length >= 3);
+  stream.close();
+  await stream.done;
+  assert.deepStrictEqual(followed.slice(0, 3), ['autodock log line 1', 'autodock log line 2', 'autodock log line 3']);
+});
+
+test('images are listed and inspected by tag', async t => {
+  const { docker } = await mockDaemon(t);
+
+  const [image] = await docker.listImages();
+  assert.deepStrictEqual(image.repoTags, ['vaibhavbhosale1/autodock:latest']);
+  assert.strictEqual(image.size, 187654321);
+  assert.ok(image.createdAt);
+
+  const inspected = await docker.inspectImage('vaibhavbhosale1/autodock');
+  assert.strictEqual(inspected.id, image.id);
+  assert.deepStrictEqual(inspected.labels, image.labels);
+  await assert.rejects(docker.inspectImage('missing/image'), error => error.statusCode === 404);
+});
+
+test('an unreachable daemon is a DockerError naming the socket', async () => {
+  const socketPath = path.join(os.tmpdir(), `autodock-missing-${process.pid}.sock`);
+  const docker = createDockerClient({ socketPath });
+
+  await assert.rejects(docker.ping(), error => {
+    assert.ok(error instanceof DockerError);
+    assert.strictEqual(error.statusCode, null);
+    assert.match(error.message, new RegExp(`^Cannot reach Docker daemon at ${socketPath}`));
+    return true;
+  });
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { verifySignature, parsePayload, parseEvent } = require('../lib/github');
+const { createDeliveryStore } = require('../lib/deliveries');
+
+const sign = (body, secret) => 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const repository = { full_name: 'acme/web' };
+const sender = { login: 'ada' };
+
+test('signatures are checked against the raw body and the secret', () => {
+  const body = Buffer.from(JSON.stringify({ ref: 'refs/heads/main' }));
+  const signature = sign(body, 's3cret');
+
+  assert.strictEqual(verifySignature(body, 's3cret', signature), true);
+  assert.strictEqual(verifySignature(body, 'other', signature), false);
+  assert.strictEqual(verifySignature(Buffer.from(body.toString().replace('main', 'prod')), 's3cret', signature), false);
+  assert.strictEqual(verifySignature(body, 's3cret', signature.toUpperCase()), false);
+  assert.strictEqual(verifySignature(body, 's3cret', 'sha256=abc'), false);
+  assert.strictEqual(verifySignature(body, 's3cret', undefined), false);
+  assert.strictEqual(verifySignature(body, null, signature), false);
+  assert.strictEqual(verifySignature(undefined, 's3cret', signature), false);
+});
+
+test('form-encoded deliveries carry the JSON in a payload field', () => {
+  assert.deepStrictEqual(parsePayload({ payload: '{"ref":"refs/heads/main"}' }), { ref: 'refs/heads/main' });
+  assert.deepStrictEqual(parsePayload({ ref: 'refs/heads/main' }), { ref: 'refs/heads/main' });
+  assert.deepStrictEqual(parsePayload(undefined), {});
+  assert.throws(() => parsePayload({ payload: '{' }), SyntaxError);
+});
+
+test('branch pushes deploy; tags and deleted branches do not', () => {
+  assert.deepStrictEqual(parseEvent('push', { ref: 'refs/heads/release/1.2', after: 'abc123', repository, sender }), {
+    event: 'push',
+    repository: 'acme/web',
+    sender: 'ada',
+    branch: 'release/1.2',
+    commit: 'abc123',
+    deployable: true,
+    reason: null
+  });
+
+  const tag = parseEvent('push', { ref: 'refs/tags/v1.2.0', after: 'abc123', repository });
+  assert.strictEqual(tag.deployable, false);
+  assert.strictEqual(tag.branch, null);
+  assert.strictEqual(tag.reason, 'not a branch push');
+
+  const deleted = parseEvent('push', { ref: 'refs/heads/feature', deleted: true, after: '0000000', repository });
+  assert.strictEqual(deleted.deployable, false);
+  assert.strictEqual(deleted.reason, 'branch deleted');
+});
+
+test('pull requests never deploy, merged ones are left to the push of the merge commit', () => {
+  const pullRequest = (action, merged = false) => parseEvent('pull_request', {
+    action,
+    repository,
+    sender,
+    pull_request: { number: 7, merged, head: { ref: 'feature', sha: 'head1' }, base: { ref: 'main' }, merge_commit_sha: 'merge1' }
+  });
+
+  const opened = pullRequest('opened');
+  assert.strictEqual(opened.deployable, false);
+  assert.strictEqual(opened.number, 7);
+  assert.strictEqual(opened.headBranch, 'feature');
+  assert.strictEqual(opened.branch, 'main');
+  assert.strictEqual(opened.commit, 'head1');
+  assert.strictEqual(opened.reason, 'pull request opened (only pushes deploy)');
+
+  const merged = pullRequest('closed', true);
+  assert.strictEqual(merged.deployable, false);
+  assert.strictEqual(merged.commit, 'merge1');
+  assert.strictEqual(merged.reason, 'pull request merged (deployed by the push of the merge commit)');
+
+  const closed = pullRequest('closed');
+  assert.strictEqual(closed.deployable, false);
+  assert.strictEqual(closed.commit, 'head1');
+});
+
+test('other events are not deployable', () => {
+  const parsed = parseEvent('issues', { repository, sender });
+  assert.strictEqual(parsed.deployable, false);
+  assert.strictEqual(parsed.reason, 'unsupported event issues');
+});
+
+test('delivery ids are remembered across restarts, except rejected ones', async t => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'autodock-deliveries-'));
+  t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+  const deliveries = createDeliveryStore({ dataDir });
+  await deliveries.load();
+  deliveries.record({ source: 'github', deliveryId: 'd-1', event: 'push', status: 'deployed' });
+  // A forged request must not use up the id of a later genuine delivery
+  deliveries.record({ source: 'github', deliveryId: 'd-2', event: 'push', status: 'rejected', reason: 'signature mismatch' });
+  await deliveries.flush();
+
+  assert.strictEqual(deliveries.has('github', 'd-1'), true);
+  assert.strictEqual(deliveries.has('github', 'd-2'), false);
+  assert.strictEqual(deliveries.has('registry', 'd-1'), false);
+
+  const restarted = createDeliveryStore({ dataDir });
+  assert.strictEqual(await restarted.load(), 2);
+  assert.strictEqual(restarted.has('github', 'd-1'), true);
+  assert.strictEqual(restarted.has('github', 'd-2'), false);
+  assert.deepStrictEqual(restarted.list({ status: 'rejected' }).map(delivery => delivery.deliveryId), ['d-2']);
+});
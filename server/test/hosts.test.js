@@ -0,0 +1,211 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createHostInventory } = require('../lib/hosts');
+const { createDeployment, runPipeline } = require('../lib/pipeline');
+
+const hostsFile = `hosts:
+  web-1:
+    host: 10.0.0.1
+    user: deploy
+    keyFile: keys/deploy.pem
+    labels: { role: web }
+  web-2:
+    host: 10.0.0.2
+    port: 2222
+    user: deploy
+    dockerSocket: /run/user/1000/docker.sock
+    labels: { role: web }
+  web-3:
+    host: 10.0.0.3
+    user: deploy
+    labels: { role: web }
+  db-1:
+    host: 10.0.0.9
+    labels: { role: db }
+  local-test:
+    transport: local
+    dockerSocket: /tmp/docker.sock
+`;
+
+// Stand-in for ssh: takes apart the commands the inventory wraps and
+// answers for the remote side. Every call is recorded with the host it
+// went to, the remote command and what was written to stdin. Rules are
+// [host, pattern, result | fn(remote)]; anything else exits 0.
+function fakeSsh(rules = []) {
+  const calls = [];
+  const executor = async (command, options = {}) => {
+    const match = /^ssh (?:.* )?(\S+) '((?:[^']|'\\'')*)'$/.exec(command);
+    if (!match) throw new Error(`not an ssh command: ${command}`);
+    const host = match[1].replace(/^.*@/, '');
+    const remote = match[2].replace(/'\\''/g, '\'');
+    calls.push({ host, remote, command, input: options.input, env: options.env });
+
+    const rule = rules.find(([ruleHost, pattern]) => ruleHost === host && pattern.test(remote));
+    const result = rule ? (typeof rule[2] === 'function' ? rule[2](remote) : rule[2]) : {};
+    return { exitCode: 0, stdout: '', stderr: '', ...result };
+  };
+  executor.calls = calls;
+  return executor;
+}
+
+async function inventory(t, executor = fakeSsh()) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'autodock-hosts-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'autodock.hosts.yml');
+  await fs.writeFile(file, hostsFile);
+  const hosts = createHostInventory({ file, executor });
+  await hosts.load();
+  return hosts;
+}
+
+const project = (overrides = {}) => ({
+  id: 'web',
+  image: 'example/web',
+  containerName: 'web',
+  ports: ['8080:80'],
+  env: { MODE: 'production' },
+  runtimeEnv: { DB_PASSWORD: 'hunter2 s3cret', API_KEY: 'k3y-123' },
+  healthCheck: { url: 'http://localhost:8080/health', retries: 1, interval: 1 },
+  targets: { labels: { role: 'web' } },
+  ...overrides
+});
+
+const noDelay = () => Promise.resolve();
+
+async function rollout(t, { executor, project: definition = project(), previous = null }) {
+  const hosts = await inventory(t, executor);
+  const ids = hosts.select(definition.targets);
+  const deployment = createDeployment({ id: 'deploy_2', projectId: 'web', branch: 'main', pipeline: 'pull', imageTag: 'v2', hosts: ids });
+  await runPipeline(deployment, definition, { executor, delay: noDelay, previous, targets: hosts.targets(ids) });
+  return deployment;
+}
+
+const hostStatuses = deployment => Object.fromEntries(deployment.hosts.map(status => [status.id, status.status]));
+
+test('targets pick hosts by labels and ids and wrap commands in ssh', async t => {
+  const hosts = await inventory(t);
+
+  assert.deepStrictEqual(hosts.select({ labels: { role: 'web' } }), ['web-1', 'web-2', 'web-3']);
+  assert.deepStrictEqual(hosts.select({ hosts: ['web-3', 'db-1', 'gone'], labels: { role: 'web' } }), ['web-3']);
+  assert.deepStrictEqual(hosts.select(null), []);
+
+  const [web1, web2, local] = hosts.targets(['web-1', 'web-2', 'local-test']);
+  const keyFile = path.join(path.dirname(hosts.file), 'keys/deploy.pem');
+  assert.strictEqual(web1.wrap('docker ps'),
+    `ssh -p 22 -o BatchMode=yes -o ConnectTimeout=10 -o StrictHostKeyChecking=accept-new -i ${keyFile} -o IdentitiesOnly=yes deploy@10.0.0.1 'docker ps'`);
+  assert.match(web2.wrap('docker ps'), /^ssh -p 2222 .* deploy@10\.0\.0\.2 'export DOCKER_HOST=unix:\/\/\/run\/user\/1000\/docker\.sock; docker ps'$/);
+  assert.strictEqual(local.wrap('docker ps'), 'export DOCKER_HOST=unix:///tmp/docker.sock; docker ps');
+
+  assert.throws(() => hosts.targets(['web-9']), error => error.status === 409 && /Host web-9 is not in/.test(error.message));
+});
+
+test('checking a host asks its Docker daemon for the version over ssh', async t => {
+  const executor = fakeSsh([
+    ['10.0.0.1', /^docker version/, { stdout: '24.0.7\n' }],
+    ['10.0.0.3', /^docker version/, { exitCode: 255, stderr: 'ssh: connect to host 10.0.0.3 port 22: Connection refused\n' }]
+  ]);
+  const hosts = await inventory(t, executor);
+
+  const ok = await hosts.check('web-1');
+  assert.strictEqual(ok.ok, true);
+  assert.strictEqual(ok.dockerVersion, '24.0.7');
+  assert.strictEqual(executor.calls[0].remote, "docker version --format '{{.Server.Version}}'");
+
+  const down = await hosts.check('web-3');
+  assert.strictEqual(down.ok, false);
+  assert.strictEqual(down.error, 'ssh: connect to host 10.0.0.3 port 22: Connection refused');
+  assert.strictEqual(hosts.list().find(host => host.id === 'web-3').lastCheck, down);
+  assert.strictEqual(await hosts.check('web-9'), null);
+});
+
+test('secrets reach remote containers on stdin and never on the command line', async t => {
+  const executor = fakeSsh([
+    ['10.0.0.1', /^docker image inspect/, { stdout: 'sha256:v2\n' }],
+    ['10.0.0.2', /^docker image inspect/, { stdout: 'sha256:v2\n' }],
+    ['10.0.0.3', /^docker image inspect/, { stdout: 'sha256:v2\n' }]
+  ]);
+  const deployment = await rollout(t, { executor });
+
+  assert.strictEqual(deployment.status, 'success', deployment.error);
+  assert.deepStrictEqual(hostStatuses(deployment), { 'web-1': 'success', 'web-2': 'success', 'web-3': 'success' });
+  assert.strictEqual(deployment.imageDigest, 'sha256:v2');
+
+  const runs = executor.calls.filter(call => call.remote.includes('docker run'));
+  assert.deepStrictEqual(runs.map(call => call.host), ['10.0.0.1', '10.0.0.2', '10.0.0.3']);
+  for (const call of runs) {
+    assert.match(call.remote, /docker run -d --name web --restart unless-stopped -p 8080:80 -e MODE=production --env-file \/dev\/stdin example\/web:v2$/);
+    assert.strictEqual(call.input, 'DB_PASSWORD=hunter2 s3cret\nAPI_KEY=k3y-123\n');
+  }
+
+  // Not in any argv, environment handed to ssh or log line
+  const secrets = Object.values(project().runtimeEnv);
+  for (const call of executor.calls) {
+    assert.ok(!secrets.some(secret => call.command.includes(secret)), call.command);
+    assert.ok(!secrets.some(secret => JSON.stringify(call.env || {}).includes(secret)));
+  }
+  assert.ok(!deployment.logs.some(line => secrets.some(secret => line.message.includes(secret))));
+  assert.ok(executor.calls.filter(call => !call.remote.includes('docker run')).every(call => call.input === undefined));
+});
+
+test('secrets with line breaks are refused rather than sent', async t => {
+  const executor = fakeSsh();
+  const deployment = await rollout(t, { executor, project: project({ runtimeEnv: { CERT: 'line1\nline2' } }) });
+
+  assert.strictEqual(deployment.status, 'failed');
+  assert.match(deployment.error, /^web-1: CERT contains a line break and cannot be sent to a remote host$/);
+  assert.ok(!executor.calls.some(call => call.remote.includes('docker run')));
+});
+
+test('a failing host stops the rollout and the updated hosts are rolled back', async t => {
+  const executor = fakeSsh([
+    ['10.0.0.2', /^export DOCKER_HOST=\S+; docker pull/, { exitCode: 1, stderr: 'manifest unknown\n' }]
+  ]);
+  const deployment = await rollout(t, { executor, previous: { deploymentId: 'deploy_1', image: 'sha256:old' } });
+
+  assert.strictEqual(deployment.status, 'rolled_back');
+  assert.strictEqual(deployment.rolledBackTo, 'deploy_1');
+  assert.match(deployment.error, /^web-2: Command failed with exit code 1: docker pull example\/web:v2$/);
+  // web-2 never replaced its container, so only web-1 goes back
+  assert.deepStrictEqual(hostStatuses(deployment), { 'web-1': 'rolled_back', 'web-2': 'failed', 'web-3': 'skipped' });
+  assert.strictEqual(deployment.hosts.find(status => status.id === 'web-2').step, 'pull');
+  assert.ok(!executor.calls.some(call => call.host === '10.0.0.3'));
+
+  const rollback = executor.calls.filter(call => call.remote.endsWith('sha256:old'));
+  assert.deepStrictEqual(rollback.map(call => call.host), ['10.0.0.1']);
+  assert.strictEqual(rollback[0].input, 'DB_PASSWORD=hunter2 s3cret\nAPI_KEY=k3y-123\n');
+  assert.strictEqual(executor.calls[executor.calls.length - 1].remote, 'curl -fsS --max-time 5 http://localhost:8080/health');
+});
+
+test('hosts in a failing batch are rolled back once their container was replaced', async t => {
+  let replaced = false;
+  const executor = fakeSsh([
+    // The new release never gets healthy on web-2; the old one does
+    ['10.0.0.2', /curl/, () => ({ exitCode: replaced ? 0 : 7 })],
+    ['10.0.0.2', /sha256:old$/, () => {
+      replaced = true;
+      return {};
+    }]
+  ]);
+  const deployment = await rollout(t, {
+    executor,
+    project: project({ targets: { labels: { role: 'web' }, batchSize: 2 } }),
+    previous: { deploymentId: 'deploy_1', image: 'sha256:old' }
+  });
+
+  assert.strictEqual(deployment.status, 'rolled_back');
+  assert.match(deployment.error, /^web-2: Health check failed/);
+  assert.deepStrictEqual(hostStatuses(deployment), { 'web-1': 'rolled_back', 'web-2': 'rolled_back', 'web-3': 'skipped' });
+  assert.deepStrictEqual(executor.calls.filter(call => call.remote.endsWith('sha256:old')).map(call => call.host), ['10.0.0.1', '10.0.0.2']);
+});
+
+test('without a previous release the updated hosts are left as they are', async t => {
+  const executor = fakeSsh([['10.0.0.2', /curl/, { exitCode: 7 }]]);
+  const deployment = await rollout(t, { executor });
+
+  assert.strictEqual(deployment.status, 'failed');
+  assert.deepStrictEqual(hostStatuses(deployment), { 'web-1': 'success', 'web-2': 'failed', 'web-3': 'skipped' });
+  assert.ok(!deployment.stages.some(stage => stage.name === 'rollback'));
+});
@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { parseUpstream, rewriteUpstream, switchUpstream } = require('../lib/nginx');
+
+const conf = `http {
+    upstream app {
+        least_conn;
+        server web-blue:5000 max_fails=3;
+        keepalive 16;
+    }
+
+    upstream api.v2 {
+        server api:8080;
+    }
+
+    server {
+        location / {
+            proxy_pass http://app;
+        }
+    }
+}
+`;
+
+async function confFile(t, content = conf) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'autodock-nginx-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'nginx.conf');
+  await fs.writeFile(file, content);
+  return file;
+}
+
+// Stand-in for `docker exec autodock-nginx ...`: records the commands and
+// answers with the exit code given for each
+function fakeRun(exitCodes = {}) {
+  const commands = [];
+  const run = async command => {
+    commands.push(command);
+    return { exitCode: exitCodes[command] || 0 };
+  };
+  run.commands = commands;
+  return run;
+}
+
+test('parseUpstream lists the server addresses of a block', () => {
+  assert.deepStrictEqual(parseUpstream(conf, 'app'), ['web-blue:5000']);
+  assert.deepStrictEqual(parseUpstream(conf, 'api.v2'), ['api:8080']);
+  assert.strictEqual(parseUpstream(conf, 'api'), null);
+  assert.strictEqual(parseUpstream(conf, 'missing'), null);
+});
+
+test('rewriteUpstream swaps the servers and keeps the other directives', () => {
+  const updated = rewriteUpstream(conf, 'app', ['web-green:5000', 'web-green-2:5000']);
+
+  assert.ok(updated.includes(`    upstream app {
+        server web-green:5000;
+        server web-green-2:5000;
+        least_conn;
+        keepalive 16;
+    }
+`));
+  assert.deepStrictEqual(parseUpstream(updated, 'app'), ['web-green:5000', 'web-green-2:5000']);
+  // Nothing outside the block changes
+  assert.strictEqual(updated.replace(/upstream app \{[^}]*\}/, ''), conf.replace(/upstream app \{[^}]*\}/, ''));
+  assert.throws(() => rewriteUpstream(conf, 'missing', ['x:1']), /upstream missing not found in nginx config/);
+});
+
+test('switchUpstream rewrites the file in place, tests and reloads', async t => {
+  const file = await confFile(t);
+  const inode = (await fs.stat(file)).ino;
+  const run = fakeRun();
+
+  const result = await switchUpstream({
+    file,
+    upstream: 'app',
+    servers: ['web-green:5000'],
+    run,
+    testCommand: 'nginx -t',
+    reloadCommand: 'nginx -s reload'
+  });
+
+  assert.deepStrictEqual(result, { previous: ['web-blue:5000'], current: ['web-green:5000'] });
+  assert.deepStrictEqual(run.commands, ['nginx -t', 'nginx -s reload']);
+  assert.deepStrictEqual(parseUpstream(await fs.readFile(file, 'utf8'), 'app'), ['web-green:5000']);
+  // Same inode, so a single-file bind mount keeps seeing it
+  assert.strictEqual((await fs.stat(file)).ino, inode);
+});
+
+test('a failing config test restores the previous file and reloads it', async t => {
+  const file = await confFile(t);
+  const run = fakeRun({ 'nginx -t': 1 });
+
+  await assert.rejects(
+    switchUpstream({ file, upstream: 'app', servers: ['web-green:5000'], run, testCommand: 'nginx -t', reloadCommand: 'nginx -s reload' }),
+    /nginx config test failed with exit code 1/
+  );
+  assert.strictEqual(await fs.readFile(file, 'utf8'), conf);
+  assert.deepStrictEqual(run.commands, ['nginx -t', 'nginx -s reload']);
+});
+
+test('a failing reload restores the previous file', async t => {
+  const file = await confFile(t);
+  let reloads = 0;
+  const run = async command => ({ exitCode: command === 'nginx -s reload' && ++reloads === 1 ? 1 : 0 });
+
+  await assert.rejects(
+    switchUpstream({ file, upstream: 'app', servers: ['web-green:5000'], run, reloadCommand: 'nginx -s reload' }),
+    /nginx reload failed with exit code 1/
+  );
+  assert.strictEqual(await fs.readFile(file, 'utf8'), conf);
+  assert.strictEqual(reloads, 2);
+});
+
+test('a missing upstream leaves the file untouched', async t => {
+  const file = await confFile(t);
+  const run = fakeRun();
+
+  await assert.rejects(switchUpstream({ file, upstream: 'missing', servers: ['x:1'], run }), /upstream missing not found/);
+  assert.strictEqual(await fs.readFile(file, 'utf8'), conf);
+  assert.deepStrictEqual(run.commands, []);
+});
@@ -0,0 +1,194 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createNotifier } = require('../lib/notifications');
+const { sendMail } = require('../lib/smtp');
+const { createMockWebhookServer, createMockSmtpServer } = require('../lib/notify-mock');
+
+const tmp = fs.mkdtemp(path.join(os.tmpdir(), 'autodock-notify-'));
+after(async () => fs.rm(await tmp, { recursive: true, force: true }));
+
+// Notifier over a channels file written to a temporary directory
+let files = 0;
+async function notifierFor(channels, options = {}) {
+  const file = path.join(await tmp, `notifications-${++files}.yml`);
+  await fs.writeFile(file, JSON.stringify({ channels }));
+  const notifier = createNotifier({ file, getProject: () => null, backoff: 10, ...options });
+  await notifier.load();
+  return notifier;
+}
+
+test('slack and discord channels post their message formats', async t => {
+  const receiver = createMockWebhookServer();
+  const port = await receiver.listen();
+  t.after(() => receiver.close());
+
+  const notifier = await notifierFor({
+    team: { type: 'slack', url: `http://127.0.0.1:${port}/slack` },
+    chat: { type: 'discord', url: `http://127.0.0.1:${port}/discord` }
+  });
+
+  assert.strictEqual((await notifier.test('team')).status, 'sent');
+  assert.strictEqual((await notifier.test('chat')).status, 'sent');
+
+  const [slack, discord] = receiver.requests;
+  assert.strictEqual(slack.path, '/slack');
+  assert.deepStrictEqual(Object.keys(slack.body), ['text']);
+  assert.match(slack.body.text, /AutoDock test \(production\): deployed example\/app@sha256:0000000 from main in 42s/);
+  assert.strictEqual(discord.path, '/discord');
+  assert.deepStrictEqual(Object.keys(discord.body), ['content']);
+  assert.strictEqual(discord.body.content, slack.body.text);
+});
+
+test('webhook channels sign the body with the channel secret', async t => {
+  const receiver = createMockWebhookServer({ secret: 's3cret' });
+  const port = await receiver.listen();
+  t.after(() => receiver.close());
+
+  const notifier = await notifierFor({
+    hook: { type: 'webhook', url: `http://127.0.0.1:${port}/hook`, secret: 's3cret' },
+    forged: { type: 'webhook', url: `http://127.0.0.1:${port}/hook`, secret: 'wrong' }
+  });
+
+  const delivery = await notifier.test('hook');
+  assert.strictEqual(delivery.status, 'sent');
+  const [request] = receiver.requests;
+  assert.strictEqual(request.signatureValid, true);
+  assert.match(request.headers['x-autodock-signature-256'], /^sha256=[0-9a-f]{64}$/);
+  assert.strictEqual(request.headers['x-autodock-event'], 'succeeded');
+  assert.strictEqual(request.headers['x-autodock-delivery'], delivery.id);
+  assert.strictEqual(request.body.event, 'succeeded');
+  assert.strictEqual(request.body.deployment.id, 'deploy_test');
+
+  // The receiver answers a bad signature with 401, which is not retried
+  const rejected = await notifier.test('forged');
+  assert.strictEqual(rejected.status, 'failed');
+  assert.strictEqual(rejected.attempts, 1);
+  assert.strictEqual(rejected.error, 'HTTP 401');
+  assert.strictEqual(receiver.requests[1].signatureValid, false);
+});
+
+test('5xx responses are retried with exponential backoff', async t => {
+  const receiver = createMockWebhookServer({ failFirst: 2 });
+  const port = await receiver.listen();
+  t.after(() => receiver.close());
+
+  const notifier = await notifierFor({ team: { type: 'slack', url: `http://127.0.0.1:${port}/slack` } }, { retries: 3, backoff: 50 });
+
+  const started = Date.now();
+  const delivery = await notifier.test('team');
+  assert.strictEqual(delivery.status, 'sent');
+  assert.strictEqual(delivery.attempts, 3);
+  assert.strictEqual(receiver.requests.length, 3);
+  // 50 ms before the second attempt, 100 ms before the third
+  assert.ok(Date.now() - started >= 150, `retried after ${Date.now() - started} ms`);
+});
+
+test('gives up once the retries are used up', async t => {
+  const receiver = createMockWebhookServer({ failFirst: 10 });
+  const port = await receiver.listen();
+  t.after(() => receiver.close());
+
+  const notifier = await notifierFor({ team: { type: 'slack', url: `http://127.0.0.1:${port}/slack` } }, { retries: 2 });
+
+  const delivery = await notifier.test('team');
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.attempts, 3);
+  assert.strictEqual(delivery.error, 'HTTP 503');
+  assert.deepStrictEqual(notifier.deliveries().map(entry => entry.id), [delivery.id]);
+});
+
+test('deployments notify the channels their project picks, once per status', async t => {
+  const receiver = createMockWebhookServer();
+  const port = await receiver.listen();
+  t.after(() => receiver.close());
+
+  const project = { id: 'web', name: 'Web', notifications: [{ channel: 'team', events: ['failed'] }] };
+  const notifier = await notifierFor({ team: { type: 'slack', url: `http://127.0.0.1:${port}/slack` } }, { getProject: () => project });
+
+  const deployment = { id: 'deploy_1', projectId: 'web', status: 'running', branch: 'main', trigger: { source: 'manual', actor: 'ada' } };
+  assert.deepStrictEqual(notifier.handle(deployment), []);
+
+  const failed = { ...deployment, status: 'failed', error: 'build broke' };
+  await Promise.all(notifier.handle(failed));
+  assert.deepStrictEqual(notifier.handle(failed), []);
+
+  assert.strictEqual(receiver.requests.length, 1);
+  assert.match(receiver.requests[0].body.text, /Web \(production\): deployment deploy_1 failed after : build broke/);
+});
+
+test('sendMail speaks SMTP: AUTH PLAIN, envelope, headers and dot-stuffing', async t => {
+  const smtp = createMockSmtpServer();
+  const port = await smtp.listen();
+  t.after(() => smtp.close());
+
+  const result = await sendMail({
+    host: '127.0.0.1',
+    port,
+    username: 'mailer',
+    password: 'pw',
+    from: 'autodock@example.com',
+    to: ['ops@example.com', 'dev@example.com'],
+    subject: 'Déploiement réussi',
+    text: 'line one\n.hidden dot\nlast'
+  });
+
+  assert.deepStrictEqual(result.accepted, ['ops@example.com', 'dev@example.com']);
+  assert.strictEqual(result.response, 'OK: queued');
+
+  const [message] = smtp.messages;
+  assert.strictEqual(message.auth, 'mailer');
+  assert.strictEqual(message.from, 'autodock@example.com');
+  assert.deepStrictEqual(message.to, ['ops@example.com', 'dev@example.com']);
+  assert.match(message.data, /^From: autodock@example\.com\r\n/);
+  assert.match(message.data, /\r\nTo: ops@example\.com, dev@example\.com\r\n/);
+  assert.match(message.data, new RegExp(`\\r\\nSubject: =\\?UTF-8\\?B\\?${Buffer.from('Déploiement réussi').toString('base64')}\\?=\\r\\n`));
+  // The server undoes the stuffing, so the body arrives as sent
+  assert.match(message.data, /\r\n\r\nline one\r\n\.hidden dot\r\nlast$/);
+});
+
+test('email channels deliver through SMTP', async t => {
+  const smtp = createMockSmtpServer();
+  const port = await smtp.listen();
+  t.after(() => smtp.close());
+
+  const notifier = await notifierFor({
+    mail: { type: 'email', from: 'autodock@example.com', to: 'ops@example.com', smtp: { host: '127.0.0.1', port } }
+  });
+
+  const delivery = await notifier.test('mail');
+  assert.strictEqual(delivery.status, 'sent');
+  const [message] = smtp.messages;
+  assert.strictEqual(message.auth, null);
+  assert.deepStrictEqual(message.to, ['ops@example.com']);
+  assert.match(message.data, /\r\nSubject: \[AutoDock\] AutoDock test \(production\) succeeded\r\n/);
+});
+
+test('SMTP replies are checked at every step', async t => {
+  const smtp = createMockSmtpServer({ refuseRecipient: address => address === 'nobody@example.com' });
+  const port = await smtp.listen();
+  t.after(() => smtp.close());
+
+  await assert.rejects(
+    sendMail({ host: '127.0.0.1', port, from: 'autodock@example.com', to: ['ops@example.com', 'nobody@example.com'], subject: 'x', text: 'x' }),
+    /SMTP RCPT TO failed: 550 No such user/
+  );
+  assert.strictEqual(smtp.messages.length, 0);
+});
+
+test('refused recipients fail email deliveries without retrying', async t => {
+  const smtp = createMockSmtpServer({ refuseRecipient: () => true });
+  const port = await smtp.listen();
+  t.after(() => smtp.close());
+
+  const notifier = await notifierFor({
+    mail: { type: 'email', from: 'autodock@example.com', to: 'nobody@example.com', smtp: { host: '127.0.0.1', port } }
+  });
+
+  const delivery = await notifier.test('mail');
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.attempts, 1);
+  assert.match(delivery.error, /550 No such user/);
+});
@@ -0,0 +1,250 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createExecutor, createDeployment, runPipeline } = require('../lib/pipeline');
+
+// Stand-in for the Docker CLI, git and curl: records every command and
+// answers with the first rule whose pattern matches (exit 0 otherwise).
+// A rule's result may be a function of (command, options).
+function fakeExecutor(rules = []) {
+  const commands = [];
+  const executor = async (command, options) => {
+    commands.push(command);
+    const rule = rules.find(([pattern]) => pattern.test(command));
+    const result = rule ? (typeof rule[1] === 'function' ? await rule[1](command, options) : rule[1]) : {};
+    return { exitCode: 0, stdout: '', stderr: '', ...result };
+  };
+  executor.commands = commands;
+  return executor;
+}
+
+const project = (overrides = {}) => ({
+  id: 'web',
+  image: 'example/web',
+  containerName: 'web',
+  sourceDir: os.tmpdir(),
+  ports: ['8080:80'],
+  healthCheck: { url: 'http://localhost:8080/health', retries: 2, interval: 1 },
+  ...overrides
+});
+
+const deploymentFor = (options = {}) => createDeployment({ id: 'deploy_1', projectId: 'web', branch: 'main', ...options });
+const noDelay = () => Promise.resolve();
+const stageStatuses = deployment => Object.fromEntries(deployment.stages.map(stage => [stage.name, stage.status]));
+
+test('a build deployment runs its stages in order', async () => {
+  const executor = fakeExecutor([
+    [/rev-parse HEAD/, { stdout: 'abc123\n' }],
+    [/image inspect/, { stdout: 'sha256:feed\n' }],
+    [/^docker run/, { stdout: 'container1\n' }]
+  ]);
+  const deployment = deploymentFor();
+  const updates = [];
+
+  await runPipeline(deployment, project(), { executor, delay: noDelay, onUpdate: record => updates.push(record.status) });
+
+  assert.strictEqual(deployment.status, 'success');
+  assert.deepStrictEqual(stageStatuses(deployment), {
+    checkout: 'success',
+    build: 'success',
+    tag: 'success',
+    push: 'skipped',
+    deploy: 'success',
+    healthcheck: 'success'
+  });
+  assert.deepStrictEqual(executor.commands, [
+    `git -C ${os.tmpdir()} rev-parse HEAD`,
+    `docker build -t example/web:build-deploy_1 -f ${os.tmpdir()}/Dockerfile ${os.tmpdir()}`,
+    'docker tag example/web:build-deploy_1 example/web:main',
+    'docker tag example/web:build-deploy_1 example/web:latest',
+    "docker image inspect --format '{{.Id}}' example/web:build-deploy_1",
+    'docker stop web',
+    'docker rm web',
+    'docker run -d --name web --restart unless-stopped -p 8080:80 example/web:build-deploy_1',
+    'curl -fsS --max-time 5 http://localhost:8080/health'
+  ]);
+  assert.strictEqual(deployment.commit, 'abc123');
+  assert.strictEqual(deployment.imageDigest, 'sha256:feed');
+  assert.strictEqual(deployment.containerId, 'container1');
+  assert.strictEqual(updates[0], 'running');
+  assert.strictEqual(updates[updates.length - 1], 'success');
+});
+
+test('a failing stage fails the deployment and skips the rest', async () => {
+  const executor = fakeExecutor([[/^docker build/, { exitCode: 1, stderr: 'no such file: Dockerfile\n' }]]);
+  const deployment = deploymentFor();
+
+  await runPipeline(deployment, project(), { executor, delay: noDelay, previous: { deploymentId: 'deploy_0', image: 'sha256:old' } });
+
+  assert.strictEqual(deployment.status, 'failed');
+  assert.match(deployment.error, /^Command failed with exit code 1: docker build/);
+  assert.deepStrictEqual(stageStatuses(deployment), {
+    checkout: 'success',
+    build: 'failed',
+    tag: 'skipped',
+    push: 'skipped',
+    deploy: 'skipped',
+    healthcheck: 'skipped'
+  });
+  assert.strictEqual(deployment.stages.find(stage => stage.name === 'build').exitCode, 1);
+  // The old container was never touched, so there is nothing to roll back
+  assert.ok(!executor.commands.some(command => command.startsWith('docker stop')));
+  assert.ok(deployment.logs.some(line => line.stream === 'stderr' && line.message === 'no such file: Dockerfile'));
+});
+
+test('a checkout without a readable commit fails the deployment', async () => {
+  const executor = fakeExecutor([[/rev-parse HEAD/, { exitCode: 128, stderr: 'fatal: not a git repository (or any of the parent directories): .git\n' }]]);
+  const deployment = deploymentFor();
+
+  await runPipeline(deployment, project(), { executor, delay: noDelay });
+
+  assert.strictEqual(deployment.status, 'failed');
+  assert.strictEqual(deployment.commit, null);
+  assert.strictEqual(deployment.error, `Command failed with exit code 128: git -C ${os.tmpdir()} rev-parse HEAD`);
+  assert.strictEqual(stageStatuses(deployment).checkout, 'failed');
+  assert.strictEqual(deployment.stages.find(stage => stage.name === 'checkout').exitCode, 128);
+  assert.deepStrictEqual(executor.commands, [`git -C ${os.tmpdir()} rev-parse HEAD`]);
+});
+
+test('aborting the signal cancels the running command and the remaining stages', async () => {
+  const controller = new AbortController();
+  const executor = fakeExecutor([[/^docker build/, (command, { signal }) => new Promise(resolve => {
+    signal.addEventListener('abort', () => resolve({ exitCode: 143 }), { once: true });
+    setImmediate(() => controller.abort());
+  })]]);
+  const deployment = deploymentFor();
+
+  await runPipeline(deployment, project(), { executor, delay: noDelay, signal: controller.signal });
+
+  assert.strictEqual(deployment.status, 'cancelled');
+  assert.strictEqual(deployment.error, 'Cancelled');
+  assert.deepStrictEqual(stageStatuses(deployment), {
+    checkout: 'success',
+    build: 'cancelled',
+    tag: 'skipped',
+    push: 'skipped',
+    deploy: 'skipped',
+    healthcheck: 'skipped'
+  });
+  assert.ok(!executor.commands.some(command => command.startsWith('docker tag')));
+});
+
+test('an unhealthy release is rolled back to the previous image', async () => {
+  let healthChecks = 0;
+  const executor = fakeExecutor([
+    // Fails for the new container, passes once the old one is back
+    [/^curl/, () => ({ exitCode: ++healthChecks <= 2 ? 7 : 0 })]
+  ]);
+  const deployment = deploymentFor({ pipeline: 'pull', imageTag: 'v2' });
+
+  await runPipeline(deployment, project(), { executor, delay: noDelay, previous: { deploymentId: 'deploy_0', image: 'sha256:old' } });
+
+  assert.strictEqual(deployment.status, 'rolled_back');
+  assert.strictEqual(deployment.rolledBackTo, 'deploy_0');
+  assert.match(deployment.error, /Health check failed within 2ms \(2 attempts\)/);
+  assert.deepStrictEqual(stageStatuses(deployment), { pull: 'success', deploy: 'success', healthcheck: 'failed', rollback: 'success' });
+  assert.deepStrictEqual(executor.commands.slice(-4), [
+    'docker stop web',
+    'docker rm web',
+    'docker run -d --name web --restart unless-stopped -p 8080:80 sha256:old',
+    'curl -fsS --max-time 5 http://localhost:8080/health'
+  ]);
+});
+
+test('no rollback without autoRollback or a previous release', async () => {
+  const unhealthy = () => fakeExecutor([[/^curl/, { exitCode: 7 }]]);
+
+  const disabled = deploymentFor({ pipeline: 'pull', imageTag: 'v2' });
+  await runPipeline(disabled, project({ autoRollback: false }), { executor: unhealthy(), delay: noDelay, previous: { deploymentId: 'deploy_0', image: 'sha256:old' } });
+  assert.strictEqual(disabled.status, 'failed');
+  assert.ok(!disabled.stages.some(stage => stage.name === 'rollback'));
+
+  const first = deploymentFor({ pipeline: 'pull', imageTag: 'v2' });
+  await runPipeline(first, project(), { executor: unhealthy(), delay: noDelay });
+  assert.strictEqual(first.status, 'failed');
+  assert.ok(!first.stages.some(stage => stage.name === 'rollback'));
+});
+
+test('a failed rollback leaves the deployment failed with both errors', async () => {
+  const executor = fakeExecutor([
+    [/^curl/, { exitCode: 7 }],
+    [/sha256:old$/, { exitCode: 125, stderr: 'No such image\n' }]
+  ]);
+  const deployment = deploymentFor({ pipeline: 'pull', imageTag: 'v2' });
+
+  await runPipeline(deployment, project(), { executor, delay: noDelay, previous: { deploymentId: 'deploy_0', image: 'sha256:old' } });
+
+  assert.strictEqual(deployment.status, 'failed');
+  assert.strictEqual(deployment.rolledBackTo, null);
+  assert.match(deployment.error, /Health check failed .*; rollback failed: Command failed with exit code 125/);
+  assert.strictEqual(deployment.stages.find(stage => stage.name === 'rollback').status, 'failed');
+});
+
+test('blue/green starts the idle color with the project labels and switches nginx to it', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'autodock-bluegreen-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const nginxConfig = path.join(dir, 'nginx.conf');
+  await fs.writeFile(nginxConfig, 'http {\n    upstream app {\n        server web-blue:80;\n    }\n}\n');
+
+  const executor = fakeExecutor([[/^docker run/, { stdout: 'green1\n' }]]);
+  const deployment = deploymentFor({ pipeline: 'pull', imageTag: 'v2', strategy: 'blue-green' });
+  const blueGreen = {
+    nginxConfig,
+    upstream: 'app',
+    network: 'autodock',
+    hostPorts: { blue: 5001, green: 5002 },
+    containerPort: 80,
+    drainSeconds: 0,
+    testCommand: 'docker exec autodock-nginx nginx -t',
+    reloadCommand: 'docker exec autodock-nginx nginx -s reload'
+  };
+
+  await runPipeline(deployment, project({ blueGreen, labels: { 'autodock.preview': 'web/7' } }), { executor, delay: noDelay });
+
+  assert.strictEqual(deployment.status, 'success');
+  assert.strictEqual(deployment.previousColor, 'blue');
+  assert.strictEqual(deployment.color, 'green');
+  assert.strictEqual(deployment.containerId, 'green1');
+  assert.ok(executor.commands.includes(
+    "docker run -d --name web-green --restart unless-stopped --label autodock.preview=web/7 --network autodock -p 5002:80 example/web:v2"
+  ), executor.commands.join('\n'));
+  assert.deepStrictEqual(executor.commands.slice(-5), [
+    'curl -fsS --max-time 5 http://localhost:5002/health',
+    'docker exec autodock-nginx nginx -t',
+    'docker exec autodock-nginx nginx -s reload',
+    'docker stop web-blue',
+    'docker rm web-blue'
+  ]);
+  assert.match(await fs.readFile(nginxConfig, 'utf8'), /upstream app \{\n {8}server web-green:80;\n {4}\}/);
+});
+
+test('on a shared network containers join it and are checked by name', async () => {
+  const executor = fakeExecutor();
+  const deployment = deploymentFor({ pipeline: 'pull', imageTag: 'v2' });
+
+  await runPipeline(deployment, project({ network: 'autodock', healthCheck: { url: 'http://web:80/health', retries: 1, interval: 1 } }), { executor, delay: noDelay });
+
+  assert.strictEqual(deployment.status, 'success');
+  assert.deepStrictEqual(executor.commands.slice(-2), [
+    'docker run -d --name web --restart unless-stopped --network autodock -p 8080:80 example/web:v2',
+    'curl -fsS --max-time 5 http://web:80/health'
+  ]);
+});
+
+test('the default executor reports exit codes and kills the process group on abort', async () => {
+  const executor = createExecutor();
+
+  assert.deepStrictEqual(await executor('echo out; echo err >&2; exit 3'), { exitCode: 3, stdout: 'out\n', stderr: 'err\n' });
+  assert.deepStrictEqual(await executor('cat', { input: 'KEY=value\n' }), { exitCode: 0, stdout: 'KEY=value\n', stderr: '' });
+
+  const controller = new AbortController();
+  const started = Date.now();
+  setTimeout(() => controller.abort(), 50);
+  // The shell's child (sleep) has to go down with it for this to return
+  const result = await executor('sleep 30; echo done', { signal: controller.signal });
+  assert.notStrictEqual(result.exitCode, 0);
+  assert.strictEqual(result.stdout, '');
+  assert.ok(Date.now() - started < 5000, `took ${Date.now() - started} ms`);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { createProjectRegistry } = require('../lib/projects');
+const { previewProject } = require('../lib/previews');
+
+const definition = (overrides = {}) => ({
+  id: 'web',
+  name: 'Web',
+  image: 'example/web',
+  containerName: 'web',
+  ports: ['8080:80'],
+  healthCheck: { path: '/health' },
+  ...overrides
+});
+
+// Registry over its defaults: the file does not exist
+function resolve(project, options = {}) {
+  const registry = createProjectRegistry({ file: path.join(os.tmpdir(), 'autodock-missing-projects.yml'), defaults: [project], ...options });
+  return registry.load().then(() => registry.resolved()[0]);
+}
+
+test('health checks default to the host port on localhost', async () => {
+  const project = await resolve(definition());
+  assert.strictEqual(project.healthCheck.url, 'http://localhost:8080/health');
+  assert.strictEqual(project.network, null);
+
+  const explicitPort = await resolve(definition({ healthCheck: { path: '/health', port: 9000 } }));
+  assert.strictEqual(explicitPort.healthCheck.url, 'http://localhost:9000/health');
+});
+
+test('on a network, local projects are checked by container name and port', async () => {
+  const project = await resolve(definition({ ports: ['127.0.0.1:8080:80/tcp'] }), { network: 'autodock' });
+  assert.strictEqual(project.healthCheck.url, 'http://web:80/health');
+  assert.strictEqual(project.network, 'autodock');
+
+  // Written URLs are kept as they are
+  const explicit = await resolve(definition({ healthCheck: { url: 'http://web.internal/ready' } }), { network: 'autodock' });
+  assert.strictEqual(explicit.healthCheck.url, 'http://web.internal/ready');
+
+  // Remote hosts check their own localhost
+  const remote = await resolve(definition({ targets: { labels: { role: 'web' } } }), { network: 'autodock' });
+  assert.strictEqual(remote.healthCheck.url, 'http://localhost:8080/health');
+  assert.strictEqual(remote.network, null);
+});
+
+test('previews are checked on the same network by their own container', async () => {
+  const project = await resolve(definition({ previews: { containerPort: 80 } }), { network: 'autodock' });
+  const preview = previewProject(project, { number: 7, environment: 'pr-7', containerName: 'web-pr-7', port: 4107 });
+  assert.strictEqual(preview.healthCheck.url, 'http://web-pr-7:80/health');
+
+  const local = previewProject(await resolve(definition({ previews: { containerPort: 80 } })), { number: 7, environment: 'pr-7', containerName: 'web-pr-7', port: 4107 });
+  assert.strictEqual(local.healthCheck.url, 'http://localhost:4107/health');
+});
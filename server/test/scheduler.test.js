@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createScheduler } = require('../lib/scheduler');
+const { zonedParts } = require('../lib/cron');
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'autodock-scheduler-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('jobs need either a valid runAt or a valid cron expression', async t => {
+  const scheduler = createScheduler({ dataDir: await tempDir(t), run: async () => ({}) });
+  await scheduler.load();
+
+  assert.throws(() => scheduler.add({ projectId: 'web' }), { status: 400, message: 'Give either runAt or cron' });
+  assert.throws(() => scheduler.add({ runAt: '2026-01-01T00:00:00Z', cron: '@daily' }), /Give either runAt or cron/);
+  assert.throws(() => scheduler.add({ runAt: 'tomorrow' }), { message: 'runAt must be an ISO 8601 time' });
+  assert.throws(() => scheduler.add({ runAt: new Date(Date.now() - 3600 * 1000).toISOString() }), { message: 'runAt is in the past' });
+  assert.throws(() => scheduler.add({ cron: '@daily', timezone: 'Mars/Olympus' }), { message: 'Unknown time zone Mars/Olympus' });
+  assert.throws(() => scheduler.add({ cron: '61 * * * *' }), /^Error: Invalid cron expression: minute/);
+  assert.throws(() => scheduler.add({ cron: '0 0 30 2 *', timezone: 'UTC' }), { status: 400, message: '0 0 30 2 * never runs' });
+  assert.deepStrictEqual(scheduler.list(), []);
+});
+
+test('cron jobs get their next run in their time zone and survive a restart', async t => {
+  const dir = await tempDir(t);
+  const scheduler = createScheduler({ dataDir: dir, run: async () => ({}) });
+  await scheduler.load();
+
+  const job = scheduler.add({ projectId: 'web', environment: 'production', cron: '0 9 * * *', timezone: 'Europe/Berlin' });
+  assert.match(job.id, /^sched_\d+_[0-9a-f]{6}$/);
+  assert.strictEqual(job.timezone, 'Europe/Berlin');
+  assert.ok(Date.parse(job.nextRunAt) > Date.now());
+  assert.strictEqual(zonedParts(new Date(job.nextRunAt), 'Europe/Berlin').hour, 9);
+  await scheduler.flush();
+
+  const reloaded = createScheduler({ dataDir: dir, run: async () => ({}) });
+  assert.strictEqual(await reloaded.load(), 1);
+  assert.deepStrictEqual(reloaded.get(job.id), job);
+});
+
+test('one-off jobs run when due, record how it went and are removed', async t => {
+  const dir = await tempDir(t);
+  const runs = [];
+  let finished;
+  const done = new Promise(resolve => { finished = resolve; });
+  const scheduler = createScheduler({
+    dataDir: dir,
+    run: async job => {
+      runs.push(job.id);
+      if (runs.length === 2) setImmediate(finished);
+      if (job.projectId === 'broken') throw new Error('no such project');
+      return { outcome: 'started', deploymentId: 'deploy_1' };
+    }
+  });
+  await scheduler.load();
+  t.after(() => scheduler.stop());
+
+  const now = new Date().toISOString();
+  const first = scheduler.add({ projectId: 'web', runAt: now });
+  const second = scheduler.add({ projectId: 'broken', runAt: now });
+  scheduler.start();
+  await done;
+  await scheduler.flush();
+
+  assert.deepStrictEqual(runs, [first.id, second.id]);
+  assert.deepStrictEqual(scheduler.list(), []);
+  assert.deepStrictEqual({ ...first.lastRun, at: null }, { at: null, outcome: 'started', deploymentId: 'deploy_1', error: null });
+  assert.deepStrictEqual({ ...second.lastRun, at: null }, { at: null, outcome: 'failed', deploymentId: null, error: 'no such project' });
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(scheduler.file, 'utf8')), { jobs: [] });
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createSecretStore } = require('../lib/secrets');
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'autodock-secrets-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A store under `masterKey` holding one secret and one plain variable
+async function filledStore(dir, masterKey = 'correct horse') {
+  const store = createSecretStore({ dataDir: dir, masterKey });
+  await store.load();
+  await store.set({ projectId: 'web', environment: 'production', key: 'API_TOKEN', value: 's3cr3t', secret: true, actor: 'admin' });
+  await store.set({ projectId: 'web', environment: 'production', key: 'WORKERS', value: 4 });
+  return store;
+}
+
+const readStored = async store => JSON.parse(await fs.readFile(store.file, 'utf8'));
+
+test('values round-trip through the encrypted file', async t => {
+  const dir = await tempDir(t);
+  const store = await filledStore(dir);
+
+  const raw = await fs.readFile(store.file, 'utf8');
+  assert.ok(!raw.includes('s3cr3t'));
+  assert.strictEqual((await fs.stat(store.file)).mode & 0o777, 0o600);
+
+  const reloaded = createSecretStore({ dataDir: dir, masterKey: 'correct horse' });
+  assert.deepStrictEqual(await reloaded.load(), { enabled: true, count: 2 });
+  assert.deepStrictEqual(reloaded.variables('web', 'production'), { API_TOKEN: 's3cr3t', WORKERS: '4' });
+  assert.deepStrictEqual(reloaded.variables('web', 'staging'), {});
+  assert.deepStrictEqual(reloaded.list({ projectId: 'web' }).map(({ key, value }) => [key, value]), [['API_TOKEN', '********'], ['WORKERS', '4']]);
+});
+
+test('a wrong master key is refused at load and leaves the store disabled', async t => {
+  const dir = await tempDir(t);
+  const store = await filledStore(dir);
+  const before = await fs.readFile(store.file, 'utf8');
+
+  const wrong = createSecretStore({ dataDir: dir, masterKey: 'battery staple' });
+  await assert.rejects(wrong.load(), { message: `SECRETS_MASTER_KEY does not match the key ${store.file} was written with` });
+  assert.strictEqual(wrong.enabled, false);
+  assert.throws(() => wrong.variables('web', 'production'), { status: 503 });
+  assert.strictEqual(await fs.readFile(store.file, 'utf8'), before);
+});
+
+test('tampered values are rejected with the variable they belong to', async t => {
+  const dir = await tempDir(t);
+  const store = await filledStore(dir);
+  const stored = await readStored(store);
+
+  const tag = Buffer.from(stored.entries[1].value.tag, 'base64');
+  tag[0] ^= 1;
+  stored.entries[1].value.tag = tag.toString('base64');
+  await fs.writeFile(store.file, JSON.stringify(stored));
+
+  const reloaded = createSecretStore({ dataDir: dir, masterKey: 'correct horse' });
+  await reloaded.load();
+  const error = { message: `Stored value of web/production/WORKERS cannot be decrypted: ${store.file} was changed outside AutoDock` };
+  assert.throws(() => reloaded.variables('web', 'production'), error);
+  assert.throws(() => reloaded.list({ projectId: 'web' }), error);
+
+  // A value copied into another variable's slot fails the same way
+  const swapped = await readStored(store);
+  swapped.entries = [stored.entries[0], { ...stored.entries[0], key: 'OTHER_TOKEN' }];
+  await fs.writeFile(store.file, JSON.stringify(swapped));
+  const moved = createSecretStore({ dataDir: dir, masterKey: 'correct horse' });
+  await moved.load();
+  assert.throws(() => moved.variables('web', 'production'), /web\/production\/OTHER_TOKEN cannot be decrypted/);
+});
+
+test('without SECRETS_MASTER_KEY the store is disabled but keeps its entries', async t => {
+  const dir = await tempDir(t);
+  await filledStore(dir);
+
+  const store = createSecretStore({ dataDir: dir });
+  assert.deepStrictEqual(await store.load(), { enabled: false, count: 2 });
+  assert.strictEqual(store.enabled, false);
+
+  const disabled = { status: 503, message: 'Secrets are disabled: set SECRETS_MASTER_KEY to manage environment variables' };
+  assert.throws(() => store.list({ projectId: 'web' }), disabled);
+  await assert.rejects(store.set({ projectId: 'web', key: 'A', value: 'b' }), disabled);
+  // Projects with stored variables cannot deploy without them...
+  assert.throws(() => store.variables('web', 'production'), disabled);
+  // ...and projects without any still can
+  assert.deepStrictEqual(store.variables('api', 'production'), {});
+
+  // Entries stay readable once the key is back
+  const restored = createSecretStore({ dataDir: dir, masterKey: 'correct horse' });
+  await restored.load();
+  assert.deepStrictEqual(restored.variables('web', 'production'), { API_TOKEN: 's3cr3t', WORKERS: '4' });
+
+  const empty = createSecretStore({ dataDir: await tempDir(t) });
+  assert.deepStrictEqual(await empty.load(), { enabled: false, count: 0 });
+});
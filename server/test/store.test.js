@@ -0,0 +1,166 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createDeploymentStore } = require('../lib/store');
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'autodock-store-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const readLines = async file => (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+const logLine = message => ({ timestamp: '2026-01-01T00:00:00.000Z', stream: 'system', message });
+
+function deployment(id, overrides = {}) {
+  return { id, projectId: 'web', environment: 'production', status: 'queued', logs: [], createdAt: '2026-01-01T00:00:00.000Z', ...overrides };
+}
+
+test('saves append snapshots and new log lines to the deployment\'s log file', async t => {
+  const dir = await tempDir(t);
+  const store = createDeploymentStore({ dataDir: dir });
+  await store.load();
+
+  const record = deployment('deploy_1');
+  record.status = 'running';
+  record.logs.push(logLine('one'), logLine('two'));
+  store.save(record);
+  record.logs.push(logLine('three'));
+  record.status = 'success';
+  await store.save(record);
+
+  const lines = await readLines(store.file);
+  assert.deepStrictEqual(lines.map(line => [line.status, line.logCount]), [['running', 2], ['success', 3]]);
+  assert.ok(lines.every(line => !('logs' in line)));
+  const logs = await readLines(path.join(store.logDir, 'deploy_1.jsonl'));
+  assert.deepStrictEqual(logs.map(line => line.message), ['one', 'two', 'three']);
+
+  // Finished deployments are kept without their logs, which are read on demand
+  assert.strictEqual('logs' in store.get('deploy_1'), false);
+  assert.strictEqual(store.get('deploy_1').logCount, 3);
+  assert.strictEqual(store.list().deployments[0].logCount, 3);
+  assert.deepStrictEqual(await store.logs('deploy_1'), logs);
+  assert.strictEqual(await store.logs('deploy_2'), null);
+});
+
+test('running deployments are kept as they are and answer logs from memory', async t => {
+  const dir = await tempDir(t);
+  const store = createDeploymentStore({ dataDir: dir });
+  await store.load();
+
+  const record = deployment('deploy_1', { status: 'running', logs: [logLine('building')] });
+  store.save(record);
+  assert.strictEqual(store.get('deploy_1'), record);
+  assert.strictEqual(await store.logs('deploy_1'), record.logs);
+  const { logs, ...snapshot } = record;
+  assert.deepStrictEqual(store.list().deployments[0], { ...snapshot, logCount: 1 });
+});
+
+test('loading puts records back together and compacts', async t => {
+  const dir = await tempDir(t);
+  const first = createDeploymentStore({ dataDir: dir });
+  await first.load();
+
+  const done = deployment('deploy_1', { status: 'success', logs: [logLine('built'), logLine('deployed')] });
+  const running = deployment('deploy_2', { status: 'running', logs: [logLine('building')] });
+  first.save(done);
+  first.save(running);
+  running.logs.push(logLine('still building'));
+  await first.save(running);
+
+  const second = createDeploymentStore({ dataDir: dir });
+  assert.strictEqual(await second.load(), 2);
+  const { logs, ...snapshot } = done;
+  assert.deepStrictEqual(second.get('deploy_1'), { ...snapshot, logCount: 2 });
+  assert.deepStrictEqual((await second.logs('deploy_2')).map(line => line.message), ['building', 'still building']);
+  assert.strictEqual(second.get('deploy_2').status, 'failed');
+  assert.strictEqual(second.get('deploy_2').error, 'Interrupted by server restart');
+
+  // One snapshot per deployment after compaction
+  const lines = await readLines(second.file);
+  assert.deepStrictEqual(lines.map(line => [line.id, line.logCount]), [['deploy_1', 2], ['deploy_2', 2]]);
+});
+
+test('older files with logs in the history file still load', async t => {
+  const dir = await tempDir(t);
+  const file = path.join(dir, 'deployments.jsonl');
+  await fs.writeFile(file, [
+    deployment('deploy_1', { status: 'running', logs: [logLine('a')] }),
+    deployment('deploy_1', { status: 'success', logs: [logLine('a'), logLine('b')] }),
+    { id: 'deploy_2', log: logLine('c') },
+    { ...deployment('deploy_2', { status: 'failed' }), logs: undefined }
+  ].map(record => JSON.stringify(record) + '\n').join('') + 'not json\n');
+
+  const store = createDeploymentStore({ dataDir: dir });
+  assert.strictEqual(await store.load(), 2);
+  assert.strictEqual(store.get('deploy_1').status, 'success');
+  assert.deepStrictEqual((await store.logs('deploy_1')).map(line => line.message), ['a', 'b']);
+  assert.deepStrictEqual((await store.logs('deploy_2')).map(line => line.message), ['c']);
+  assert.ok((await readLines(file)).every(line => !line.logs && !line.log));
+});
+
+test('only the latest deployments are kept, with their logs', async t => {
+  const dir = await tempDir(t);
+  const store = createDeploymentStore({ dataDir: dir, maxRecords: 2 });
+  await store.load();
+
+  const running = deployment('deploy_1', { status: 'running', logs: [logLine('slow')] });
+  store.save(running);
+  for (const id of ['deploy_2', 'deploy_3', 'deploy_4']) {
+    store.save(deployment(id, { status: 'success', logs: [logLine(id)] }));
+  }
+  await store.flush();
+
+  // Running deployments stay however old they are
+  assert.deepStrictEqual(store.list().deployments.map(record => record.id), ['deploy_4', 'deploy_1']);
+  assert.strictEqual(await store.logs('deploy_2'), null);
+
+  // Dropped logs go with the next compaction
+  await store.compact();
+  assert.deepStrictEqual((await fs.readdir(store.logDir)).sort(), ['deploy_1.jsonl', 'deploy_4.jsonl']);
+  const reloaded = createDeploymentStore({ dataDir: dir, maxRecords: 2 });
+  assert.strictEqual(await reloaded.load(), 2);
+});
+
+test('list is newest first and filters by project, environment and status', async t => {
+  const dir = await tempDir(t);
+  const store = createDeploymentStore({ dataDir: dir });
+  await store.load();
+
+  store.save(deployment('deploy_1', { status: 'success', createdAt: '2026-01-01T00:00:00.000Z' }));
+  store.save(deployment('deploy_2', { status: 'failed', environment: 'staging', createdAt: '2026-01-02T00:00:00.000Z' }));
+  store.save(deployment('deploy_3', { status: 'success', environment: undefined, createdAt: '2026-01-03T00:00:00.000Z' }));
+  store.save(deployment('deploy_4', { status: 'success', projectId: 'api', createdAt: '2026-01-04T00:00:00.000Z' }));
+  await store.flush();
+
+  const ids = options => store.list(options).deployments.map(record => record.id);
+  assert.deepStrictEqual(ids(), ['deploy_4', 'deploy_3', 'deploy_2', 'deploy_1']);
+  assert.deepStrictEqual(ids({ projectId: 'web', environment: 'production' }), ['deploy_3', 'deploy_1']);
+  assert.deepStrictEqual(ids({ status: 'failed' }), ['deploy_2']);
+  assert.deepStrictEqual(ids({ from: new Date('2026-01-02T00:00:00Z'), to: new Date('2026-01-03T00:00:00Z') }), ['deploy_3', 'deploy_2']);
+  assert.deepStrictEqual(store.list({ page: 2, limit: 3 }), { deployments: [store.list().deployments[3]], total: 4, page: 2, limit: 3, pages: 2 });
+});
+
+test('the history file is compacted while running once appends outgrow it', async t => {
+  const dir = await tempDir(t);
+  const store = createDeploymentStore({ dataDir: dir, minCompactBytes: 2048 });
+  await store.load();
+
+  const record = deployment('deploy_1', { status: 'running' });
+  for (let index = 0; index < 200; index++) {
+    record.logs.push(logLine(`line ${index}`));
+    store.save(record);
+  }
+  await store.flush();
+
+  const lines = await readLines(store.file);
+  // Without compaction there would be 200 snapshots
+  assert.ok(lines.length < 100, `${lines.length} lines`);
+
+  const reloaded = createDeploymentStore({ dataDir: dir });
+  await reloaded.load();
+  assert.deepStrictEqual((await reloaded.logs('deploy_1')).map(line => line.message), record.logs.map(line => line.message));
+});
@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { checkDeployWindows, windowState } = require('../lib/windows');
+
+// 2026-03-02 is a Monday
+const at = text => new Date(text);
+const state = (windows, time) => {
+  const result = windowState(windows, at(time));
+  return { ...result, nextOpen: result.nextOpen && result.nextOpen.toISOString() };
+};
+
+test('windows are checked for days, HH:MM times and 24:00', () => {
+  const allow = window => checkDeployWindows({ allow: [window] });
+
+  assert.strictEqual(allow({ days: ['mon'], from: '09:00', to: '17:00' }), null);
+  assert.strictEqual(allow({ from: '22:00', to: '24:00' }), null);
+  assert.strictEqual(allow({ from: '00:00', to: '23:59' }), null);
+  for (const to of ['24:01', '24:30', '25:00', '7:00', '12:60', '']) {
+    assert.strictEqual(allow({ from: '09:00', to }), 'allow windows need from and to times as "HH:MM"', to);
+  }
+  assert.match(allow({ days: ['funday'], from: '09:00', to: '17:00' }), /allow days must be a list of sun, mon/);
+  assert.strictEqual(checkDeployWindows({ timezone: 'Nowhere/City', allow: [] }), 'timezone must be an IANA time zone such as Europe/Berlin');
+  assert.strictEqual(checkDeployWindows({ outside: 'queue', allow: [] }), 'outside must be one of hold, reject');
+  assert.strictEqual(checkDeployWindows({}), 'must list allow windows or freezes');
+  assert.match(checkDeployWindows({ freezes: [{ from: 'soon', to: '2026-01-02' }] }), /freezes need from and to dates/);
+});
+
+test('without windows deployments are always allowed', () => {
+  assert.deepStrictEqual(windowState(null), { open: true, reason: null, nextOpen: null, outside: null });
+});
+
+test('a window includes its start and excludes its end', () => {
+  const windows = { timezone: 'UTC', allow: [{ days: ['mon'], from: '09:00', to: '17:00' }] };
+
+  assert.strictEqual(state(windows, '2026-03-02T08:59:00Z').open, false);
+  assert.strictEqual(state(windows, '2026-03-02T09:00:00Z').open, true);
+  assert.strictEqual(state(windows, '2026-03-02T16:59:00Z').open, true);
+
+  assert.deepStrictEqual(state(windows, '2026-03-02T17:00:00Z'), {
+    open: false,
+    reason: 'Outside deploy windows',
+    nextOpen: '2026-03-09T09:00:00.000Z',
+    outside: 'hold'
+  });
+  assert.strictEqual(state(windows, '2026-03-02T08:00:00Z').nextOpen, '2026-03-02T09:00:00.000Z');
+});
+
+test('24:00 ends a window at midnight', () => {
+  const evening = { timezone: 'UTC', allow: [{ days: ['mon'], from: '22:00', to: '24:00' }] };
+  assert.strictEqual(state(evening, '2026-03-02T23:59:00Z').open, true);
+  assert.strictEqual(state(evening, '2026-03-03T00:00:00Z').open, false);
+
+  const allDay = { timezone: 'UTC', allow: [{ days: ['sat', 'sun'], from: '00:00', to: '24:00' }] };
+  assert.strictEqual(state(allDay, '2026-03-07T00:00:00Z').open, true);
+  assert.strictEqual(state(allDay, '2026-03-08T23:59:00Z').open, true);
+  assert.strictEqual(state(allDay, '2026-03-09T00:00:00Z').open, false);
+  assert.strictEqual(state(allDay, '2026-03-09T00:00:00Z').nextOpen, '2026-03-14T00:00:00.000Z');
+});
+
+test('a window that ends before it starts runs past midnight', () => {
+  const windows = { timezone: 'UTC', allow: [{ days: ['fri'], from: '18:00', to: '06:00' }] };
+
+  assert.strictEqual(state(windows, '2026-03-06T17:59:00Z').open, false);
+  assert.strictEqual(state(windows, '2026-03-06T18:00:00Z').open, true);
+  assert.strictEqual(state(windows, '2026-03-07T05:59:00Z').open, true);
+  assert.strictEqual(state(windows, '2026-03-07T06:00:00Z').open, false);
+  // Friday's window, not Thursday's night
+  assert.strictEqual(state(windows, '2026-03-06T05:00:00Z').open, false);
+});
+
+test('times are read in the windows\' time zone', () => {
+  const windows = { timezone: 'Europe/Berlin', allow: [{ days: ['mon'], from: '09:00', to: '17:00' }] };
+
+  // 09:00 in Berlin is 08:00 UTC in winter and 07:00 UTC in summer
+  assert.strictEqual(state(windows, '2026-03-02T07:59:00Z').open, false);
+  assert.strictEqual(state(windows, '2026-03-02T08:00:00Z').open, true);
+  assert.strictEqual(state(windows, '2026-07-06T07:00:00Z').open, true);
+  assert.strictEqual(state(windows, '2026-03-02T06:00:00Z').nextOpen, '2026-03-02T08:00:00.000Z');
+});
+
+test('a window starting in the hour skipped by DST opens when clocks show it', () => {
+  // Berlin jumps from 02:00 to 03:00 on Sunday 2026-03-29
+  const windows = { timezone: 'Europe/Berlin', allow: [{ days: ['sun'], from: '02:30', to: '04:00' }] };
+
+  const closed = state(windows, '2026-03-29T00:00:00Z');
+  assert.strictEqual(closed.open, false);
+  // 03:30 CEST, an hour after the 02:30 that never happened
+  assert.strictEqual(closed.nextOpen, '2026-03-29T01:30:00.000Z');
+  assert.strictEqual(state(windows, '2026-03-29T01:59:00Z').open, true);
+  assert.strictEqual(state(windows, '2026-03-29T02:00:00Z').open, false);
+});
+
+test('freezes close every window and date-only ends cover the whole day', () => {
+  const windows = {
+    timezone: 'Europe/Berlin',
+    outside: 'reject',
+    allow: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '09:00', to: '17:00' }],
+    freezes: [{ from: '2026-12-21', to: '2027-01-03', reason: 'Year-end freeze' }]
+  };
+
+  // Midnight in Berlin is 23:00 UTC the day before
+  assert.strictEqual(state(windows, '2026-12-18T15:59:00Z').open, true);
+  assert.deepStrictEqual(state(windows, '2026-12-21T10:00:00Z'), {
+    open: false,
+    reason: 'Deploy freeze: Year-end freeze',
+    nextOpen: '2027-01-04T08:00:00.000Z',
+    outside: 'reject'
+  });
+
+  // Freezes alone leave the rest of the time open
+  const freezeOnly = { timezone: 'UTC', freezes: [{ from: '2026-12-24T12:00:00Z', to: '2026-12-26' }] };
+  assert.strictEqual(state(freezeOnly, '2026-12-24T11:59:00Z').open, true);
+  assert.strictEqual(state(freezeOnly, '2026-12-26T23:59:00Z').open, false);
+  assert.deepStrictEqual(state(freezeOnly, '2026-12-25T00:00:00Z'), {
+    open: false,
+    reason: 'Deploy freeze',
+    nextOpen: '2026-12-27T00:00:00.000Z',
+    outside: 'hold'
+  });
+});